@@ -7,10 +7,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize managers
     const settings = new SettingsManager();
     const history = new HistoryManager();
+    const glossary = new GlossaryManager();
+    const memory = new TranslationMemory();
+    const usage = new UsageTracker();
+    const detector = new LanguageDetector();
+    const batch = new BatchQueue();
 
     // DOM Elements
     const elements = {
         // Header
+        compareBtn: document.getElementById('compareBtn'),
+        batchBtn: document.getElementById('batchBtn'),
         historyBtn: document.getElementById('historyBtn'),
         settingsBtn: document.getElementById('settingsBtn'),
         themeBtn: document.getElementById('themeBtn'),
@@ -30,14 +37,25 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Translation
         sourceText: document.getElementById('sourceText'),
+        contextPanel: document.getElementById('contextPanel'),
+        contextToggle: document.getElementById('contextToggle'),
+        contextBadge: document.getElementById('contextBadge'),
+        contextNotes: document.getElementById('contextNotes'),
+        contextHistoryEnabled: document.getElementById('contextHistoryEnabled'),
+        contextHistoryCount: document.getElementById('contextHistoryCount'),
         targetText: document.getElementById('targetText'),
         charCount: document.getElementById('charCount'),
         detectedLang: document.getElementById('detectedLang'),
+        sourceLangSearch: document.getElementById('sourceLangSearch'),
+        targetLangSearch: document.getElementById('targetLangSearch'),
         translationStatus: document.getElementById('translationStatus'),
+        glossaryReport: document.getElementById('glossaryReport'),
         clearBtn: document.getElementById('clearBtn'),
         pasteBtn: document.getElementById('pasteBtn'),
         copyBtn: document.getElementById('copyBtn'),
         saveHistoryBtn: document.getElementById('saveHistoryBtn'),
+        retryChunkBtn: document.getElementById('retryChunkBtn'),
+        continueBtn: document.getElementById('continueBtn'),
         translateBtn: document.getElementById('translateBtn'),
 
         // Settings Modal
@@ -49,39 +67,9 @@ document.addEventListener('DOMContentLoaded', () => {
         tabBtns: document.querySelectorAll('.tab-btn'),
         tabContents: document.querySelectorAll('.tab-content'),
 
-        // API Settings
-        openaiKey: document.getElementById('openaiKey'),
-        openaiBaseUrl: document.getElementById('openaiBaseUrl'),
-        claudeKey: document.getElementById('claudeKey'),
-        geminiKey: document.getElementById('geminiKey'),
-        ollamaUrl: document.getElementById('ollamaUrl'),
-        llamacppUrl: document.getElementById('llamacppUrl'),
-        translategemmaUrl: document.getElementById('translategemmaUrl'),
-
-
-        // Model Settings
-        openaiTemp: document.getElementById('openaiTemp'),
-        openaiTopP: document.getElementById('openaiTopP'),
-        openaiPres: document.getElementById('openaiPres'),
-        openaiFreq: document.getElementById('openaiFreq'),
-        
-        claudeTemp: document.getElementById('claudeTemp'),
-        claudeTopP: document.getElementById('claudeTopP'),
-        claudeTopK: document.getElementById('claudeTopK'),
-        
-        geminiTemp: document.getElementById('geminiTemp'),
-        geminiTopP: document.getElementById('geminiTopP'),
-        geminiTopK: document.getElementById('geminiTopK'),
-        
-        ollamaTemp: document.getElementById('ollamaTemp'),
-        ollamaTopP: document.getElementById('ollamaTopP'),
-        ollamaTopK: document.getElementById('ollamaTopK'),
-        ollamaRepPen: document.getElementById('ollamaRepPen'),
-        
-        llamacppTemp: document.getElementById('llamacppTemp'),
-        llamacppTopP: document.getElementById('llamacppTopP'),
-        llamacppTopK: document.getElementById('llamacppTopK'),
-        llamacppRepPen: document.getElementById('llamacppRepPen'),
+        // Provider Settings (generated from the provider config schemas)
+        providerApiSettings: document.getElementById('providerApiSettings'),
+        providerModelSettings: document.getElementById('providerModelSettings'),
 
         addEndpointBtn: document.getElementById('addEndpointBtn'),
         customEndpointsList: document.getElementById('customEndpointsList'),
@@ -90,8 +78,70 @@ document.addEventListener('DOMContentLoaded', () => {
         systemPrompt: document.getElementById('systemPrompt'),
         userPrompt: document.getElementById('userPrompt'),
         resetPromptBtn: document.getElementById('resetPromptBtn'),
+        presetSelect: document.getElementById('presetSelect'),
+        formalitySelect: document.getElementById('formalitySelect'),
+        toneSelect: document.getElementById('toneSelect'),
+        audienceSelect: document.getElementById('audienceSelect'),
+        styleNotice: document.getElementById('styleNotice'),
+        presetEditSelect: document.getElementById('presetEditSelect'),
+        presetName: document.getElementById('presetName'),
+        addPresetBtn: document.getElementById('addPresetBtn'),
+        deletePresetBtn: document.getElementById('deletePresetBtn'),
+        presetBindingList: document.getElementById('presetBindingList'),
+        addPresetBindingBtn: document.getElementById('addPresetBindingBtn'),
+        promptWarnings: document.getElementById('promptWarnings'),
+        promptVariableHelp: document.getElementById('promptVariableHelp'),
+        promptVariableList: document.getElementById('promptVariableList'),
+        addPromptVariableBtn: document.getElementById('addPromptVariableBtn'),
+
+        // Chunking Settings
+        chunkingEnabled: document.getElementById('chunkingEnabled'),
+        chunkMaxTokens: document.getElementById('chunkMaxTokens'),
+
+        // Retry & Fallback Settings
+        retryMaxRetries: document.getElementById('retryMaxRetries'),
+        retryBaseDelay: document.getElementById('retryBaseDelay'),
+        fallbackEnabled: document.getElementById('fallbackEnabled'),
+        fallbackList: document.getElementById('fallbackList'),
+        addFallbackBtn: document.getElementById('addFallbackBtn'),
+
+        // Translation Memory Settings
+        tmEnabled: document.getElementById('tmEnabled'),
+        tmThreshold: document.getElementById('tmThreshold'),
+        tmMaxExamples: document.getElementById('tmMaxExamples'),
+        tmCount: document.getElementById('tmCount'),
+        clearTmBtn: document.getElementById('clearTmBtn'),
+
+        // Glossary
+        glossarySourceLang: document.getElementById('glossarySourceLang'),
+        glossaryTargetLang: document.getElementById('glossaryTargetLang'),
+        glossaryList: document.getElementById('glossaryList'),
+        addGlossaryTermBtn: document.getElementById('addGlossaryTermBtn'),
+        exportGlossaryCsvBtn: document.getElementById('exportGlossaryCsvBtn'),
+        exportGlossaryTsvBtn: document.getElementById('exportGlossaryTsvBtn'),
+        importGlossaryInput: document.getElementById('importGlossaryInput'),
+
+        // Usage
+        usageMonth: document.getElementById('usageMonth'),
+        usageSummary: document.getElementById('usageSummary'),
+        usageProviderTable: document.getElementById('usageProviderTable'),
+        usageModelTable: document.getElementById('usageModelTable'),
+        clearUsageBtn: document.getElementById('clearUsageBtn'),
+        budgetMonthlyLimit: document.getElementById('budgetMonthlyLimit'),
+        budgetWarnAt: document.getElementById('budgetWarnAt'),
+        priceList: document.getElementById('priceList'),
+        addPriceBtn: document.getElementById('addPriceBtn'),
+
+        // History Retention
+        historyAutoSave: document.getElementById('historyAutoSave'),
+        historyMaxItems: document.getElementById('historyMaxItems'),
+        historyMaxDays: document.getElementById('historyMaxDays'),
+        historyCount: document.getElementById('historyCount'),
 
         // Export Settings
+        historyExportFormat: document.getElementById('historyExportFormat'),
+        exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+        importHistoryInput: document.getElementById('importHistoryInput'),
         exportSettingsBtn: document.getElementById('exportSettingsBtn'),
         importSettingsInput: document.getElementById('importSettingsInput'),
 
@@ -100,6 +150,12 @@ document.addEventListener('DOMContentLoaded', () => {
         historySidebar: document.getElementById('historySidebar'),
         closeHistoryBtn: document.getElementById('closeHistoryBtn'),
         historySearch: document.getElementById('historySearch'),
+        historyFavoriteFilter: document.getElementById('historyFavoriteFilter'),
+        historyTagFilter: document.getElementById('historyTagFilter'),
+        historyProviderFilter: document.getElementById('historyProviderFilter'),
+        historyModelFilter: document.getElementById('historyModelFilter'),
+        historyFromFilter: document.getElementById('historyFromFilter'),
+        historyToFilter: document.getElementById('historyToFilter'),
         historyList: document.getElementById('historyList'),
         clearHistoryBtn: document.getElementById('clearHistoryBtn'),
 
@@ -110,6 +166,49 @@ document.addEventListener('DOMContentLoaded', () => {
         reasoningContent: document.getElementById('reasoningContent'),
         reasoningText: document.getElementById('reasoningText'),
 
+        // Compare Panel
+        comparePanel: document.getElementById('comparePanel'),
+        compareGrid: document.getElementById('compareGrid'),
+        addCompareSlotBtn: document.getElementById('addCompareSlotBtn'),
+        runCompareBtn: document.getElementById('runCompareBtn'),
+
+        // Batch Panel
+        batchPanel: document.getElementById('batchPanel'),
+        batchConcurrency: document.getElementById('batchConcurrency'),
+        runBatchBtn: document.getElementById('runBatchBtn'),
+        batchDropZone: document.getElementById('batchDropZone'),
+        batchFileInput: document.getElementById('batchFileInput'),
+        batchLines: document.getElementById('batchLines'),
+        addBatchLinesBtn: document.getElementById('addBatchLinesBtn'),
+        batchSummary: document.getElementById('batchSummary'),
+        batchTable: document.getElementById('batchTable'),
+        retryBatchBtn: document.getElementById('retryBatchBtn'),
+        clearBatchBtn: document.getElementById('clearBatchBtn'),
+        downloadBatchZipBtn: document.getElementById('downloadBatchZipBtn'),
+        downloadBatchCombinedBtn: document.getElementById('downloadBatchCombinedBtn'),
+
+        // Localization Panel
+        localizationBtn: document.getElementById('localizationBtn'),
+        localizationPanel: document.getElementById('localizationPanel'),
+        localizationDropZone: document.getElementById('localizationDropZone'),
+        localizationFileInput: document.getElementById('localizationFileInput'),
+        localizationSummary: document.getElementById('localizationSummary'),
+        localizationTable: document.getElementById('localizationTable'),
+        runLocalizationBtn: document.getElementById('runLocalizationBtn'),
+        downloadLocalizationBtn: document.getElementById('downloadLocalizationBtn'),
+
+        // Subtitle Panel
+        subtitleBtn: document.getElementById('subtitleBtn'),
+        subtitlePanel: document.getElementById('subtitlePanel'),
+        subtitleDropZone: document.getElementById('subtitleDropZone'),
+        subtitleFileInput: document.getElementById('subtitleFileInput'),
+        subtitleBatchSize: document.getElementById('subtitleBatchSize'),
+        subtitleContextCues: document.getElementById('subtitleContextCues'),
+        subtitleSummary: document.getElementById('subtitleSummary'),
+        subtitleTable: document.getElementById('subtitleTable'),
+        runSubtitleBtn: document.getElementById('runSubtitleBtn'),
+        downloadSubtitleBtn: document.getElementById('downloadSubtitleBtn'),
+
         // Toast
         toast: document.getElementById('toast')
     };
@@ -119,6 +218,12 @@ document.addEventListener('DOMContentLoaded', () => {
     let lastTranslation = null;
     let isFetchingModels = false;
     let abortController = null;
+    let chunkJob = null;
+    let compareRun = null;
+    let lastCompare = null;
+    let localizationJob = null;
+    let subtitleJob = null;
+    let historyView = { filters: {}, offset: 0, hasMore: false, loading: false, generation: 0 };
 
     // ===========================================
     // Initialization
@@ -126,12 +231,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
     async function init() {
         applyTheme(settings.get('theme'));
+        renderProviderSettings();
         loadSettingsToUI();
         updateProviderSelect(); // Populate custom endpoints in provider dropdown
         elements.providerSelect.value = settings.get('provider');
+        renderLanguageSelects();
         elements.sourceLang.value = settings.get('sourceLang');
         elements.targetLang.value = settings.get('targetLang');
+        updateDetectedLanguage();
+        updatePresetSelect();
         elements.streamToggle.checked = settings.get('stream');
+        loadContextPanel();
+        renderStyleControls();
+        history.setRetention(settings.get('historyRetention'));
+        populateGlossaryPairSelects();
         
         setupEventListeners();
         renderHistory();
@@ -170,15 +283,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // ===========================================
 
     function updateProviderSelect() {
-        // Get the base providers (before the comment)
-        const baseProviders = [
-            { value: 'openai', label: 'OpenAI' },
-            { value: 'claude', label: 'Claude' },
-            { value: 'gemini', label: 'Gemini' },
-            { value: 'ollama', label: 'Ollama' },
-            { value: 'llamacpp', label: 'llama.cpp' },
-            { value: 'translategemma', label: 'TranslateGemma' }
-        ];
+        // Registered providers, in registration order
+        const baseProviders = ProviderFactory.list().map(P => ({ value: P.id, label: P.label }));
         
         // Get custom endpoints
         const customEndpoints = settings.getCustomEndpoints();
@@ -216,12 +322,47 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Custom endpoints run through CustomEndpointProvider, which picks the dialect they speak
+    function resolveProviderType(provider) {
+        return provider.startsWith('custom-') ? 'custom' : provider;
+    }
+
+    function getProviderLabel(provider) {
+        const option = Array.from(elements.providerSelect.options).find(o => o.value === provider);
+        return option ? option.textContent : provider;
+    }
+
+    // [{ provider, model, providerType, config, label }] for ProviderFactory.runWithFallback:
+    // the selected provider first, then the configured fallbacks in order
+    function buildProviderChain(provider, model) {
+        const entries = [{ provider, model }];
+        if (settings.get('fallback.enabled')) {
+            (settings.get('fallback.chain') || []).forEach(entry => {
+                if (!entries.some(e => e.provider === entry.provider && e.model === entry.model)) {
+                    entries.push(entry);
+                }
+            });
+        }
+
+        return entries.map(entry => {
+            const config = settings.getProviderConfig(entry.provider);
+            if (entry.model) config.model = entry.model;
+            return {
+                provider: entry.provider,
+                model: config.model,
+                providerType: resolveProviderType(entry.provider),
+                config,
+                label: config.model ? `${getProviderLabel(entry.provider)} · ${config.model}` : getProviderLabel(entry.provider)
+            };
+        });
+    }
+
     async function updateProviderModels(forceRefresh = false) {
         const provider = elements.providerSelect.value;
         const config = settings.getProviderConfig(provider);
         
-        // Determine the actual provider type (custom endpoints use openai-compatible)
-        const providerType = provider.startsWith('custom-') ? 'openai-compatible' : provider;
+        // Determine the actual provider type
+        const providerType = resolveProviderType(provider);
         
         // Show loading state
         if (forceRefresh || isFetchingModels) {
@@ -294,123 +435,271 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        // Marked as running before the first await, so a second click or Ctrl+Enter stops this
+        // translation instead of starting another one
+        setTranslating(true);
         abortController = new AbortController();
+        const starting = abortController;
+        // History is stored under the detected language, so context references are looked up with it too
+        const sourceLang = resolveSourceLang(text);
+        const references = await getContextReferences(sourceLang, elements.targetLang.value);
+        if (starting.signal.aborted) {
+            setTranslating(false);
+            return;
+        }
 
-        const provider = elements.providerSelect.value;
-        const model = elements.modelSelect.value;
-        const sourceLang = elements.sourceLang.value;
-        const targetLang = elements.targetLang.value;
+        // Split long documents into chunks sized for the token budget
+        const chunks = settings.get('chunking.enabled')
+            ? new TextChunker(settings.get('chunking.maxTokens')).split(text)
+            : [{ text, separator: '' }];
+
+        chunkJob = {
+            provider: elements.providerSelect.value,
+            model: elements.modelSelect.value,
+            sourceLang,
+            targetLang: elements.targetLang.value,
+            sourceText: text,
+            context: elements.contextNotes.value.trim(),
+            style: getStyle(),
+            references,
+            chunks,
+            results: []
+        };
+        rememberLanguages(chunkJob.sourceLang, chunkJob.targetLang);
 
-        // Determine actual provider type (custom endpoints use openai-compatible)
-        const providerType = provider.startsWith('custom-') ? 'openai-compatible' : provider;
+        const ignored = getIgnoredControls(chunkJob.provider);
+        if (ignored.length > 0) {
+            showToast(formatIgnoredControls(chunkJob.provider, ignored));
+        }
 
-        // Get provider config
-        const config = settings.getProviderConfig(provider);
-        config.model = model;
+        elements.targetText.textContent = '';
+        await runChunkJob(chunkJob);
+    }
+
+    // Translates the remaining chunks of a job in order; completed chunks are kept on failure
+    // so that retrying only re-sends the chunk that failed. Streamed output of an interrupted
+    // chunk is kept in job.partial and continued on the next run.
+    async function runChunkJob(job) {
+        abortController = new AbortController();
+
+        const { provider, model, sourceLang, targetLang } = job;
+        const total = job.chunks.length;
+        const retry = settings.get('retry');
 
-        // Get prompts
-        const systemPrompt = settings.get('prompts.system');
-        const userPrompt = settings.get('prompts.user');
+        // Get prompts from the preset selected in the toolbar
+        const { system: systemPrompt, user: userPrompt } = getSelectedPreset();
+        job.memoryVariant = getMemoryVariant({ systemPrompt, userPrompt, style: job.style, context: job.context });
 
         // Update UI
         setTranslating(true);
-        elements.translationStatus.textContent = '스트리밍 중...';
-        elements.targetText.textContent = '';
-        
-        // Reset and show reasoning panel for providers that support thinking
-        // Claude: extended thinking, llama.cpp: may have <think> tags from reasoning models
-        const supportsThinking = providerType === 'claude' || providerType === 'llamacpp';
-        resetReasoningPanel(supportsThinking);
+        elements.retryChunkBtn.style.display = 'none';
+        elements.continueBtn.style.display = 'none';
+        elements.targetText.classList.remove('interrupted');
+        renderGlossaryReport([]);
+
+        let index = job.results.length;
+        const useMemory = settings.get('translationMemory.enabled');
 
         try {
-            const providerInstance = ProviderFactory.create(providerType, config);
+            // The selected provider first, then the configured fallbacks
+            const chain = buildProviderChain(provider, model);
+
+            // Show the reasoning panel only when the selected provider will actually stream reasoning
+            const primary = chain[0];
+            resetReasoningPanel(ProviderFactory.create(primary.providerType, primary.config).reasoningRequested());
+
             const useStreaming = elements.streamToggle.checked;
-            
-            if (useStreaming) {
-                // Use streaming translation
-                await providerInstance.translateStream(
-                    text,
-                    sourceLang,
-                    targetLang,
-                    systemPrompt,
-                    userPrompt,
-                    {
-                        onContent: (content) => {
-                            elements.targetText.textContent = content;
-                            elements.translationStatus.textContent = '스트리밍 중...';
-                        },
-                        onReasoning: (reasoning) => {
-                            updateReasoningPanel(reasoning);
-                        },
-                        onDone: (finalContent, reasoning) => {
-                            elements.targetText.textContent = finalContent;
-                            elements.translationStatus.textContent = '';
-                            finalizeReasoningPanel(reasoning);
-                            
-                            // Save for potential history save
-                            lastTranslation = {
-                                sourceLang,
-                                targetLang,
-                                sourceText: text,
-                                targetText: finalContent,
-                                provider,
-                                model
-                            };
-                        },
-                        onError: (error) => {
-                            if (error.name === 'AbortError') {
-                                return; // Handled in catch
-                            }
-                            console.error('Translation error:', error);
-                            elements.translationStatus.textContent = '';
-                            showToast(error.message);
+
+            for (; index < total; index++) {
+                const chunk = job.chunks[index];
+
+                // Exact translation memory hits (under the same settings) skip the API call entirely
+                const memoryHit = useMemory ? await lookupMemory(chunk.text, sourceLang, targetLang, job.memoryVariant) : null;
+                if (memoryHit !== null) {
+                    job.results.push(memoryHit);
+                    job.memoryHits = (job.memoryHits || 0) + 1;
+                    elements.targetText.textContent = stitchChunks(job);
+                    continue;
+                }
+
+                // Resume from the last complete sentence of an interrupted run
+                const kept = job.partial ? trimToLastSentence(job.partial) : '';
+                job.partial = kept || null;
+                if (kept) {
+                    elements.targetText.textContent = stitchChunks(job, kept);
+                }
+
+                const options = {
+                    signal: abortController.signal,
+                    previousTranslation: index > 0 ? job.results[index - 1] : '',
+                    glossary: glossary.findMatches(chunk.text, sourceLang, targetLang),
+                    tmExamples: useMemory ? await findMemoryExamples(chunk.text, sourceLang, targetLang) : [],
+                    variables: settings.getPromptVariables(),
+                    context: job.context,
+                    references: job.references,
+                    style: job.style,
+                    partialTranslation: kept
+                };
+                const translateChunk = (providerInstance, entry) => {
+                    const requestOptions = {
+                        ...options,
+                        onUsage: (counts) => {
+                            job.usage = addUsage(job.usage, recordUsage(entry.provider, entry.model, counts));
                         }
-                    },
-                    { signal: abortController.signal }
-                );
-            } else {
-                // Non-streaming translation
-                elements.translationStatus.textContent = '번역 중...';
-                
-                const result = await providerInstance.translate(
-                    text,
-                    sourceLang,
-                    targetLang,
-                    systemPrompt,
-                    userPrompt,
-                    { signal: abortController.signal }
-                );
-
-                elements.targetText.textContent = result;
-                elements.translationStatus.textContent = '';
-                
-                // For non-streaming, we don't have separate reasoning content usually
-                // But we should reset the panel
-                resetReasoningPanel(false);
-
-                lastTranslation = {
-                    sourceLang,
-                    targetLang,
-                    sourceText: text,
-                    targetText: result,
-                    provider,
-                    model
+                    };
+
+                    if (useStreaming) {
+                        elements.translationStatus.textContent = formatChunkStatus('스트리밍 중...', index, total);
+
+                        return providerInstance.translateStream(
+                            chunk.text,
+                            sourceLang,
+                            targetLang,
+                            systemPrompt,
+                            userPrompt,
+                            {
+                                onContent: (content) => {
+                                    job.partial = joinContinuation(kept, content);
+                                    elements.targetText.textContent = stitchChunks(job, job.partial);
+                                },
+                                onReasoning: (reasoning) => {
+                                    updateReasoningPanel(reasoning);
+                                },
+                                onDone: (finalContent, reasoning) => {
+                                    finalizeReasoningPanel(reasoning);
+                                },
+                                onError: () => {
+                                    // Errors (including aborts) are handled in the catch block below
+                                }
+                            },
+                            requestOptions
+                        );
+                    }
+
+                    // Non-streaming translation
+                    elements.translationStatus.textContent = formatChunkStatus('번역 중...', index, total);
+
+                    // For non-streaming, we don't have separate reasoning content usually
+                    // But we should reset the panel
+                    resetReasoningPanel(false);
+
+                    return providerInstance.translate(
+                        chunk.text,
+                        sourceLang,
+                        targetLang,
+                        systemPrompt,
+                        userPrompt,
+                        requestOptions
+                    );
                 };
+
+                // Retries with backoff, then walks the fallback chain
+                const { result, entry } = await ProviderFactory.runWithFallback(chain, translateChunk, {
+                    retry,
+                    signal: abortController.signal,
+                    onRetry: ({ entry, attempt, maxRetries, delayMs }) => {
+                        elements.translationStatus.textContent = formatChunkStatus(
+                            `${entry.label} 재시도 ${attempt}/${maxRetries} (${Math.ceil(delayMs / 1000)}초 후)`, index, total);
+                    },
+                    onFallback: ({ entry, error }) => {
+                        console.warn('Provider failed, falling back:', error);
+                        elements.translationStatus.textContent = formatChunkStatus(`${entry.label}(으)로 전환 중...`, index, total);
+                    }
+                });
+                job.producedBy = entry;
+                job.producers = [...new Set([...(job.producers || []), entry.label])];
+
+                job.results.push(joinContinuation(kept, result));
+                job.partial = null;
+                elements.targetText.textContent = stitchChunks(job);
+            }
+
+            // Show which provider(s) produced the result
+            const statusParts = [...(job.producers || [])];
+            if (job.memoryHits) {
+                statusParts.push(`번역 메모리 사용 (${job.memoryHits}/${total})`);
+            }
+            if (job.usage) {
+                statusParts.push(formatUsage(job.usage));
             }
+            elements.translationStatus.textContent = statusParts.join(' · ');
+            chunkJob = null;
 
+            const output = stitchChunks(job);
+            if (useMemory) {
+                recordMemory(job);
+            }
+            const glossaryMatches = glossary.findMatches(job.sourceText, sourceLang, targetLang);
+            renderGlossaryReport(glossary.findViolations(glossaryMatches, output));
+
+            // Save for potential history save
+            lastTranslation = {
+                sourceLang,
+                targetLang,
+                sourceText: job.sourceText,
+                targetText: output,
+                provider: job.producedBy ? job.producedBy.provider : provider,
+                model: job.producedBy ? job.producedBy.model : model,
+                usage: job.usage || null,
+                context: job.context
+            };
+            if (settings.get('historyAutoSave')) {
+                autoSaveToHistory(lastTranslation);
+            }
         } catch (error) {
             if (error.name === 'AbortError' || error.message?.includes('aborted')) {
-                elements.translationStatus.textContent = '번역 중단됨';
+                // Whatever was produced so far stays on screen, marked as incomplete
+                elements.translationStatus.textContent = formatChunkStatus('번역 중단됨', index, total);
+                elements.targetText.classList.add('interrupted');
+                elements.continueBtn.style.display = 'flex';
             } else {
                 console.error('Translation error:', error);
-                elements.translationStatus.textContent = '';
+                elements.translationStatus.textContent = total > 1 ? `청크 ${index + 1}/${total} 실패` : '';
                 showToast(error.message);
             }
+
+            if (total > 1 && index < total) {
+                elements.retryChunkBtn.style.display = 'flex';
+            }
         } finally {
             setTranslating(false);
         }
     }
 
+    // Retries a failed chunk or continues an interrupted one
+    function resumeChunkJob() {
+        if (!chunkJob || isTranslating) return;
+        runChunkJob(chunkJob);
+    }
+
+    // Joins finished chunk translations (plus the one still streaming) with the original separators
+    function stitchChunks(job, partial = null) {
+        let output = job.results
+            .map((result, i) => result + job.chunks[i].separator)
+            .join('');
+        if (partial !== null) {
+            output += partial;
+        }
+        return output;
+    }
+
+    // Cuts a partial translation back to its last complete sentence or line, so that the
+    // continuation starts at a clean boundary instead of in the middle of a word
+    function trimToLastSentence(text) {
+        const match = /^[\s\S]*(?:[.!?。！？]["'”’」』)\]]*|\n)/.exec(text);
+        return match ? match[0] : '';
+    }
+
+    function joinContinuation(kept, continuation) {
+        if (!kept) return continuation;
+        // Sentences in spaced scripts need a space; CJK punctuation and line breaks do not
+        return /[\s。！？」』]$/.test(kept) ? kept + continuation : `${kept} ${continuation}`;
+    }
+
+    function formatChunkStatus(label, index, total) {
+        return total > 1 ? `청크 ${index + 1}/${total} ${label}` : label;
+    }
+
     function setTranslating(value) {
         isTranslating = value;
         // Don't disable button, allow clicking to stop
@@ -459,323 +748,2266 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // ===========================================
-    // Reasoning Panel
+    // Compare Mode
     // ===========================================
 
-    function resetReasoningPanel(show = false) {
-        if (show) {
-            elements.reasoningPanel.style.display = 'block';
-            elements.reasoningPanel.classList.remove('collapsed');
-            elements.reasoningBadge.textContent = 'thinking...';
-            elements.reasoningBadge.classList.remove('done');
-            elements.reasoningText.textContent = '';
-            elements.reasoningText.classList.add('streaming');
-        } else {
-            elements.reasoningPanel.style.display = 'none';
+    const MAX_COMPARE_SLOTS = 4;
+    const MIN_COMPARE_SLOTS = 2;
+
+    function toggleComparePanel() {
+        const visible = elements.comparePanel.style.display !== 'none';
+        elements.comparePanel.style.display = visible ? 'none' : 'block';
+        elements.compareBtn.classList.toggle('active', !visible);
+        if (!visible) {
+            renderCompareSlots();
         }
     }
 
-    function updateReasoningPanel(reasoning) {
-        elements.reasoningText.textContent = reasoning;
-        // Auto-scroll to bottom
-        elements.reasoningContent.scrollTop = elements.reasoningContent.scrollHeight;
+    function getCompareSlots() {
+        return settings.get('compare.slots') || [];
     }
 
-    function finalizeReasoningPanel(reasoning) {
-        if (reasoning) {
-            elements.reasoningText.classList.remove('streaming');
-            elements.reasoningBadge.textContent = 'complete';
-            elements.reasoningBadge.classList.add('done');
+    function saveCompareSlots(slots) {
+        settings.set('compare.slots', slots);
+        settings.save();
+    }
+
+    function renderCompareSlots() {
+        const slots = getCompareSlots();
+
+        elements.compareGrid.style.gridTemplateColumns = `repeat(${slots.length}, minmax(0, 1fr))`;
+        elements.compareGrid.innerHTML = slots.map((slot, i) => `
+            <div class="compare-column" data-index="${i}">
+                <div class="compare-column-header">
+                    <select class="select-input compare-provider">${elements.providerSelect.innerHTML}</select>
+                    <select class="select-input compare-model"></select>
+                    <button class="glossary-delete-btn compare-remove" title="제거" ${slots.length <= MIN_COMPARE_SLOTS ? 'disabled' : ''}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="compare-stats"></div>
+                <div class="translation-output compare-output"></div>
+                <div class="compare-column-footer">
+                    <button class="btn-secondary compare-pick" disabled>이 번역 선택</button>
+                </div>
+            </div>
+        `).join('');
+
+        elements.compareGrid.querySelectorAll('.compare-column').forEach(column => {
+            const index = parseInt(column.dataset.index);
+            const providerSelect = column.querySelector('.compare-provider');
+            const modelSelect = column.querySelector('.compare-model');
+
+            providerSelect.value = slots[index].provider;
+            loadCompareModels(modelSelect, slots[index].provider, slots[index].model);
+
+            providerSelect.addEventListener('change', () => {
+                updateCompareSlot(index, { provider: providerSelect.value, model: '' });
+                loadCompareModels(modelSelect, providerSelect.value, '');
+            });
+            modelSelect.addEventListener('change', () => {
+                updateCompareSlot(index, { model: modelSelect.value });
+            });
+            column.querySelector('.compare-remove').addEventListener('click', () => removeCompareSlot(index));
+            column.querySelector('.compare-pick').addEventListener('click', () => pickCompareResult(index));
+        });
+    }
+
+    async function loadCompareModels(modelSelect, provider, selectedModel) {
+        const model = await fillModelSelect(modelSelect, provider, selectedModel);
+        if (model && model !== selectedModel) {
+            // Remember the model the select fell back to
+            const column = modelSelect.closest('.compare-column');
+            updateCompareSlot(parseInt(column.dataset.index), { model });
         }
     }
 
-    function toggleReasoningPanel() {
-        elements.reasoningPanel.classList.toggle('collapsed');
+    // Fills a model <select> for the provider and resolves to the selected model
+    async function fillModelSelect(modelSelect, provider, selectedModel) {
+        const providerType = resolveProviderType(provider);
+        let models;
+        try {
+            models = await ProviderFactory.fetchModels(providerType, settings.getProviderConfig(provider));
+        } catch (e) {
+            console.error('Failed to fetch models:', e);
+            models = ProviderFactory.getDefaultModels(providerType);
+        }
+
+        modelSelect.innerHTML = '';
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.value;
+            option.textContent = model.label;
+            modelSelect.appendChild(option);
+        });
+
+        if (models.some(m => m.value === selectedModel)) {
+            modelSelect.value = selectedModel;
+        }
+        return modelSelect.value;
     }
 
-    // ===========================================
-    // Settings Modal
-    // ===========================================
+    function updateCompareSlot(index, updates) {
+        const slots = getCompareSlots();
+        slots[index] = { ...slots[index], ...updates };
+        saveCompareSlots(slots);
+    }
 
-    function openSettings() {
-        loadSettingsToUI();
-        elements.settingsModal.classList.add('active');
+    function addCompareSlot() {
+        const slots = getCompareSlots();
+        if (slots.length >= MAX_COMPARE_SLOTS) {
+            showToast(`최대 ${MAX_COMPARE_SLOTS}개의 모델까지 비교할 수 있습니다.`);
+            return;
+        }
+        slots.push({ provider: elements.providerSelect.value, model: elements.modelSelect.value });
+        saveCompareSlots(slots);
+        renderCompareSlots();
     }
 
-    function closeSettings() {
-        elements.settingsModal.classList.remove('active');
+    function removeCompareSlot(index) {
+        const slots = getCompareSlots();
+        if (slots.length <= MIN_COMPARE_SLOTS || compareRun) return;
+        slots.splice(index, 1);
+        saveCompareSlots(slots);
+        renderCompareSlots();
     }
 
-    function loadSettingsToUI() {
-        const advancedEnabled = settings.get('enableAdvancedSettings');
-        if (elements.enableAdvancedSettings) {
-            elements.enableAdvancedSettings.checked = advancedEnabled;
-            toggleAdvancedSettingsUI(advancedEnabled);
-            
-            elements.enableAdvancedSettings.onchange = (e) => {
-                toggleAdvancedSettingsUI(e.target.checked);
-            };
+    async function runCompare() {
+        // A second click stops the running comparison
+        if (compareRun) {
+            compareRun.controller.abort();
+            return;
         }
 
-        elements.openaiKey.value = settings.get('openai.apiKey') || '';
-        elements.openaiBaseUrl.value = settings.get('openai.baseUrl') || '';
-        
-        elements.openaiTemp.value = settings.get('openai.temperature') || 1.0;
-        elements.openaiTopP.value = settings.get('openai.top_p') || 1.0;
-        elements.openaiPres.value = settings.get('openai.presence_penalty') || 0.0;
-        elements.openaiFreq.value = settings.get('openai.frequency_penalty') || 0.0;
-
-        elements.claudeKey.value = settings.get('claude.apiKey') || '';
-        elements.claudeTemp.value = settings.get('claude.temperature') || 1.0;
-        elements.claudeTopP.value = settings.get('claude.top_p') || 1.0;
-        elements.claudeTopK.value = settings.get('claude.top_k') || 0;
-
-        elements.geminiKey.value = settings.get('gemini.apiKey') || '';
-        elements.geminiTemp.value = settings.get('gemini.temperature') || 1.0;
-        elements.geminiTopP.value = settings.get('gemini.top_p') || 1.0;
-        elements.geminiTopK.value = settings.get('gemini.top_k') || 0;
-
-        elements.ollamaUrl.value = settings.get('ollama.baseUrl') || 'http://localhost:11434';
-        elements.ollamaTemp.value = settings.get('ollama.temperature') || 0.8;
-        elements.ollamaTopP.value = settings.get('ollama.top_p') || 0.9;
-        elements.ollamaTopK.value = settings.get('ollama.top_k') || 40;
-        elements.ollamaRepPen.value = settings.get('ollama.repeat_penalty') || 1.1;
-
-        elements.llamacppUrl.value = settings.get('llamacpp.baseUrl') || 'http://localhost:8080';
-        elements.llamacppTemp.value = settings.get('llamacpp.temperature') || 0.8;
-        elements.llamacppTopP.value = settings.get('llamacpp.top_p') || 0.9;
-        elements.llamacppTopK.value = settings.get('llamacpp.top_k') || 40;
-        elements.llamacppRepPen.value = settings.get('llamacpp.repeat_penalty') || 1.1;
-
-        if (elements.translategemmaUrl) {
-            elements.translategemmaUrl.value = settings.get('translategemma.baseUrl') || 'http://localhost:8080';
-        }
-
-        elements.systemPrompt.value = settings.get('prompts.system') || '';
-        elements.userPrompt.value = settings.get('prompts.user') || '';
-        
-        // Render custom endpoints
-        renderCustomEndpoints();
-        // Helper to update range value display
-        const updateRangeDisplay = (id, valId) => {
-            const el = document.getElementById(id);
-            const valEl = document.getElementById(valId);
-            if (el && valEl) {
-                valEl.textContent = el.value;
-                el.addEventListener('input', () => valEl.textContent = el.value);
-            }
+        const text = elements.sourceText.value.trim();
+        if (!text) {
+            showToast('번역할 텍스트를 입력하세요.');
+            return;
+        }
+
+        const sourceLang = resolveSourceLang(text);
+        const targetLang = elements.targetLang.value;
+        const { system: systemPrompt, user: userPrompt } = getSelectedPreset();
+        const useStreaming = elements.streamToggle.checked;
+        const glossaryMatches = glossary.findMatches(text, sourceLang, targetLang);
+        const context = elements.contextNotes.value.trim();
+        const style = getStyle();
+        rememberLanguages(sourceLang, targetLang);
+
+        // Marked as running before the first await, so a second click stops this run
+        // instead of starting another one
+        compareRun = {
+            controller: new AbortController(),
+            sourceText: text,
+            sourceLang,
+            targetLang,
+            context,
+            results: getCompareSlots().map(slot => ({ ...slot, output: '', latencyMs: null, firstTokenMs: null, usage: null, error: null }))
         };
+        const run = compareRun;
+        elements.runCompareBtn.textContent = '멈추기';
 
-        // Initialize range displays
-        updateRangeDisplay('openaiTemp', 'openaiTempVal');
-        updateRangeDisplay('openaiTopP', 'openaiTopPVal');
-        updateRangeDisplay('openaiPres', 'openaiPresVal');
-        updateRangeDisplay('openaiFreq', 'openaiFreqVal');
+        const references = await getContextReferences(sourceLang, targetLang);
+        if (run.controller.signal.aborted) {
+            compareRun = null;
+            elements.runCompareBtn.textContent = '비교 실행';
+            return;
+        }
 
-        updateRangeDisplay('claudeTemp', 'claudeTempVal');
-        updateRangeDisplay('claudeTopP', 'claudeTopPVal');
-        updateRangeDisplay('claudeTopK', 'claudeTopKVal');
+        const columns = elements.compareGrid.querySelectorAll('.compare-column');
+        columns.forEach(column => {
+            column.classList.remove('picked');
+            column.querySelector('.compare-output').textContent = '';
+            column.querySelector('.compare-pick').disabled = true;
+            column.querySelector('.compare-stats').textContent = '대기 중...';
+        });
 
-        updateRangeDisplay('geminiTemp', 'geminiTempVal');
-        updateRangeDisplay('geminiTopP', 'geminiTopPVal');
-        updateRangeDisplay('geminiTopK', 'geminiTopKVal');
+        await Promise.allSettled(run.results.map(async (result, i) => {
+            const column = columns[i];
+            const output = column.querySelector('.compare-output');
+            const stats = column.querySelector('.compare-stats');
+            const config = settings.getProviderConfig(result.provider);
+            config.model = result.model;
+            const options = {
+                signal: run.controller.signal,
+                glossary: glossaryMatches,
+                variables: settings.getPromptVariables(),
+                context,
+                references,
+                style,
+                onUsage: (counts) => {
+                    result.usage = recordUsage(result.provider, config.model, counts);
+                }
+            };
+            const startedAt = performance.now();
+
+            try {
+                const providerInstance = ProviderFactory.create(resolveProviderType(result.provider), config);
+                stats.textContent = useStreaming ? '스트리밍 중...' : '번역 중...';
+
+                if (useStreaming) {
+                    result.output = await providerInstance.translateStream(
+                        text, sourceLang, targetLang, systemPrompt, userPrompt,
+                        {
+                            onContent: (content) => {
+                                if (result.firstTokenMs === null) {
+                                    result.firstTokenMs = performance.now() - startedAt;
+                                }
+                                output.textContent = content;
+                                stats.textContent = `스트리밍 중... · ${content.length}자`;
+                            }
+                        },
+                        options
+                    );
+                } else {
+                    result.output = await providerInstance.translate(
+                        text, sourceLang, targetLang, systemPrompt, userPrompt, options
+                    );
+                }
 
-        updateRangeDisplay('ollamaTemp', 'ollamaTempVal');
-        updateRangeDisplay('ollamaTopP', 'ollamaTopPVal');
-        updateRangeDisplay('ollamaTopK', 'ollamaTopKVal');
-        updateRangeDisplay('ollamaRepPen', 'ollamaRepPenVal');
+                result.latencyMs = performance.now() - startedAt;
+                output.textContent = result.output;
+                stats.textContent = formatCompareStats(result);
+                column.querySelector('.compare-pick').disabled = !result.output;
+            } catch (error) {
+                result.error = error;
+                const aborted = error.name === 'AbortError' || error.message?.includes('aborted');
+                stats.textContent = aborted ? '중단됨' : `오류: ${error.message}`;
+                if (!aborted) console.error('Compare error:', error);
+            }
+        }));
 
-        updateRangeDisplay('llamacppTemp', 'llamacppTempVal');
-        updateRangeDisplay('llamacppTopP', 'llamacppTopPVal');
-        updateRangeDisplay('llamacppTopK', 'llamacppTopKVal');
-        updateRangeDisplay('llamacppRepPen', 'llamacppRepPenVal');
+        compareRun = null;
+        elements.runCompareBtn.textContent = '비교 실행';
+        lastCompare = run;
     }
-    
-    function toggleAdvancedSettingsUI(enabled) {
-        if (!elements.advancedSettingsContainer) return;
-        
-        if (enabled) {
-            elements.advancedSettingsContainer.classList.remove('disabled-section');
-            // Enable inputs
-            const inputs = elements.advancedSettingsContainer.querySelectorAll('input, select');
-            inputs.forEach(input => input.disabled = false);
-        } else {
-            elements.advancedSettingsContainer.classList.add('disabled-section');
-            // Disable inputs to prevent interaction
-            const inputs = elements.advancedSettingsContainer.querySelectorAll('input, select');
-            inputs.forEach(input => input.disabled = true);
+
+    function formatCompareStats(result) {
+        const parts = [];
+        if (result.firstTokenMs !== null) {
+            parts.push(`첫 토큰 ${(result.firstTokenMs / 1000).toFixed(1)}s`);
         }
+        parts.push(`완료 ${(result.latencyMs / 1000).toFixed(1)}s`);
+        parts.push(`${result.output.length}자`);
+        if (result.usage) {
+            parts.push(formatUsage(result.usage));
+        }
+        return parts.join(' · ');
     }
 
-    function saveSettingsFromUI() {
-        settings.set('enableAdvancedSettings', elements.enableAdvancedSettings ? elements.enableAdvancedSettings.checked : false);
+    function pickCompareResult(index) {
+        if (!lastCompare || !lastCompare.results[index]?.output) return;
+        const winner = lastCompare.results[index];
+
+        elements.targetText.textContent = winner.output;
+        lastTranslation = {
+            sourceLang: lastCompare.sourceLang,
+            targetLang: lastCompare.targetLang,
+            sourceText: lastCompare.sourceText,
+            targetText: winner.output,
+            provider: winner.provider,
+            model: winner.model,
+            usage: winner.usage,
+            context: lastCompare.context,
+            comparison: lastCompare.results.map(r => ({
+                provider: r.provider,
+                model: r.model,
+                latencyMs: r.latencyMs !== null ? Math.round(r.latencyMs) : null,
+                chars: r.output.length,
+                usage: r.usage,
+                error: r.error ? r.error.message : null
+            }))
+        };
+        addToHistory(lastTranslation, `${winner.model || winner.provider} 번역이 기록에 저장되었습니다.`);
 
-        settings.set('openai.apiKey', elements.openaiKey.value.trim());
-        settings.set('openai.baseUrl', elements.openaiBaseUrl.value.trim());
-        settings.set('openai.temperature', parseFloat(elements.openaiTemp.value));
-        settings.set('openai.top_p', parseFloat(elements.openaiTopP.value));
-        settings.set('openai.presence_penalty', parseFloat(elements.openaiPres.value));
-        settings.set('openai.frequency_penalty', parseFloat(elements.openaiFreq.value));
-
-        settings.set('claude.apiKey', elements.claudeKey.value.trim());
-        settings.set('claude.temperature', parseFloat(elements.claudeTemp.value));
-        settings.set('claude.top_p', parseFloat(elements.claudeTopP.value));
-        settings.set('claude.top_k', parseInt(elements.claudeTopK.value));
-
-        settings.set('gemini.apiKey', elements.geminiKey.value.trim());
-        settings.set('gemini.temperature', parseFloat(elements.geminiTemp.value));
-        settings.set('gemini.top_p', parseFloat(elements.geminiTopP.value));
-        settings.set('gemini.top_k', parseInt(elements.geminiTopK.value));
-
-        settings.set('ollama.baseUrl', elements.ollamaUrl.value.trim());
-        settings.set('ollama.temperature', parseFloat(elements.ollamaTemp.value));
-        settings.set('ollama.top_p', parseFloat(elements.ollamaTopP.value));
-        settings.set('ollama.top_k', parseInt(elements.ollamaTopK.value));
-        settings.set('ollama.repeat_penalty', parseFloat(elements.ollamaRepPen.value));
-
-        settings.set('llamacpp.baseUrl', elements.llamacppUrl.value.trim());
-        settings.set('llamacpp.temperature', parseFloat(elements.llamacppTemp.value));
-        settings.set('llamacpp.top_p', parseFloat(elements.llamacppTopP.value));
-        settings.set('llamacpp.top_k', parseInt(elements.llamacppTopK.value));
-        settings.set('llamacpp.repeat_penalty', parseFloat(elements.llamacppRepPen.value));
-
-        if (elements.translategemmaUrl) {
-            settings.set('translategemma.baseUrl', elements.translategemmaUrl.value.trim());
-        }
-
-        settings.set('prompts.system', elements.systemPrompt.value);
-        settings.set('prompts.user', elements.userPrompt.value);
-        
-        // Save custom endpoints from UI
-        saveCustomEndpointsFromUI();
+        elements.compareGrid.querySelectorAll('.compare-column').forEach((column, i) => {
+            column.classList.toggle('picked', i === index);
+        });
     }
 
-    function saveSettings() {
-        saveSettingsFromUI();
-        
-        settings.save();
-        
-        // Update provider dropdown with new endpoints
-        updateProviderSelect();
-        
-        showToast('설정이 저장되었습니다.');
-        closeSettings();
+    // ===========================================
+    // Batch Translation
+    // ===========================================
+
+    const BATCH_STATUS_LABELS = { pending: '대기', running: '번역 중', done: '완료', error: '실패' };
+
+    function toggleBatchPanel() {
+        const visible = elements.batchPanel.style.display !== 'none';
+        elements.batchPanel.style.display = visible ? 'none' : 'block';
+        elements.batchBtn.classList.toggle('active', !visible);
+        if (!visible) {
+            elements.batchConcurrency.value = settings.get('batch.concurrency');
+            renderBatchTable();
+        }
     }
 
-    function switchTab(tabName) {
-        elements.tabBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === tabName);
-        });
-        elements.tabContents.forEach(content => {
-            content.classList.toggle('active', content.id === `${tabName}-tab`);
-        });
+    function previewText(text, length = 60) {
+        const line = text.replace(/\s+/g, ' ').trim();
+        return line.length > length ? `${line.slice(0, length)}…` : line;
     }
 
-    // ===========================================
-    // Custom Endpoints
-    // ===========================================
+    function renderBatchTable() {
+        const counts = batch.getCounts();
+        elements.batchSummary.textContent = counts.total > 0
+            ? `전체 ${counts.total} · 완료 ${counts.done} · 실패 ${counts.error} · 남음 ${counts.pending + counts.running}`
+            : '';
 
-    function renderCustomEndpoints() {
-        const endpoints = settings.getCustomEndpoints();
-        
-        if (endpoints.length === 0) {
-            elements.customEndpointsList.innerHTML = `
-                <div class="endpoint-empty">
-                    커스텀 엔드포인트가 없습니다.<br>
-                    <small>+ 버튼을 눌러 추가하세요.</small>
-                </div>
-            `;
+        if (counts.total === 0) {
+            elements.batchTable.innerHTML = '<p class="help-text fallback-empty">추가된 항목이 없습니다.</p>';
             return;
         }
 
-        elements.customEndpointsList.innerHTML = endpoints.map(ep => `
-            <div class="endpoint-card" data-id="${ep.id}">
-                <div class="endpoint-card-header">
-                    <span class="endpoint-card-name">${escapeHtml(ep.name || 'Custom API')}</span>
-                    <div class="endpoint-card-actions">
-                        <button class="delete-btn" data-id="${ep.id}" title="삭제">
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <polyline points="3 6 5 6 21 6"/>
-                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-                            </svg>
-                        </button>
-                    </div>
-                </div>
-                <div class="input-group">
-                    <label>이름</label>
-                    <input type="text" class="text-input ep-name" value="${escapeHtml(ep.name || '')}" placeholder="예: My Local LLM">
-                </div>
-                <div class="input-group">
-                    <label>Base URL</label>
-                    <input type="text" class="text-input ep-url" value="${escapeHtml(ep.baseUrl || '')}" placeholder="https://api.example.com/v1">
-                </div>
-                <div class="input-group">
-                    <label>API Key (선택)</label>
-                    <input type="password" class="text-input ep-key" value="${escapeHtml(ep.apiKey || '')}" placeholder="API Key">
-                </div>
+        elements.batchTable.innerHTML = `
+            <table class="usage-table batch-table">
+                <thead>
+                    <tr><th>항목</th><th>원문</th><th>번역</th><th>상태</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${batch.items.map(item => `
+                        <tr data-id="${item.id}">
+                            <td>${item.kind === 'file' ? escapeHtml(item.name) : `#${item.name}`}</td>
+                            <td>${escapeHtml(previewText(item.sourceText))}</td>
+                            <td>${escapeHtml(previewText(item.output))}</td>
+                            <td>
+                                <span class="batch-status ${item.status}">${BATCH_STATUS_LABELS[item.status]}</span>
+                                ${item.attempts > 1 ? `<span class="batch-detail">${item.attempts}번째 시도</span>` : ''}
+                                ${item.detail ? `<span class="batch-detail">${escapeHtml(item.detail)}</span>` : ''}
+                                ${item.error ? `<span class="batch-detail batch-error">${escapeHtml(item.error)}</span>` : ''}
+                            </td>
+                            <td>
+                                ${item.status === 'error' ? '<button class="btn-secondary batch-retry">재시도</button>' : ''}
+                                ${item.status !== 'running' ? `
+                                    <button class="glossary-delete-btn batch-remove" title="삭제">
+                                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                            <line x1="18" y1="6" x2="6" y2="18"/>
+                                            <line x1="6" y1="6" x2="18" y2="18"/>
+                                        </svg>
+                                    </button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async function addBatchFiles(files) {
+        try {
+            const { added, skipped } = await batch.addFiles(files);
+            showToast(skipped.length > 0
+                ? `${added}개 파일을 추가했습니다. 건너뛴 파일 (.txt / .md만, 빈 파일 제외): ${skipped.join(', ')}`
+                : `${added}개 파일을 추가했습니다.`);
+        } catch (e) {
+            showToast(e.message);
+        }
+        renderBatchTable();
+    }
+
+    function addBatchLines() {
+        const added = batch.addLines(elements.batchLines.value);
+        if (added === 0) {
+            showToast('추가할 줄을 입력하세요.');
+            return;
+        }
+        elements.batchLines.value = '';
+        renderBatchTable();
+    }
+
+    function onBatchTableClick(e) {
+        const row = e.target.closest('tr[data-id]');
+        if (!row) return;
+        if (e.target.closest('.batch-retry')) {
+            batch.retry(row.dataset.id);
+            renderBatchTable();
+            if (!batch.running) runBatch();
+        } else if (e.target.closest('.batch-remove')) {
+            batch.remove(row.dataset.id);
+            renderBatchTable();
+        }
+    }
+
+    function retryFailedBatchItems() {
+        if (batch.retry() === 0) {
+            showToast('재시도할 항목이 없습니다.');
+            return;
+        }
+        renderBatchTable();
+        if (!batch.running) runBatch();
+    }
+
+    // A second click stops the batch; unfinished items stay queued for the next run
+    async function runBatch() {
+        if (batch.running) {
+            batch.abort();
+            return;
+        }
+        if (batch.getCounts().pending === 0) {
+            showToast('번역할 항목이 없습니다.');
+            return;
+        }
+
+        const concurrency = Math.min(10, Math.max(1, parseInt(elements.batchConcurrency.value) || 1));
+        elements.batchConcurrency.value = concurrency;
+        settings.set('batch.concurrency', concurrency);
+        settings.save();
+
+        const provider = elements.providerSelect.value;
+        const model = elements.modelSelect.value;
+        const { system: systemPrompt, user: userPrompt } = getSelectedPreset();
+        const job = {
+            provider,
+            model,
+            chain: buildProviderChain(provider, model),
+            retry: settings.get('retry'),
+            sourceLang: elements.sourceLang.value,
+            targetLang: elements.targetLang.value,
+            systemPrompt,
+            userPrompt,
+            context: elements.contextNotes.value.trim(),
+            style: getStyle()
+        };
+        rememberLanguages(job.sourceLang, job.targetLang);
+
+        const ignored = getIgnoredControls(provider);
+        if (ignored.length > 0) {
+            showToast(formatIgnoredControls(provider, ignored));
+        }
+
+        elements.runBatchBtn.textContent = '멈추기';
+        await batch.run((item, signal) => translateBatchItem(item, signal, job), {
+            concurrency,
+            onUpdate: renderBatchTable
+        });
+        elements.runBatchBtn.textContent = '일괄 번역 실행';
+        renderBatchTable();
+
+        const counts = batch.getCounts();
+        if (counts.pending > 0) {
+            showToast(`일괄 번역이 중단되었습니다. 남은 항목 ${counts.pending}개`);
+        } else {
+            showToast(counts.error > 0
+                ? `일괄 번역 완료: 성공 ${counts.done}개, 실패 ${counts.error}개`
+                : `일괄 번역 완료: ${counts.done}개`);
+        }
+    }
+
+    // Translates one item chunk by chunk through the provider chain (without streaming) and
+    // saves it to history; resolves to the fields BatchQueue merges into the item
+    async function translateBatchItem(item, signal, job) {
+        const { targetLang } = job;
+        const sourceLang = job.sourceLang === 'auto' ? resolveSourceLang(item.sourceText) : job.sourceLang;
+        const useMemory = settings.get('translationMemory.enabled');
+        const itemJob = {
+            provider: job.provider,
+            model: job.model,
+            sourceLang,
+            targetLang,
+            chunks: settings.get('chunking.enabled')
+                ? new TextChunker(settings.get('chunking.maxTokens')).split(item.sourceText)
+                : [{ text: item.sourceText, separator: '' }],
+            results: [],
+            memoryVariant: getMemoryVariant(job)
+        };
+        const total = itemJob.chunks.length;
+
+        for (let index = 0; index < total; index++) {
+            const chunk = itemJob.chunks[index];
+
+            const memoryHit = useMemory ? await lookupMemory(chunk.text, sourceLang, targetLang, itemJob.memoryVariant) : null;
+            if (memoryHit !== null) {
+                itemJob.results.push(memoryHit);
+                continue;
+            }
+
+            if (total > 1) {
+                item.detail = `청크 ${index + 1}/${total}`;
+                renderBatchTable();
+            }
+            const options = {
+                signal,
+                previousTranslation: index > 0 ? itemJob.results[index - 1] : '',
+                glossary: glossary.findMatches(chunk.text, sourceLang, targetLang),
+                tmExamples: useMemory ? await findMemoryExamples(chunk.text, sourceLang, targetLang) : [],
+                variables: settings.getPromptVariables(),
+                context: job.context,
+                style: job.style
+            };
+            const { result, entry } = await ProviderFactory.runWithFallback(job.chain, (providerInstance, entry) =>
+                providerInstance.translate(chunk.text, sourceLang, targetLang, job.systemPrompt, job.userPrompt, {
+                    ...options,
+                    onUsage: (counts) => {
+                        itemJob.usage = addUsage(itemJob.usage, recordUsage(entry.provider, entry.model, counts));
+                    }
+                }), {
+                retry: job.retry,
+                signal,
+                onRetry: ({ entry, attempt, maxRetries, delayMs }) => {
+                    item.detail = `${entry.label} 재시도 ${attempt}/${maxRetries} (${Math.ceil(delayMs / 1000)}초 후)`;
+                    renderBatchTable();
+                },
+                onFallback: ({ entry }) => {
+                    item.detail = `${entry.label}(으)로 전환 중...`;
+                    renderBatchTable();
+                }
+            });
+            itemJob.producedBy = entry;
+            itemJob.results.push(result);
+        }
+
+        const output = stitchChunks(itemJob);
+        if (useMemory) {
+            recordMemory(itemJob);
+        }
+
+        const entry = {
+            sourceLang,
+            targetLang,
+            sourceText: item.sourceText,
+            targetText: output,
+            provider: itemJob.producedBy ? itemJob.producedBy.provider : job.provider,
+            model: itemJob.producedBy ? itemJob.producedBy.model : job.model,
+            usage: itemJob.usage || null,
+            context: job.context,
+            tags: ['batch']
+        };
+        await autoSaveToHistory(entry);
+
+        return {
+            output,
+            targetLang,
+            detail: itemJob.producedBy ? itemJob.producedBy.label : '번역 메모리',
+            historyId: entry.historyId || null
+        };
+    }
+
+    function downloadBatch(format) {
+        const counts = batch.getCounts();
+        if (batch.export(format) === 0) {
+            showToast('다운로드할 번역 결과가 없습니다.');
+        } else if (counts.done < counts.total) {
+            showToast(`완료된 ${counts.done}/${counts.total}개 항목만 포함했습니다.`);
+        }
+    }
+
+    // ===========================================
+    // Localization Files
+    // ===========================================
+
+    function toggleLocalizationPanel() {
+        const visible = elements.localizationPanel.style.display !== 'none';
+        elements.localizationPanel.style.display = visible ? 'none' : 'block';
+        elements.localizationBtn.classList.toggle('active', !visible);
+        if (!visible) {
+            renderLocalizationTable();
+        }
+    }
+
+    async function loadLocalizationFile(file) {
+        if (localizationJob && localizationJob.controller) {
+            showToast('번역이 끝난 뒤에 다른 파일을 여세요.');
+            return;
+        }
+        try {
+            localizationJob = {
+                file: await LocalizationFile.fromFile(file),
+                results: new Map(),
+                problems: new Map(),
+                sourceLang: null,
+                targetLang: null,
+                controller: null,
+                statusElement: elements.localizationSummary
+            };
+            showToast(`${file.name}: 번역할 값 ${localizationJob.file.entries.length}개`);
+        } catch (e) {
+            showToast(e.message);
+        }
+        renderLocalizationTable();
+    }
+
+    function renderLocalizationTable() {
+        const job = localizationJob;
+        if (!job) {
+            elements.localizationSummary.textContent = '';
+            elements.localizationTable.innerHTML = '<p class="help-text fallback-empty">선택한 파일이 없습니다.</p>';
+            return;
+        }
+
+        const { file } = job;
+        const targetLang = job.targetLang || elements.targetLang.value;
+        const units = file.getUnits(targetLang);
+        const done = units.filter(unit => job.results.has(unit.id)).length;
+        const parts = [file.name, file.getFormatLabel(), `항목 ${file.entries.length}개`, `번역 ${done}/${units.length}`];
+        if (job.problems.size > 0) {
+            parts.push(`자리표시자 확인 필요 ${job.problems.size}개`);
+        }
+        elements.localizationSummary.textContent = parts.join(' · ');
+
+        if (file.entries.length === 0) {
+            elements.localizationTable.innerHTML = '<p class="help-text fallback-empty">번역할 값이 없습니다.</p>';
+            return;
+        }
+
+        // Plural entries show one line per category
+        const formatValue = (entry, valueOf, categories) => (entry.plural
+            ? categories.map(category => `${category}: ${valueOf(category)}`).join('\n')
+            : valueOf(null));
+        const categories = file.getPluralCategories(targetLang);
+
+        elements.localizationTable.innerHTML = `
+            <table class="usage-table localization-table">
+                <thead>
+                    <tr><th>키</th><th>원문</th><th>번역</th></tr>
+                </thead>
+                <tbody>
+                    ${file.entries.map(entry => {
+                        const problems = job.problems.get(entry.id) || [];
+                        const source = entry.plural
+                            ? formatValue(entry, category => entry.plural[category], Object.keys(entry.plural))
+                            : entry.value;
+                        const translated = formatValue(entry, category => {
+                            const id = category ? `${entry.id}#${category}` : entry.id;
+                            return job.results.has(id) ? job.results.get(id) : '';
+                        }, categories);
+                        return `
+                            <tr class="${problems.length > 0 ? 'has-problem' : ''}">
+                                <td>${escapeHtml(entry.key)}</td>
+                                <td>${escapeHtml(source)}</td>
+                                <td>
+                                    ${escapeHtml(translated)}
+                                    ${problems.map(p => `<span class="localization-problem">${escapeHtml(p)}</span>`).join('')}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Reads the provider, languages, prompts and style for a file job (localization or subtitles)
+    function prepareFileJob(job, sample, targetLang) {
+        const provider = elements.providerSelect.value;
+        const model = elements.modelSelect.value;
+        const { system: systemPrompt, user: userPrompt } = getSelectedPreset();
+        Object.assign(job, {
+            sourceLang: resolveSourceLang(sample),
+            targetLang,
+            chain: buildProviderChain(provider, model),
+            retry: settings.get('retry'),
+            systemPrompt,
+            userPrompt,
+            context: elements.contextNotes.value.trim(),
+            style: getStyle()
+        });
+        rememberLanguages(job.sourceLang, targetLang);
+    }
+
+    // Sends one request of a file job through the provider chain, with the file instructions as
+    // context; retries and fallbacks are reported in job.statusElement
+    async function translateFileText(text, sourceText, instructions, job) {
+        const { result } = await ProviderFactory.runWithFallback(job.chain, (providerInstance, entry) =>
+            providerInstance.translate(text, job.sourceLang, job.targetLang, job.systemPrompt, job.userPrompt, {
+                signal: job.controller.signal,
+                glossary: glossary.findMatches(sourceText, job.sourceLang, job.targetLang),
+                variables: settings.getPromptVariables(),
+                context: [instructions, job.context].filter(Boolean).join('\n\n'),
+                style: job.style,
+                onUsage: (counts) => {
+                    recordUsage(entry.provider, entry.model, counts);
+                }
+            }), {
+            retry: job.retry,
+            signal: job.controller.signal,
+            onRetry: ({ entry, attempt, maxRetries, delayMs }) => {
+                job.statusElement.textContent = `${entry.label} 재시도 ${attempt}/${maxRetries} (${Math.ceil(delayMs / 1000)}초 후)`;
+            },
+            onFallback: ({ entry }) => {
+                job.statusElement.textContent = `${entry.label}(으)로 전환 중...`;
+            }
+        });
+        return result;
+    }
+
+    // Translates the values still missing for the target language, a JSON object of values per
+    // request; values the answer leaves out are retried one by one. A second click stops it.
+    async function runLocalization() {
+        const job = localizationJob;
+        if (job && job.controller) {
+            job.controller.abort();
+            return;
+        }
+        if (!job) {
+            showToast('현지화 파일을 먼저 선택하세요.');
+            return;
+        }
+
+        const { file } = job;
+        const targetLang = elements.targetLang.value;
+        if (job.targetLang !== targetLang) {
+            job.results = new Map();
+            job.problems = new Map();
+        }
+        const sample = file.entries.slice(0, 50).map(entry => entry.value ?? entry.plural.other).join('\n');
+        prepareFileJob(job, sample, targetLang);
+
+        // Values without words (numbers, bare placeholders) are copied as they are
+        const units = file.getUnits(targetLang);
+        units.filter(unit => !LocalizationFile.isTranslatable(unit.text)).forEach(unit => job.results.set(unit.id, unit.text));
+        const requests = file.buildRequests(units.filter(unit => !job.results.has(unit.id)), settings.get('chunking.maxTokens'));
+        if (requests.length === 0) {
+            showToast('번역할 값이 남아 있지 않습니다.');
+            renderLocalizationTable();
+            return;
+        }
+
+        job.controller = new AbortController();
+        elements.runLocalizationBtn.textContent = '멈추기';
+        try {
+            for (let i = 0; i < requests.length; i++) {
+                const request = requests[i];
+                elements.localizationSummary.textContent = `요청 ${i + 1}/${requests.length} 번역 중...`;
+                const sourceText = request.units.map(unit => unit.text).join('\n');
+                const response = await translateFileText(request.text, sourceText, LocalizationFile.INSTRUCTIONS, job);
+                const results = file.parseResponse(response, request);
+
+                for (const unit of request.units.filter(u => !results.has(u.id))) {
+                    const instructions = unit.category
+                        ? `${LocalizationFile.SINGLE_INSTRUCTIONS} Translate it as the "${unit.category}" plural form.`
+                        : LocalizationFile.SINGLE_INSTRUCTIONS;
+                    const single = await translateFileText(unit.protectedText, unit.text, instructions, job);
+                    results.set(unit.id, LocalizationFile.restore(single.trim(), unit.tokens));
+                }
+
+                results.forEach((value, id) => job.results.set(id, value));
+                job.problems = file.validate(job.results, targetLang);
+                renderLocalizationTable();
+            }
+
+            showToast(job.problems.size > 0
+                ? `${job.problems.size}개 항목의 자리표시자가 원문과 다릅니다. 표에서 확인하세요.`
+                : '현지화 파일 번역이 끝났습니다.');
+        } catch (error) {
+            if (error.name === 'AbortError' || error.message?.includes('aborted')) {
+                showToast('현지화 파일 번역이 중단되었습니다. 다시 실행하면 남은 값만 번역합니다.');
+            } else {
+                console.error('Localization error:', error);
+                showToast(error.message);
+            }
+        } finally {
+            job.controller = null;
+            elements.runLocalizationBtn.textContent = '값 번역';
+            renderLocalizationTable();
+        }
+    }
+
+    function downloadLocalizationFile() {
+        const job = localizationJob;
+        if (!job || job.results.size === 0) {
+            showToast('번역된 값이 없습니다.');
+            return;
+        }
+        try {
+            const filename = job.file.export(job.results, job.sourceLang, job.targetLang);
+            showToast(job.problems.size > 0
+                ? `${filename} 저장됨 · 자리표시자 확인 필요 ${job.problems.size}개`
+                : `${filename} 저장됨`);
+        } catch (e) {
+            console.error('Failed to write localization file:', e);
+            showToast(e.message);
+        }
+    }
+
+    // ===========================================
+    // Subtitle Files
+    // ===========================================
+
+    function toggleSubtitlePanel() {
+        const visible = elements.subtitlePanel.style.display !== 'none';
+        elements.subtitlePanel.style.display = visible ? 'none' : 'block';
+        elements.subtitleBtn.classList.toggle('active', !visible);
+        if (!visible) {
+            elements.subtitleBatchSize.value = settings.get('subtitles.batchSize');
+            elements.subtitleContextCues.value = settings.get('subtitles.contextCues');
+            renderSubtitleTable();
+        }
+    }
+
+    async function loadSubtitleFile(file) {
+        if (subtitleJob && subtitleJob.controller) {
+            showToast('번역이 끝난 뒤에 다른 파일을 여세요.');
+            return;
+        }
+        try {
+            subtitleJob = {
+                file: await SubtitleFile.fromFile(file),
+                results: new Map(),
+                problems: new Map(),
+                sourceLang: null,
+                targetLang: null,
+                controller: null,
+                statusElement: elements.subtitleSummary
+            };
+            showToast(`${file.name}: 대사 ${subtitleJob.file.cues.length}개`);
+        } catch (e) {
+            showToast(e.message);
+        }
+        renderSubtitleTable();
+    }
+
+    function getSubtitleOptions() {
+        const batchSize = Math.min(100, Math.max(1, parseInt(elements.subtitleBatchSize.value) || 1));
+        const contextCues = Math.min(20, Math.max(0, parseInt(elements.subtitleContextCues.value) || 0));
+        elements.subtitleBatchSize.value = batchSize;
+        elements.subtitleContextCues.value = contextCues;
+        settings.set('subtitles.batchSize', batchSize);
+        settings.set('subtitles.contextCues', contextCues);
+        settings.save();
+        return { batchSize, contextCues };
+    }
+
+    function setSubtitleResult(job, id, value) {
+        const cue = job.file.cues.find(c => c.id === id);
+        if (value.trim()) {
+            job.results.set(id, value);
+            const problems = job.file.checkTags(cue.text, value);
+            if (problems.length > 0) {
+                job.problems.set(id, problems);
+            } else {
+                job.problems.delete(id);
+            }
+        } else {
+            job.results.delete(id);
+            job.problems.delete(id);
+        }
+    }
+
+    function updateSubtitleSummary() {
+        const job = subtitleJob;
+        if (!job) {
+            elements.subtitleSummary.textContent = '';
+            return;
+        }
+        const { file } = job;
+        const parts = [file.name, file.getFormatLabel(), `대사 ${file.cues.length}개`, `번역 ${job.results.size}/${file.cues.length}`];
+        if (job.problems.size > 0) {
+            parts.push(`태그 확인 필요 ${job.problems.size}개`);
+        }
+        elements.subtitleSummary.textContent = parts.join(' · ');
+    }
+
+    function subtitleProblemsHtml(problems) {
+        return problems.map(p => `<span class="localization-problem">${escapeHtml(p)}</span>`).join('');
+    }
+
+    // Source and translation side by side; translations can be edited in place
+    function renderSubtitleTable() {
+        const job = subtitleJob;
+        updateSubtitleSummary();
+        if (!job) {
+            elements.subtitleTable.innerHTML = '<p class="help-text fallback-empty">선택한 파일이 없습니다.</p>';
+            return;
+        }
+
+        const dir = LanguageRegistry.isRTL(job.targetLang || elements.targetLang.value) ? 'rtl' : 'ltr';
+        const busy = job.controller !== null;
+        elements.subtitleTable.innerHTML = `
+            <table class="usage-table subtitle-table">
+                <thead>
+                    <tr><th>시간</th><th>원문</th><th>번역</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${job.file.cues.map(cue => {
+                        const problems = job.problems.get(cue.id) || [];
+                        const translated = job.results.get(cue.id) || '';
+                        return `
+                            <tr data-id="${cue.id}" class="${problems.length > 0 ? 'has-problem' : ''}">
+                                <td class="subtitle-time">
+                                    <span class="subtitle-number">#${cue.id}</span>
+                                    ${escapeHtml(cue.start)}<br>${escapeHtml(cue.end)}
+                                </td>
+                                <td class="subtitle-source">${cue.speaker ? `<span class="subtitle-speaker">${escapeHtml(cue.speaker)}</span>` : ''}${escapeHtml(cue.text)}</td>
+                                <td>
+                                    <textarea class="text-input subtitle-translation" data-id="${cue.id}" rows="${Math.max(2, cue.text.split('\n').length)}" dir="${dir}">${escapeHtml(translated)}</textarea>
+                                    <span class="subtitle-problems">${subtitleProblemsHtml(problems)}</span>
+                                </td>
+                                <td>
+                                    <button class="btn-secondary subtitle-retranslate" data-id="${cue.id}" ${busy ? 'disabled' : ''}>다시 번역</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Only the edited row is updated so the textarea keeps its focus
+    function onSubtitleEdit(e) {
+        const textarea = e.target.closest('.subtitle-translation');
+        if (!textarea || !subtitleJob) return;
+        const job = subtitleJob;
+        const id = textarea.dataset.id;
+        setSubtitleResult(job, id, textarea.value);
+
+        const problems = job.problems.get(id) || [];
+        const row = textarea.closest('tr');
+        row.classList.toggle('has-problem', problems.length > 0);
+        row.querySelector('.subtitle-problems').innerHTML = subtitleProblemsHtml(problems);
+        updateSubtitleSummary();
+    }
+
+    function onSubtitleTableClick(e) {
+        const button = e.target.closest('.subtitle-retranslate');
+        if (button) {
+            retranslateSubtitleCue(button.dataset.id);
+        }
+    }
+
+    // Sends one request with its neighbouring cues as context and stores the cues in the answer
+    async function translateSubtitleRequest(job, request, contextCues) {
+        const { file } = job;
+        const instructions = [SubtitleFile.INSTRUCTIONS, file.getContext(request, job.results, contextCues)].filter(Boolean).join('\n\n');
+        const sourceText = request.cues.map(c => c.cue.text).join('\n');
+        const response = await translateFileText(request.text, sourceText, instructions, job);
+        const results = file.parseResponse(response, request);
+        results.forEach((value, id) => setSubtitleResult(job, id, value));
+        return results;
+    }
+
+    // Translates the cues without a translation in order, so each request sees the translations
+    // of the cues before it; cues the answer leaves out are sent again one at a time.
+    // A second click stops it.
+    async function runSubtitles() {
+        const job = subtitleJob;
+        if (job && job.controller) {
+            job.controller.abort();
+            return;
+        }
+        if (!job) {
+            showToast('자막 파일을 먼저 선택하세요.');
+            return;
+        }
+
+        const { file } = job;
+        const targetLang = elements.targetLang.value;
+        // Edits made before the first run are kept
+        if (job.targetLang && job.targetLang !== targetLang) {
+            job.results = new Map();
+            job.problems = new Map();
+        }
+        const { batchSize, contextCues } = getSubtitleOptions();
+        prepareFileJob(job, file.cues.slice(0, 50).map(cue => file.stripTags(cue.text)).join('\n'), targetLang);
+
+        // Cues without words (music notes, sound marks) are copied as they are
+        file.cues.filter(cue => !file.isTranslatable(cue.text)).forEach(cue => job.results.set(cue.id, cue.text));
+        const requests = file.buildRequests(file.cues.filter(cue => !job.results.has(cue.id)), {
+            batchSize,
+            maxTokens: settings.get('chunking.maxTokens')
+        });
+        if (requests.length === 0) {
+            showToast('번역할 대사가 남아 있지 않습니다.');
+            renderSubtitleTable();
+            return;
+        }
+
+        job.controller = new AbortController();
+        elements.runSubtitleBtn.textContent = '멈추기';
+        renderSubtitleTable();
+        try {
+            for (let i = 0; i < requests.length; i++) {
+                elements.subtitleSummary.textContent = `요청 ${i + 1}/${requests.length} 번역 중...`;
+                const results = await translateSubtitleRequest(job, requests[i], contextCues);
+                for (const { cue } of requests[i].cues.filter(c => !results.has(c.cue.id))) {
+                    await translateSubtitleRequest(job, file.buildRequests([cue], { batchSize: 1 })[0], contextCues);
+                }
+                renderSubtitleTable();
+            }
+
+            const missing = file.cues.length - job.results.size;
+            if (missing > 0) {
+                showToast(`${missing}개 대사의 번역을 읽지 못했습니다. 다시 실행하면 남은 대사만 번역합니다.`);
+            } else {
+                showToast(job.problems.size > 0
+                    ? `${job.problems.size}개 대사의 태그가 원문과 다릅니다. 표에서 확인하세요.`
+                    : '자막 번역이 끝났습니다.');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError' || error.message?.includes('aborted')) {
+                showToast('자막 번역이 중단되었습니다. 다시 실행하면 남은 대사만 번역합니다.');
+            } else {
+                console.error('Subtitle error:', error);
+                showToast(error.message);
+            }
+        } finally {
+            job.controller = null;
+            elements.runSubtitleBtn.textContent = '자막 번역';
+            renderSubtitleTable();
+        }
+    }
+
+    // Translates one cue again with the cues around it (and their translations) as context
+    async function retranslateSubtitleCue(id) {
+        const job = subtitleJob;
+        if (!job || job.controller) return;
+        const targetLang = elements.targetLang.value;
+        if (job.targetLang && job.targetLang !== targetLang) {
+            showToast('번역 언어가 바뀌었습니다. 자막 번역을 다시 실행하세요.');
+            return;
+        }
+
+        const { file } = job;
+        const cue = file.cues.find(c => c.id === id);
+        const { contextCues } = getSubtitleOptions();
+        prepareFileJob(job, file.stripTags(cue.text), targetLang);
+
+        job.controller = new AbortController();
+        elements.runSubtitleBtn.textContent = '멈추기';
+        renderSubtitleTable();
+        elements.subtitleSummary.textContent = `#${id} 다시 번역 중...`;
+        try {
+            const results = await translateSubtitleRequest(job, file.buildRequests([cue], { batchSize: 1 })[0], contextCues);
+            if (!results.has(id)) {
+                showToast(`#${id} 대사의 번역을 읽지 못했습니다.`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError' || error.message?.includes('aborted')) {
+                showToast('다시 번역이 중단되었습니다.');
+            } else {
+                console.error('Subtitle error:', error);
+                showToast(error.message);
+            }
+        } finally {
+            job.controller = null;
+            elements.runSubtitleBtn.textContent = '자막 번역';
+            renderSubtitleTable();
+        }
+    }
+
+    function downloadSubtitleFile() {
+        const job = subtitleJob;
+        if (!job || job.results.size === 0) {
+            showToast('번역된 대사가 없습니다.');
+            return;
+        }
+        try {
+            const filename = job.file.export(job.results, job.sourceLang || elements.sourceLang.value, job.targetLang || elements.targetLang.value);
+            const missing = job.file.cues.length - job.results.size;
+            const notes = [
+                missing > 0 ? `번역 안 된 대사 ${missing}개는 원문 유지` : '',
+                job.problems.size > 0 ? `태그 확인 필요 ${job.problems.size}개` : ''
+            ].filter(Boolean);
+            showToast([`${filename} 저장됨`, ...notes].join(' · '));
+        } catch (e) {
+            console.error('Failed to write subtitle file:', e);
+            showToast(e.message);
+        }
+    }
+
+    // ===========================================
+    // Reasoning Panel
+    // ===========================================
+
+    function resetReasoningPanel(show = false) {
+        if (show) {
+            elements.reasoningPanel.style.display = 'block';
+            elements.reasoningPanel.classList.remove('collapsed');
+            elements.reasoningBadge.textContent = 'thinking...';
+            elements.reasoningBadge.classList.remove('done');
+            elements.reasoningText.textContent = '';
+            elements.reasoningText.classList.add('streaming');
+        } else {
+            elements.reasoningPanel.style.display = 'none';
+        }
+    }
+
+    function updateReasoningPanel(reasoning) {
+        // Reasoning can also arrive unannounced, e.g. from a gateway set as the OpenAI Base URL
+        if (elements.reasoningPanel.style.display === 'none') {
+            resetReasoningPanel(true);
+        }
+        elements.reasoningText.textContent = reasoning;
+        // Auto-scroll to bottom
+        elements.reasoningContent.scrollTop = elements.reasoningContent.scrollHeight;
+    }
+
+    function finalizeReasoningPanel(reasoning) {
+        if (reasoning) {
+            elements.reasoningText.classList.remove('streaming');
+            elements.reasoningBadge.textContent = 'complete';
+            elements.reasoningBadge.classList.add('done');
+        }
+    }
+
+    function toggleReasoningPanel() {
+        elements.reasoningPanel.classList.toggle('collapsed');
+    }
+
+    // ===========================================
+    // Style Controls
+    // ===========================================
+
+    function getStyleSelects() {
+        return {
+            formality: elements.formalitySelect,
+            tone: elements.toneSelect,
+            audience: elements.audienceSelect
+        };
+    }
+
+    function renderStyleControls() {
+        Object.entries(getStyleSelects()).forEach(([key, select]) => {
+            select.innerHTML = BaseProvider.STYLE_OPTIONS[key]
+                .map(choice => `<option value="${choice.value}">${choice.label}</option>`)
+                .join('');
+            select.value = settings.get(`style.${key}`) || '';
+        });
+        updateStyleNotice();
+    }
+
+    function getStyle() {
+        return Object.fromEntries(Object.entries(getStyleSelects()).map(([key, select]) => [key, select.value]));
+    }
+
+    // Names of the controls in use that the provider drops because it does not send a prompt
+    function getIgnoredControls(provider) {
+        const ProviderClass = ProviderFactory.get(resolveProviderType(provider));
+        if (!ProviderClass || ProviderClass.capabilities.prompt !== false) return [];
+
+        const names = { formality: '격식', tone: '어조', audience: '대상' };
+        const ignored = Object.entries(getStyle()).filter(([, value]) => value).map(([key]) => names[key]);
+        if (elements.contextNotes.value.trim()) ignored.push('참고 정보');
+        return ignored;
+    }
+
+    function formatIgnoredControls(provider, ignored) {
+        return `${getProviderLabel(provider)}은(는) 프롬프트를 사용하지 않아 ${ignored.join(', ')} 설정이 무시됩니다.`;
+    }
+
+    function updateStyleNotice() {
+        const provider = elements.providerSelect.value;
+        const ignored = provider ? getIgnoredControls(provider) : [];
+        elements.styleNotice.textContent = ignored.length > 0 ? formatIgnoredControls(provider, ignored) : '';
+        elements.styleNotice.style.display = ignored.length > 0 ? 'block' : 'none';
+    }
+
+    // ===========================================
+    // Context Panel
+    // ===========================================
+
+    // Notes last for the browser session; the history option is a setting
+    const CONTEXT_STORAGE_KEY = 'llm_translator_context';
+
+    function loadContextPanel() {
+        elements.contextNotes.value = sessionStorage.getItem(CONTEXT_STORAGE_KEY) || '';
+        elements.contextHistoryEnabled.checked = settings.get('context.includeHistory');
+        elements.contextHistoryCount.value = settings.get('context.historyCount') || 3;
+        elements.contextPanel.classList.toggle('collapsed', !elements.contextNotes.value.trim());
+        updateContextBadge();
+    }
+
+    function setContextNotes(notes) {
+        elements.contextNotes.value = notes;
+        saveContextNotes();
+        if (notes.trim()) {
+            elements.contextPanel.classList.remove('collapsed');
+        }
+    }
+
+    function saveContextNotes() {
+        sessionStorage.setItem(CONTEXT_STORAGE_KEY, elements.contextNotes.value);
+        updateContextBadge();
+        updateStyleNotice();
+    }
+
+    function updateContextBadge() {
+        const active = !!elements.contextNotes.value.trim() || elements.contextHistoryEnabled.checked;
+        elements.contextBadge.style.display = active ? 'inline' : 'none';
+    }
+
+    // Latest history entries of the language pair, oldest first, when the option is on
+    async function getContextReferences(sourceLang, targetLang) {
+        if (!settings.get('context.includeHistory')) return [];
+        try {
+            const { items } = await history.query({
+                pair: `${sourceLang}>${targetLang}`,
+                limit: settings.get('context.historyCount') || 3
+            });
+            return items.reverse().map(item => ({ source: item.sourceText, target: item.targetText }));
+        } catch (e) {
+            console.error('Failed to load history for context:', e);
+            return [];
+        }
+    }
+
+    // ===========================================
+    // Settings Modal
+    // ===========================================
+
+    function openSettings() {
+        // Start the glossary editor on the language pair currently in use
+        elements.glossarySourceLang.value = elements.sourceLang.value;
+        elements.glossaryTargetLang.value = elements.targetLang.value;
+        loadSettingsToUI();
+        elements.settingsModal.classList.add('active');
+    }
+
+    function closeSettings() {
+        elements.settingsModal.classList.remove('active');
+    }
+
+    // ===========================================
+    // Provider Settings
+    // ===========================================
+
+    // Builds the per-provider cards of the API and model tabs from each provider's config schema
+    function renderProviderSettings() {
+        const targets = {
+            api: elements.providerApiSettings,
+            model: elements.providerModelSettings,
+            advanced: elements.advancedSettingsContainer
+        };
+        Object.values(targets).forEach(target => target.innerHTML = '');
+
+        ProviderFactory.list().forEach(ProviderClass => {
+            Object.entries(targets).forEach(([section, target]) => {
+                const fields = ProviderClass.configSchema.filter(field => field.section === section);
+                const description = section === 'api' ? ProviderClass.description : '';
+                if (fields.length === 0 && !description) return;
+
+                const title = section === 'advanced' ? `${ProviderClass.label} 설정` : ProviderClass.label;
+                target.insertAdjacentHTML('beforeend', `
+                    <div class="settings-section">
+                        <h3>${escapeHtml(title)}</h3>
+                        ${description ? `<p class="help-text">${escapeHtml(description)}</p>` : ''}
+                        ${fields.map(field => renderProviderField(ProviderClass.id, field)).join('')}
+                    </div>
+                `);
+            });
+        });
+
+        targets.advanced.querySelectorAll('input[type="range"]').forEach(input => {
+            input.addEventListener('input', () => updateRangeValue(input));
+        });
+    }
+
+    function renderProviderField(providerId, field) {
+        const id = `provider-${providerId}-${field.key}`;
+        const attrs = `id="${id}" data-provider="${escapeHtml(providerId)}" data-field="${escapeHtml(field.key)}"`;
+        const bounds = ['min', 'max', 'step']
+            .filter(name => field[name] !== undefined)
+            .map(name => `${name}="${field[name]}"`)
+            .join(' ');
+        const placeholder = field.placeholder ? `placeholder="${escapeHtml(field.placeholder)}"` : '';
+        const help = field.help ? `<p class="help-text">${escapeHtml(field.help)}</p>` : '';
+        const label = escapeHtml(field.label);
+
+        switch (field.type) {
+            case 'checkbox':
+                return `
+                    <div class="settings-control-group">
+                        <label class="checkbox-label">
+                            <input type="checkbox" ${attrs}>
+                            <span>${label}</span>
+                        </label>
+                    </div>${help}`;
+            case 'range':
+                return `
+                    <div class="input-range-group">
+                        <label for="${id}">${label} <span class="range-value"></span></label>
+                        <input type="range" ${attrs} ${bounds}>
+                    </div>${help}`;
+            case 'select':
+                return `
+                    <div class="input-group">
+                        <label for="${id}">${label}</label>
+                        <select class="select-input" ${attrs}>
+                            ${(field.options || []).map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+                        </select>
+                    </div>${help}`;
+            default:
+                return `
+                    <div class="input-group">
+                        <label for="${id}">${label}</label>
+                        <input type="${field.type === 'number' || field.type === 'password' ? field.type : 'text'}" class="text-input" ${attrs} ${bounds} ${placeholder}>
+                    </div>${help}`;
+        }
+    }
+
+    function updateRangeValue(input) {
+        const valueEl = input.parentElement.querySelector('.range-value');
+        if (valueEl) valueEl.textContent = input.value;
+    }
+
+    // Inputs of the registered providers as [{ input, field, key }], key being the settings path
+    function getProviderInputs() {
+        const inputs = [];
+        document.querySelectorAll('[data-provider][data-field]').forEach(input => {
+            const ProviderClass = ProviderFactory.get(input.dataset.provider);
+            const field = ProviderClass?.configSchema.find(f => f.key === input.dataset.field);
+            if (field) {
+                inputs.push({ input, field, key: `${ProviderClass.id}.${field.key}` });
+            }
+        });
+        return inputs;
+    }
+
+    function loadProviderSettingsToUI() {
+        getProviderInputs().forEach(({ input, field, key }) => {
+            const value = settings.get(key) ?? field.default;
+            if (field.type === 'checkbox') {
+                input.checked = !!value;
+            } else {
+                input.value = value ?? '';
+            }
+            if (field.type === 'range') updateRangeValue(input);
+        });
+    }
+
+    function saveProviderSettingsFromUI() {
+        getProviderInputs().forEach(({ input, field, key }) => {
+            settings.set(key, readProviderField(input, field));
+        });
+    }
+
+    function readProviderField(input, field) {
+        switch (field.type) {
+            case 'checkbox':
+                return input.checked;
+            case 'number':
+            case 'range': {
+                let value = parseFloat(input.value);
+                if (isNaN(value)) return field.default;
+                if (field.min !== undefined) value = Math.max(field.min, value);
+                if (field.max !== undefined) value = Math.min(field.max, value);
+                return value;
+            }
+            case 'select':
+                return input.value;
+            default:
+                return input.value.trim();
+        }
+    }
+
+    function loadSettingsToUI() {
+        const advancedEnabled = settings.get('enableAdvancedSettings');
+        if (elements.enableAdvancedSettings) {
+            elements.enableAdvancedSettings.checked = advancedEnabled;
+            toggleAdvancedSettingsUI(advancedEnabled);
+            
+            elements.enableAdvancedSettings.onchange = (e) => {
+                toggleAdvancedSettingsUI(e.target.checked);
+            };
+        }
+
+        loadProviderSettingsToUI();
+
+        loadPresetsToUI();
+
+        elements.chunkingEnabled.checked = settings.get('chunking.enabled');
+        elements.chunkMaxTokens.value = settings.get('chunking.maxTokens') || 1500;
+
+        elements.retryMaxRetries.value = settings.get('retry.maxRetries') ?? 2;
+        elements.retryBaseDelay.value = (settings.get('retry.baseDelayMs') ?? 1000) / 1000;
+        elements.fallbackEnabled.checked = settings.get('fallback.enabled');
+        renderFallbackChain(settings.get('fallback.chain') || []);
+
+        elements.tmEnabled.checked = settings.get('translationMemory.enabled');
+        elements.tmThreshold.value = settings.get('translationMemory.fuzzyThreshold') || 0.75;
+        elements.tmMaxExamples.value = settings.get('translationMemory.maxExamples') ?? 3;
+        updateMemoryCount();
+
+        elements.budgetMonthlyLimit.value = settings.get('budget.monthlyLimit') || 0;
+        elements.budgetWarnAt.value = Math.round((settings.get('budget.warnAt') || 0.8) * 100);
+        renderPriceTable(settings.get('pricing') || []);
+        renderUsage();
+
+        elements.historyAutoSave.checked = settings.get('historyAutoSave') !== false;
+        elements.historyMaxItems.value = settings.get('historyRetention.maxItems') || 0;
+        elements.historyMaxDays.value = settings.get('historyRetention.maxDays') || 0;
+        updateHistoryCount();
+        
+        // Render custom endpoints
+        renderCustomEndpoints();
+        renderGlossary();
+        // Helper to update range value display
+        const updateRangeDisplay = (id, valId) => {
+            const el = document.getElementById(id);
+            const valEl = document.getElementById(valId);
+            if (el && valEl) {
+                valEl.textContent = el.value;
+                el.addEventListener('input', () => valEl.textContent = el.value);
+            }
+        };
+
+        // Initialize range displays
+        updateRangeDisplay('tmThreshold', 'tmThresholdVal');
+    }
+    
+    function toggleAdvancedSettingsUI(enabled) {
+        if (!elements.advancedSettingsContainer) return;
+        
+        if (enabled) {
+            elements.advancedSettingsContainer.classList.remove('disabled-section');
+            // Enable inputs
+            const inputs = elements.advancedSettingsContainer.querySelectorAll('input, select');
+            inputs.forEach(input => input.disabled = false);
+        } else {
+            elements.advancedSettingsContainer.classList.add('disabled-section');
+            // Disable inputs to prevent interaction
+            const inputs = elements.advancedSettingsContainer.querySelectorAll('input, select');
+            inputs.forEach(input => input.disabled = true);
+        }
+    }
+
+    function saveSettingsFromUI() {
+        settings.set('enableAdvancedSettings', elements.enableAdvancedSettings ? elements.enableAdvancedSettings.checked : false);
+
+        saveProviderSettingsFromUI();
+
+        storePresetEditor();
+        settings.set('presetBindings', readPresetBindingsFromUI());
+        settings.set('promptVariables', readPromptVariablesFromUI());
+        settings.setPromptPresets(presetDrafts);
+
+        settings.set('chunking.enabled', elements.chunkingEnabled.checked);
+        settings.set('chunking.maxTokens', parseInt(elements.chunkMaxTokens.value) || 1500);
+
+        settings.set('retry.maxRetries', Math.max(0, parseInt(elements.retryMaxRetries.value) || 0));
+        settings.set('retry.baseDelayMs', Math.max(0, Math.round((parseFloat(elements.retryBaseDelay.value) || 0) * 1000)));
+        settings.set('fallback.enabled', elements.fallbackEnabled.checked);
+        settings.set('fallback.chain', readFallbackChainFromUI());
+
+        settings.set('translationMemory.enabled', elements.tmEnabled.checked);
+        settings.set('translationMemory.fuzzyThreshold', parseFloat(elements.tmThreshold.value));
+        settings.set('translationMemory.maxExamples', parseInt(elements.tmMaxExamples.value) || 0);
+
+        settings.set('budget.monthlyLimit', Math.max(0, parseFloat(elements.budgetMonthlyLimit.value) || 0));
+        settings.set('budget.warnAt', Math.min(100, Math.max(1, parseInt(elements.budgetWarnAt.value) || 80)) / 100);
+        settings.set('pricing', readPricingFromUI());
+
+        settings.set('historyAutoSave', elements.historyAutoSave.checked);
+        settings.set('historyRetention.maxItems', Math.max(0, parseInt(elements.historyMaxItems.value) || 0));
+        settings.set('historyRetention.maxDays', Math.max(0, parseInt(elements.historyMaxDays.value) || 0));
+        history.setRetention(settings.get('historyRetention'));
+        history.applyRetention().catch(e => console.error('Failed to apply history retention:', e));
+        
+        // Save custom endpoints from UI
+        saveCustomEndpointsFromUI();
+        saveGlossaryFromUI();
+    }
+
+    function saveSettings() {
+        saveSettingsFromUI();
+        
+        settings.save();
+        
+        // Update provider dropdown with new endpoints
+        updateProviderSelect();
+        updatePresetSelect();
+        
+        showToast('설정이 저장되었습니다.');
+        closeSettings();
+    }
+
+    function switchTab(tabName) {
+        elements.tabBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
+        elements.tabContents.forEach(content => {
+            content.classList.toggle('active', content.id === `${tabName}-tab`);
+        });
+    }
+
+    // ===========================================
+    // Custom Endpoints
+    // ===========================================
+
+    function renderCustomEndpoints() {
+        const endpoints = settings.getCustomEndpoints();
+        
+        if (endpoints.length === 0) {
+            elements.customEndpointsList.innerHTML = `
+                <div class="endpoint-empty">
+                    커스텀 엔드포인트가 없습니다.<br>
+                    <small>+ 버튼을 눌러 추가하세요.</small>
+                </div>
+            `;
+            return;
+        }
+
+        elements.customEndpointsList.innerHTML = endpoints.map(ep => `
+            <div class="endpoint-card" data-id="${ep.id}">
+                <div class="endpoint-card-header">
+                    <span class="endpoint-card-name">${escapeHtml(ep.name || 'Custom API')}</span>
+                    <div class="endpoint-card-actions">
+                        <button class="delete-btn" data-id="${ep.id}" title="삭제">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="3 6 5 6 21 6"/>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                <div class="input-group">
+                    <label>이름</label>
+                    <input type="text" class="text-input ep-name" value="${escapeHtml(ep.name || '')}" placeholder="예: My Local LLM">
+                </div>
+                <div class="input-group">
+                    <label>Base URL</label>
+                    <input type="text" class="text-input ep-url" value="${escapeHtml(ep.baseUrl || '')}" placeholder="https://api.example.com/v1">
+                </div>
+                <div class="input-group">
+                    <label>API Key (선택)</label>
+                    <input type="password" class="text-input ep-key" value="${escapeHtml(ep.apiKey || '')}" placeholder="API Key">
+                </div>
                 <div class="input-group">
                     <label>기본 모델 (선택)</label>
                     <input type="text" class="text-input ep-model" value="${escapeHtml(ep.model || '')}" placeholder="model-name">
                 </div>
+                <div class="input-group">
+                    <label>API 형식</label>
+                    <select class="select-input ep-dialect">
+                        ${Object.entries(CustomEndpointProvider.DIALECTS)
+                            .map(([value, dialect]) => `<option value="${value}" ${(ep.dialect || 'openai-chat') === value ? 'selected' : ''}>${escapeHtml(dialect.label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="input-group">
+                    <label>인증 방식</label>
+                    <select class="select-input ep-auth">
+                        ${CustomEndpointProvider.AUTH_TYPES
+                            .map(auth => `<option value="${auth.value}" ${(ep.authType || '') === auth.value ? 'selected' : ''}>${escapeHtml(auth.label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="input-group">
+                    <label>인증 헤더/쿼리 이름 (선택)</label>
+                    <input type="text" class="text-input ep-auth-name" value="${escapeHtml(ep.authName || '')}" placeholder="예: x-api-key, key">
+                </div>
+                <div class="input-group">
+                    <label>추가 헤더 (한 줄에 하나씩)</label>
+                    <textarea class="text-input ep-headers" rows="2" placeholder="X-Custom-Header: value">${escapeHtml(ep.headers || '')}</textarea>
+                </div>
+                <div class="input-group">
+                    <label>추론 강도 (reasoning_effort)</label>
+                    <select class="select-input ep-reasoning">
+                        ${[['', '보내지 않음'], ['none', 'none'], ['low', 'low'], ['medium', 'medium'], ['high', 'high']]
+                            .map(([value, label]) => `<option value="${value}" ${(ep.reasoningEffort || '') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="input-group">
+                    <label>샘플링 (비워 두면 서버 기본값)</label>
+                    <div class="endpoint-sampling">
+                        <input type="number" class="text-input ep-temperature" value="${ep.temperature ?? ''}" min="0" max="2" step="0.1" placeholder="Temperature">
+                        <input type="number" class="text-input ep-top-p" value="${ep.top_p ?? ''}" min="0" max="1" step="0.05" placeholder="Top P">
+                        <input type="number" class="text-input ep-top-k" value="${ep.top_k ?? ''}" min="0" step="1" placeholder="Top K">
+                        <input type="number" class="text-input ep-max-tokens" value="${ep.maxTokens ?? ''}" min="1" step="256" placeholder="최대 토큰">
+                    </div>
+                </div>
+                <div class="endpoint-test">
+                    <button class="btn-secondary ep-test-btn">연결 테스트</button>
+                    <span class="endpoint-test-result"></span>
+                </div>
+            </div>
+        `).join('');
+
+        // Add delete handlers
+        elements.customEndpointsList.querySelectorAll('.delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteCustomEndpoint(btn.dataset.id);
+            });
+        });
+
+        elements.customEndpointsList.querySelectorAll('.ep-test-btn').forEach(btn => {
+            btn.addEventListener('click', () => testCustomEndpoint(btn.closest('.endpoint-card')));
+        });
+    }
+
+    // Tests the values in the card as they are, without saving them first
+    async function testCustomEndpoint(card) {
+        const button = card.querySelector('.ep-test-btn');
+        const result = card.querySelector('.endpoint-test-result');
+        result.className = 'endpoint-test-result';
+        result.textContent = '연결 중...';
+        button.disabled = true;
+
+        try {
+            const { latencyMs, models } = await CustomEndpointProvider.testConnection(readCustomEndpointCard(card));
+            const names = models.slice(0, 5).map(m => m.value).join(', ');
+            const more = models.length > 5 ? ` 외 ${models.length - 5}개` : '';
+            result.classList.add('success');
+            result.textContent = `연결 성공 · ${latencyMs}ms · 모델 ${models.length}개${names ? ` (${names}${more})` : ''}`;
+        } catch (e) {
+            result.classList.add('error');
+            result.textContent = `연결 실패: ${e.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    function addCustomEndpoint() {
+        const newEndpoint = settings.addCustomEndpoint({
+            name: 'New Endpoint',
+            baseUrl: '',
+            apiKey: '',
+            model: ''
+        });
+        
+        renderCustomEndpoints();
+        showToast('새 엔드포인트가 추가되었습니다.');
+        
+        // Scroll to the new endpoint
+        const newCard = elements.customEndpointsList.querySelector(`[data-id="${newEndpoint.id}"]`);
+        if (newCard) {
+            newCard.scrollIntoView({ behavior: 'smooth' });
+            newCard.querySelector('.ep-name').focus();
+        }
+    }
+
+    function deleteCustomEndpoint(id) {
+        if (confirm('이 엔드포인트를 삭제하시겠습니까?')) {
+            settings.deleteCustomEndpoint(id);
+            renderCustomEndpoints();
+            updateProviderSelect();
+            showToast('엔드포인트가 삭제되었습니다.');
+        }
+    }
+
+    function saveCustomEndpointsFromUI() {
+        const cards = elements.customEndpointsList.querySelectorAll('.endpoint-card');
+        
+        cards.forEach(card => {
+            settings.updateCustomEndpoint(card.dataset.id, readCustomEndpointCard(card));
+        });
+    }
+
+    function readCustomEndpointCard(card) {
+        // Empty sampling fields become null so that the server's defaults apply
+        const readNumber = (selector) => {
+            const value = parseFloat(card.querySelector(selector).value);
+            return isNaN(value) ? null : value;
+        };
+
+        return {
+            name: card.querySelector('.ep-name').value,
+            baseUrl: card.querySelector('.ep-url').value.trim(),
+            apiKey: card.querySelector('.ep-key').value,
+            model: card.querySelector('.ep-model').value,
+            dialect: card.querySelector('.ep-dialect').value,
+            authType: card.querySelector('.ep-auth').value,
+            authName: card.querySelector('.ep-auth-name').value.trim(),
+            headers: card.querySelector('.ep-headers').value,
+            reasoningEffort: card.querySelector('.ep-reasoning').value,
+            temperature: readNumber('.ep-temperature'),
+            top_p: readNumber('.ep-top-p'),
+            top_k: readNumber('.ep-top-k'),
+            maxTokens: readNumber('.ep-max-tokens')
+        };
+    }
+
+    // ===========================================
+    // Fallback Chain
+    // ===========================================
+
+    function renderFallbackChain(chain) {
+        elements.fallbackList.innerHTML = '';
+        chain.forEach(entry => appendFallbackRow(entry));
+        if (chain.length === 0) {
+            elements.fallbackList.innerHTML = '<p class="help-text fallback-empty">대체 Provider가 없습니다.</p>';
+        }
+    }
+
+    function appendFallbackRow(entry) {
+        elements.fallbackList.querySelector('.fallback-empty')?.remove();
+
+        const row = document.createElement('div');
+        row.className = 'fallback-row';
+        row.innerHTML = `
+            <span class="fallback-order"></span>
+            <select class="select-input fallback-provider">${elements.providerSelect.innerHTML}</select>
+            <select class="select-input fallback-model"></select>
+            <button class="glossary-delete-btn fallback-remove" title="제거">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+        `;
+        elements.fallbackList.appendChild(row);
+
+        const providerSelect = row.querySelector('.fallback-provider');
+        const modelSelect = row.querySelector('.fallback-model');
+        providerSelect.value = entry.provider;
+        fillModelSelect(modelSelect, entry.provider, entry.model);
+
+        providerSelect.addEventListener('change', () => fillModelSelect(modelSelect, providerSelect.value, ''));
+        row.querySelector('.fallback-remove').addEventListener('click', () => {
+            row.remove();
+            if (!elements.fallbackList.querySelector('.fallback-row')) {
+                renderFallbackChain([]);
+            }
+        });
+    }
+
+    function readFallbackChainFromUI() {
+        return Array.from(elements.fallbackList.querySelectorAll('.fallback-row')).map(row => ({
+            provider: row.querySelector('.fallback-provider').value,
+            model: row.querySelector('.fallback-model').value
+        }));
+    }
+
+    // ===========================================
+    // Prompt Presets
+    // ===========================================
+
+    // Presets being edited in the prompt tab; written to settings on save
+    let presetDrafts = [];
+    let editingPresetId = 'default';
+
+    function fillPresetSelect(select, presets) {
+        select.innerHTML = '';
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+    }
+
+    function updatePresetSelect() {
+        fillPresetSelect(elements.presetSelect, settings.getPromptPresets());
+        applyPresetBinding(false);
+    }
+
+    // Switches the toolbar to the preset bound to the current languages and provider,
+    // or back to the one picked by hand when no binding matches
+    function applyPresetBinding(notify = true) {
+        const previous = elements.presetSelect.value;
+        const bound = settings.findBoundPreset(elements.sourceLang.value, elements.targetLang.value, elements.providerSelect.value);
+        const preset = settings.getPromptPreset(bound || settings.get('activePreset'));
+        elements.presetSelect.value = preset.id;
+        if (notify && bound && preset.id !== previous) {
+            showToast(`'${preset.name}' 프리셋으로 전환되었습니다.`);
+        }
+    }
+
+    function getSelectedPreset() {
+        return settings.getPromptPreset(elements.presetSelect.value);
+    }
+
+    function loadPresetsToUI() {
+        presetDrafts = settings.getPromptPresets().map(preset => ({ ...preset }));
+        renderPresetBindings(settings.get('presetBindings') || []);
+        renderPromptVariables(settings.get('promptVariables') || []);
+        elements.promptVariableHelp.innerHTML = PromptTemplate.VARIABLES
+            .map(v => `<span title="${v.description}">{${v.name}}</span>`)
+            .join(', ');
+        showPresetInEditor(elements.presetSelect.value);
+    }
+
+    function getEditedPreset() {
+        return presetDrafts.find(p => p.id === editingPresetId);
+    }
+
+    function showPresetInEditor(id) {
+        editingPresetId = presetDrafts.some(p => p.id === id) ? id : 'default';
+        fillPresetSelect(elements.presetEditSelect, presetDrafts);
+        elements.presetEditSelect.value = editingPresetId;
+        refreshBindingPresetOptions();
+
+        const preset = getEditedPreset();
+        elements.presetName.value = preset.name;
+        elements.systemPrompt.value = preset.system || '';
+        elements.userPrompt.value = preset.user || '';
+        // The default preset keeps its name and cannot be deleted
+        elements.presetName.disabled = preset.id === 'default';
+        elements.deletePresetBtn.disabled = preset.id === 'default';
+        updatePromptWarnings();
+    }
+
+    // Checks the prompts in the editor against the built-in and user-defined variables
+    function updatePromptWarnings() {
+        const builtins = PromptTemplate.VARIABLES.map(v => v.name);
+        const names = readPromptVariablesFromUI().map(v => v.name);
+        const invalid = names.filter((name, i) =>
+            !PromptTemplate.NAME_PATTERN.test(name) || builtins.includes(name) || names.indexOf(name) !== i);
+
+        const warnings = new PromptTemplate(elements.userPrompt.value).validate([...builtins, ...names]);
+        if (new PromptTemplate(elements.systemPrompt.value).getVariableNames().some(name => builtins.includes(name))) {
+            warnings.push('시스템 프롬프트의 변수는 바뀌지 않습니다. 변수는 사용자 프롬프트에 넣으세요.');
+        }
+        if (invalid.length > 0) {
+            warnings.push(`사용할 수 없는 변수 이름: ${[...new Set(invalid)].join(', ')}`);
+        }
+
+        elements.promptWarnings.textContent = warnings.join('\n');
+        elements.promptWarnings.hidden = warnings.length === 0;
+    }
+
+    function renderPromptVariables(variables) {
+        elements.promptVariableList.innerHTML = '';
+        variables.forEach(variable => appendPromptVariableRow(variable));
+        if (variables.length === 0) {
+            elements.promptVariableList.innerHTML = '<p class="help-text fallback-empty">등록된 변수가 없습니다.</p>';
+        }
+    }
+
+    function appendPromptVariableRow(variable) {
+        elements.promptVariableList.querySelector('.fallback-empty')?.remove();
+
+        const row = document.createElement('div');
+        row.className = 'prompt-variable-row';
+        row.innerHTML = `
+            <input type="text" class="text-input variable-name" placeholder="이름 (예: audience)">
+            <input type="text" class="text-input variable-value" placeholder="값">
+            <button class="glossary-delete-btn variable-remove" title="제거">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+        `;
+        elements.promptVariableList.appendChild(row);
+
+        row.querySelector('.variable-name').value = variable.name;
+        row.querySelector('.variable-value').value = variable.value;
+        row.querySelector('.variable-name').addEventListener('input', updatePromptWarnings);
+        row.querySelector('.variable-remove').addEventListener('click', () => {
+            row.remove();
+            if (!elements.promptVariableList.querySelector('.prompt-variable-row')) {
+                renderPromptVariables([]);
+            }
+            updatePromptWarnings();
+        });
+    }
+
+    function readPromptVariablesFromUI() {
+        return Array.from(elements.promptVariableList.querySelectorAll('.prompt-variable-row'))
+            .map(row => ({
+                name: row.querySelector('.variable-name').value.trim(),
+                value: row.querySelector('.variable-value').value
+            }))
+            .filter(v => v.name);
+    }
+
+    // Keeps the editor contents in the draft before switching presets or saving
+    function storePresetEditor() {
+        const preset = getEditedPreset();
+        if (!preset) return;
+        if (preset.id !== 'default') {
+            preset.name = elements.presetName.value.trim() || preset.name;
+        }
+        preset.system = elements.systemPrompt.value;
+        preset.user = elements.userPrompt.value;
+    }
+
+    // New presets start as a copy of the one being edited
+    function addPromptPreset() {
+        storePresetEditor();
+        const source = getEditedPreset();
+        const preset = {
+            id: settings.createPromptPresetId(),
+            name: '새 프리셋',
+            system: source.system,
+            user: source.user
+        };
+        presetDrafts.push(preset);
+        showPresetInEditor(preset.id);
+        elements.presetName.focus();
+        elements.presetName.select();
+    }
+
+    function deletePromptPreset() {
+        const preset = getEditedPreset();
+        if (!preset || preset.id === 'default') return;
+        if (!confirm(`'${preset.name}' 프리셋을 삭제하시겠습니까?`)) return;
+
+        presetDrafts = presetDrafts.filter(p => p.id !== preset.id);
+        showPresetInEditor('default');
+    }
+
+    function resetPromptPreset() {
+        const defaults = settings.getDefaultPrompts(editingPresetId);
+        if (!defaults) {
+            showToast('직접 만든 프리셋에는 기본값이 없습니다.');
+            return;
+        }
+        elements.systemPrompt.value = defaults.system;
+        elements.userPrompt.value = defaults.user;
+        showToast('프롬프트가 기본값으로 복원되었습니다.');
+    }
+
+    function renderPresetBindings(bindings) {
+        elements.presetBindingList.innerHTML = '';
+        bindings.forEach(binding => appendPresetBindingRow(binding));
+        if (bindings.length === 0) {
+            elements.presetBindingList.innerHTML = '<p class="help-text fallback-empty">등록된 규칙이 없습니다.</p>';
+        }
+    }
+
+    function appendPresetBindingRow(binding) {
+        elements.presetBindingList.querySelector('.fallback-empty')?.remove();
+
+        const row = document.createElement('div');
+        row.className = 'preset-binding-row';
+        row.innerHTML = `
+            <select class="select-input binding-source"><option value="">모든 원문 언어</option><option value="auto">언어 감지</option>${languageOptionsHtml()}</select>
+            <select class="select-input binding-target"><option value="">모든 번역 언어</option>${languageOptionsHtml()}</select>
+            <select class="select-input binding-provider"><option value="">모든 Provider</option>${elements.providerSelect.innerHTML}</select>
+            <select class="select-input binding-preset"></select>
+            <button class="glossary-delete-btn binding-remove" title="제거">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+        `;
+        elements.presetBindingList.appendChild(row);
+
+        fillPresetSelect(row.querySelector('.binding-preset'), presetDrafts);
+        row.querySelector('.binding-source').value = binding.sourceLang || '';
+        row.querySelector('.binding-target').value = binding.targetLang || '';
+        row.querySelector('.binding-provider').value = binding.provider || '';
+        row.querySelector('.binding-preset').value = binding.preset;
+
+        row.querySelector('.binding-remove').addEventListener('click', () => {
+            row.remove();
+            if (!elements.presetBindingList.querySelector('.preset-binding-row')) {
+                renderPresetBindings([]);
+            }
+        });
+    }
+
+    // Renamed presets show their new name; rows of deleted presets are dropped
+    function refreshBindingPresetOptions() {
+        elements.presetBindingList.querySelectorAll('.preset-binding-row').forEach(row => {
+            const select = row.querySelector('.binding-preset');
+            const value = select.value;
+            if (!presetDrafts.some(p => p.id === value)) {
+                row.remove();
+                return;
+            }
+            fillPresetSelect(select, presetDrafts);
+            select.value = value;
+        });
+        if (!elements.presetBindingList.querySelector('.preset-binding-row')) {
+            renderPresetBindings([]);
+        }
+    }
+
+    function readPresetBindingsFromUI() {
+        return Array.from(elements.presetBindingList.querySelectorAll('.preset-binding-row')).map(row => ({
+            sourceLang: row.querySelector('.binding-source').value,
+            targetLang: row.querySelector('.binding-target').value,
+            provider: row.querySelector('.binding-provider').value,
+            preset: row.querySelector('.binding-preset').value
+        }));
+    }
+
+    // ===========================================
+    // Usage & Cost
+    // ===========================================
+
+    // Records API-reported token counts and returns them with the estimated cost (null when the
+    // model has no price). Crossing the warning threshold or the monthly budget shows a toast once.
+    function recordUsage(provider, model, counts) {
+        const pricing = settings.get('pricing') || [];
+        const month = usage.monthKey();
+        const before = usage.getMonthCost(month, pricing);
+        usage.record(provider, model, counts);
+        checkBudget(before, usage.getMonthCost(month, pricing));
+        return { ...counts, cost: usage.estimateCost(model, counts, pricing) };
+    }
+
+    function addUsage(total, counts) {
+        if (!total) return { ...counts };
+        return {
+            inputTokens: total.inputTokens + counts.inputTokens,
+            outputTokens: total.outputTokens + counts.outputTokens,
+            thinkingTokens: total.thinkingTokens + counts.thinkingTokens,
+            cost: total.cost === null && counts.cost === null ? null : (total.cost || 0) + (counts.cost || 0)
+        };
+    }
+
+    function checkBudget(before, after) {
+        const limit = settings.get('budget.monthlyLimit');
+        if (!limit) return;
+        const warnAt = settings.get('budget.warnAt') || 0.8;
+
+        if (before < limit && after >= limit) {
+            showToast(`이번 달 추정 비용(${formatCost(after)})이 예산 ${formatCost(limit)}을 넘었습니다.`);
+        } else if (before < limit * warnAt && after >= limit * warnAt) {
+            showToast(`이번 달 추정 비용이 예산의 ${Math.round(warnAt * 100)}%에 도달했습니다 (${formatCost(after)} / ${formatCost(limit)}).`);
+        }
+    }
+
+    function formatUsage(counts) {
+        let text = `입력 ${formatTokens(counts.inputTokens)} · 출력 ${formatTokens(counts.outputTokens)} 토큰`;
+        if (counts.thinkingTokens) {
+            text += ` (사고 ${formatTokens(counts.thinkingTokens)})`;
+        }
+        if (Number.isFinite(counts.cost)) {
+            text += ` · ${formatCost(counts.cost)}`;
+        }
+        return text;
+    }
+
+    function formatTokens(count) {
+        return (count || 0).toLocaleString();
+    }
+
+    function formatCost(cost) {
+        // Single translations usually cost fractions of a cent
+        return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+    }
+
+    function renderUsage(pricing = settings.get('pricing') || []) {
+        const selected = elements.usageMonth.value;
+        const current = usage.monthKey();
+        const months = [...new Set([current, ...usage.getMonths()])].sort().reverse();
+        elements.usageMonth.innerHTML = months.map(month => `<option value="${month}">${month}</option>`).join('');
+        elements.usageMonth.value = months.includes(selected) ? selected : current;
+
+        const month = elements.usageMonth.value;
+        const models = usage.getModelTotals(month, pricing);
+        const providers = usage.getProviderTotals(month, pricing);
+        const requests = models.reduce((sum, row) => sum + row.requests, 0);
+        const tokens = models.reduce((sum, row) => sum + row.inputTokens + row.outputTokens, 0);
+        const cost = usage.getMonthCost(month, pricing);
+        const limit = settings.get('budget.monthlyLimit');
+
+        elements.usageSummary.innerHTML = `
+            <div class="usage-stat"><span class="usage-stat-label">요청</span><span class="usage-stat-value">${formatTokens(requests)}</span></div>
+            <div class="usage-stat"><span class="usage-stat-label">토큰</span><span class="usage-stat-value">${formatTokens(tokens)}</span></div>
+            <div class="usage-stat ${limit && month === current && cost >= limit ? 'over-budget' : ''}">
+                <span class="usage-stat-label">추정 비용${limit ? ` / 예산 ${formatCost(limit)}` : ''}</span>
+                <span class="usage-stat-value">${formatCost(cost)}</span>
+            </div>
+        `;
+
+        elements.usageProviderTable.innerHTML = renderUsageTable(providers.map(row => ({ ...row, name: getProviderLabel(row.provider) })));
+        elements.usageModelTable.innerHTML = renderUsageTable(models.map(row => ({ ...row, name: row.model || getProviderLabel(row.provider) })));
+    }
+
+    function renderUsageTable(rows) {
+        if (rows.length === 0) {
+            return '<p class="help-text">기록된 사용량이 없습니다.</p>';
+        }
+        return `
+            <table class="usage-table">
+                <thead>
+                    <tr><th></th><th>요청</th><th>입력</th><th>출력</th><th>사고</th><th>비용</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.name)}</td>
+                            <td>${formatTokens(row.requests)}</td>
+                            <td>${formatTokens(row.inputTokens)}</td>
+                            <td>${formatTokens(row.outputTokens)}</td>
+                            <td>${formatTokens(row.thinkingTokens)}</td>
+                            <td>${row.cost === null ? '—' : formatCost(row.cost)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function renderPriceTable(pricing) {
+        elements.priceList.innerHTML = '';
+        pricing.forEach(price => appendPriceRow(price));
+    }
+
+    function appendPriceRow(price) {
+        const row = document.createElement('div');
+        row.className = 'glossary-row price-row';
+        row.innerHTML = `
+            <input type="text" class="text-input price-model" value="${escapeHtml(price.model)}" placeholder="모델 이름 (접두사)">
+            <input type="number" class="text-input price-input" value="${price.input}" min="0" step="0.01" title="입력 $/1M 토큰">
+            <input type="number" class="text-input price-output" value="${price.output}" min="0" step="0.01" title="출력 $/1M 토큰">
+            <button class="glossary-delete-btn" title="삭제">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="3 6 5 6 21 6"/>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                </svg>
+            </button>
+        `;
+        row.querySelector('.glossary-delete-btn').addEventListener('click', () => {
+            row.remove();
+            renderUsage(readPricingFromUI());
+        });
+        elements.priceList.appendChild(row);
+        return row;
+    }
+
+    function readPricingFromUI() {
+        return Array.from(elements.priceList.querySelectorAll('.price-row'))
+            .map(row => ({
+                model: row.querySelector('.price-model').value.trim(),
+                input: Math.max(0, parseFloat(row.querySelector('.price-input').value) || 0),
+                output: Math.max(0, parseFloat(row.querySelector('.price-output').value) || 0)
+            }))
+            .filter(price => price.model);
+    }
+
+    // ===========================================
+    // Translation Memory
+    // ===========================================
+
+    // The settings that shape a translation besides the text: prompts, style controls and
+    // context notes. History references are left out since they change with every request.
+    // Default settings give '' so that segments recorded before variants existed still match.
+    function getMemoryVariant({ systemPrompt, userPrompt, style, context }) {
+        const defaults = settings.getPromptPreset('default');
+        const variant = {
+            prompts: systemPrompt !== defaults.system || userPrompt !== defaults.user ? [systemPrompt, userPrompt] : null,
+            style: Object.values(style || {}).some(Boolean) ? style : null,
+            context: context || null
+        };
+        return Object.values(variant).some(Boolean) ? JSON.stringify(variant) : '';
+    }
+
+    // Memory failures (e.g. IndexedDB unavailable) never block a translation
+    async function lookupMemory(text, sourceLang, targetLang, variant) {
+        try {
+            return await memory.lookupExact(text, sourceLang, targetLang, variant);
+        } catch (e) {
+            console.error('Translation memory lookup failed:', e);
+            return null;
+        }
+    }
+
+    async function findMemoryExamples(text, sourceLang, targetLang) {
+        const limit = settings.get('translationMemory.maxExamples');
+        if (!limit) return [];
+        try {
+            return await memory.findFuzzy(text, sourceLang, targetLang, {
+                threshold: settings.get('translationMemory.fuzzyThreshold'),
+                limit
+            });
+        } catch (e) {
+            console.error('Translation memory search failed:', e);
+            return [];
+        }
+    }
+
+    async function recordMemory(job) {
+        try {
+            const pairs = job.chunks.map((chunk, i) => ({ source: chunk.text, target: job.results[i] }));
+            await memory.record(pairs, {
+                sourceLang: job.sourceLang,
+                targetLang: job.targetLang,
+                provider: job.provider,
+                model: job.model,
+                variant: job.memoryVariant
+            });
+        } catch (e) {
+            console.error('Failed to record translation memory:', e);
+        }
+    }
+
+    async function updateMemoryCount() {
+        try {
+            elements.tmCount.textContent = await memory.count();
+        } catch (e) {
+            elements.tmCount.textContent = '0';
+        }
+    }
+
+    // ===========================================
+    // Glossary
+    // ===========================================
+
+    function populateGlossaryPairSelects() {
+        // In the glossary, 'auto' means the terms apply to any source language
+        elements.glossarySourceLang.innerHTML = `<option value="auto">모든 언어</option>${languageOptionsHtml()}`;
+        elements.glossaryTargetLang.innerHTML = languageOptionsHtml();
+    }
+
+    function renderGlossary() {
+        const terms = glossary.getTerms(elements.glossarySourceLang.value, elements.glossaryTargetLang.value);
+
+        if (terms.length === 0) {
+            elements.glossaryList.innerHTML = `
+                <div class="endpoint-empty">
+                    이 언어 쌍에 등록된 용어가 없습니다.<br>
+                    <small>+ 버튼을 눌러 추가하세요.</small>
+                </div>
+            `;
+            return;
+        }
+
+        elements.glossaryList.innerHTML = terms.map(term => `
+            <div class="glossary-row" data-id="${term.id}">
+                <input type="text" class="text-input glossary-source" value="${escapeHtml(term.source)}" placeholder="원문 용어">
+                <span class="glossary-arrow">→</span>
+                <input type="text" class="text-input glossary-target" value="${escapeHtml(term.target)}" placeholder="번역 용어">
+                <button class="glossary-delete-btn" data-id="${term.id}" title="삭제">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3 6 5 6 21 6"/>
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                    </svg>
+                </button>
             </div>
         `).join('');
 
-        // Add delete handlers
-        elements.customEndpointsList.querySelectorAll('.delete-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteCustomEndpoint(btn.dataset.id);
+        elements.glossaryList.querySelectorAll('.glossary-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                saveGlossaryFromUI();
+                glossary.remove(btn.dataset.id);
+                renderGlossary();
             });
         });
     }
 
-    function addCustomEndpoint() {
-        const newEndpoint = settings.addCustomEndpoint({
-            name: 'New Endpoint',
-            baseUrl: '',
-            apiKey: '',
-            model: ''
+    function addGlossaryTerm() {
+        saveGlossaryFromUI();
+        const term = glossary.add({
+            sourceLang: elements.glossarySourceLang.value,
+            targetLang: elements.glossaryTargetLang.value
         });
-        
-        renderCustomEndpoints();
-        showToast('새 엔드포인트가 추가되었습니다.');
-        
-        // Scroll to the new endpoint
-        const newCard = elements.customEndpointsList.querySelector(`[data-id="${newEndpoint.id}"]`);
-        if (newCard) {
-            newCard.scrollIntoView({ behavior: 'smooth' });
-            newCard.querySelector('.ep-name').focus();
-        }
-    }
+        renderGlossary();
 
-    function deleteCustomEndpoint(id) {
-        if (confirm('이 엔드포인트를 삭제하시겠습니까?')) {
-            settings.deleteCustomEndpoint(id);
-            renderCustomEndpoints();
-            updateProviderSelect();
-            showToast('엔드포인트가 삭제되었습니다.');
+        const row = elements.glossaryList.querySelector(`[data-id="${term.id}"]`);
+        if (row) {
+            row.scrollIntoView({ behavior: 'smooth' });
+            row.querySelector('.glossary-source').focus();
         }
     }
 
-    function saveCustomEndpointsFromUI() {
-        const cards = elements.customEndpointsList.querySelectorAll('.endpoint-card');
-        
-        cards.forEach(card => {
-            const id = card.dataset.id;
-            const name = card.querySelector('.ep-name').value;
-            const baseUrl = card.querySelector('.ep-url').value;
-            const apiKey = card.querySelector('.ep-key').value;
-            const model = card.querySelector('.ep-model').value;
-            
-            settings.updateCustomEndpoint(id, { name, baseUrl, apiKey, model });
+    function saveGlossaryFromUI() {
+        elements.glossaryList.querySelectorAll('.glossary-row').forEach(row => {
+            glossary.update(row.dataset.id, {
+                source: row.querySelector('.glossary-source').value.trim(),
+                target: row.querySelector('.glossary-target').value.trim()
+            });
         });
     }
 
+    function renderGlossaryReport(violations) {
+        if (violations.length === 0) {
+            elements.glossaryReport.style.display = 'none';
+            elements.glossaryReport.innerHTML = '';
+            return;
+        }
+
+        elements.glossaryReport.innerHTML = `
+            <span class="glossary-report-label">용어집 미준수</span>
+            ${violations.map(t => `<span class="glossary-violation">${escapeHtml(t.source)} → ${escapeHtml(t.target)}</span>`).join('')}
+        `;
+        elements.glossaryReport.style.display = 'flex';
+    }
+
     // ===========================================
     // History Sidebar
     // ===========================================
 
     function openHistory() {
+        populateHistoryFilters();
         renderHistory();
         elements.historyOverlay.classList.add('active');
         elements.historySidebar.classList.add('active');
@@ -786,32 +3018,118 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.historySidebar.classList.remove('active');
     }
 
-    function renderHistory(searchQuery = '') {
-        const items = history.search(searchQuery);
-        
-        if (items.length === 0) {
+    // Fills the tag and provider filter dropdowns, keeping the current selection
+    async function populateHistoryFilters() {
+        const providerFilter = elements.historyProviderFilter;
+        const selectedProvider = providerFilter.value;
+        providerFilter.innerHTML = '<option value="">모든 Provider</option>';
+        Array.from(elements.providerSelect.options).forEach(option => {
+            providerFilter.add(new Option(option.textContent, option.value));
+        });
+        providerFilter.value = selectedProvider;
+
+        const tagFilter = elements.historyTagFilter;
+        const selectedTag = tagFilter.value;
+        try {
+            const tags = await history.getTags();
+            tagFilter.innerHTML = '<option value="">모든 태그</option>';
+            tags.forEach(tag => tagFilter.add(new Option(`#${tag}`, tag)));
+            tagFilter.value = tags.includes(selectedTag) ? selectedTag : '';
+        } catch (e) {
+            console.error('Failed to load history tags:', e);
+        }
+    }
+
+    function getHistoryFilters() {
+        const from = elements.historyFromFilter.value;
+        const to = elements.historyToFilter.value;
+        return {
+            search: elements.historySearch.value,
+            favorite: elements.historyFavoriteFilter.classList.contains('active'),
+            tag: elements.historyTagFilter.value || null,
+            provider: elements.historyProviderFilter.value || null,
+            model: elements.historyModelFilter.value.trim() || null,
+            // Date inputs are local days; widen them to cover the whole day
+            from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+            to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null
+        };
+    }
+
+    // Renders the first page of history; further pages load as the list is scrolled
+    async function renderHistory() {
+        const filters = getHistoryFilters();
+        historyView = { filters, offset: 0, hasMore: false, loading: false, generation: historyView.generation + 1 };
+        const view = historyView;
+        const filtered = filters.search.trim() || filters.favorite || filters.tag ||
+            filters.provider || filters.model || filters.from || filters.to;
+        elements.historyList.innerHTML = '';
+        await loadMoreHistory();
+
+        if (view === historyView && elements.historyList.children.length === 0) {
             elements.historyList.innerHTML = `
                 <div class="history-empty">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <circle cx="12" cy="12" r="10"/>
                         <polyline points="12,6 12,12 16,14"/>
                     </svg>
-                    <p>${searchQuery ? '검색 결과가 없습니다.' : '번역 기록이 없습니다.'}</p>
+                    <p>${filtered ? '검색 결과가 없습니다.' : '번역 기록이 없습니다.'}</p>
                 </div>
             `;
-            return;
         }
+    }
+
+    async function loadMoreHistory() {
+        const view = historyView;
+        if (view.loading) return;
+        view.loading = true;
+
+        try {
+            const { items, hasMore } = await history.query({ ...view.filters, offset: view.offset });
+            // A newer search replaced this view while the page was loading
+            if (view.generation !== historyView.generation) return;
+
+            view.offset += items.length;
+            view.hasMore = hasMore;
+            elements.historyList.insertAdjacentHTML('beforeend', items.map(renderHistoryItem).join(''));
+        } catch (e) {
+            console.error('Failed to load history:', e);
+            showToast('기록을 불러오지 못했습니다.');
+        } finally {
+            view.loading = false;
+        }
+    }
 
-        elements.historyList.innerHTML = items.map(item => `
-            <div class="history-item" data-id="${item.id}">
+    function renderHistoryItem(item) {
+        return `
+            <div class="history-item" data-id="${escapeHtml(item.id)}">
                 <div class="history-meta">
-                    <span class="history-langs">${history.getLanguageLabel(item.sourceLang)} → ${history.getLanguageLabel(item.targetLang)}</span>
-                    <span class="history-time">${history.formatTimeAgo(item.timestamp)}</span>
+                    <span class="history-langs">${escapeHtml(history.getLanguageLabel(item.sourceLang))} → ${escapeHtml(history.getLanguageLabel(item.targetLang))}</span>
+                    ${Array.isArray(item.comparison) ? `<span class="history-compare" title="${item.comparison.length}개 모델 비교에서 선택됨">🏆 ${escapeHtml(item.model || item.provider)}</span>` : ''}
+                    <span class="history-time">${escapeHtml(history.formatTimeAgo(item.timestamp))}</span>
                 </div>
                 <div class="history-source">${escapeHtml(item.sourceText)}</div>
                 <div class="history-target">${escapeHtml(item.targetText)}</div>
+                ${item.tags && item.tags.length ? `
+                    <div class="history-tags">
+                        ${item.tags.map(tag => `<span class="history-tag">#${escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${item.note ? `<div class="history-note">${escapeHtml(item.note)}</div>` : ''}
+                ${item.context ? `<div class="history-context" title="번역 참고 정보">📝 ${escapeHtml(item.context)}</div>` : ''}
+                ${item.usage ? `<div class="history-usage">${escapeHtml(formatUsage(item.usage))}</div>` : ''}
                 <div class="history-actions">
-                    <button class="history-delete-btn" data-id="${item.id}" title="삭제">
+                    <button class="history-favorite-btn ${item.favorite ? 'active' : ''}" data-id="${escapeHtml(item.id)}" title="${item.favorite ? '즐겨찾기 해제' : '즐겨찾기'}">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="${item.favorite ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+                            <polygon points="12,2 15.09,8.26 22,9.27 17,14.14 18.18,21.02 12,17.77 5.82,21.02 7,14.14 2,9.27 8.91,8.26"/>
+                        </svg>
+                    </button>
+                    <button class="history-edit-btn" data-id="${escapeHtml(item.id)}" title="태그 및 메모">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 20h9"/>
+                            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
+                        </svg>
+                    </button>
+                    <button class="history-delete-btn" data-id="${escapeHtml(item.id)}" title="삭제">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3 6 5 6 21 6"/>
                             <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
@@ -819,50 +3137,132 @@ document.addEventListener('DOMContentLoaded', () => {
                     </button>
                 </div>
             </div>
-        `).join('');
-
-        // Add click handlers
-        elements.historyList.querySelectorAll('.history-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                if (e.target.closest('.history-delete-btn')) return;
-                loadFromHistory(item.dataset.id);
-            });
-        });
+        `;
+    }
 
-        elements.historyList.querySelectorAll('.history-delete-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteHistoryItem(btn.dataset.id);
-            });
-        });
+    function onHistoryScroll() {
+        const list = elements.historyList;
+        if (historyView.hasMore && list.scrollTop + list.clientHeight >= list.scrollHeight - 200) {
+            loadMoreHistory();
+        }
     }
 
-    function loadFromHistory(id) {
-        const item = history.get(id);
+    async function loadFromHistory(id) {
+        const item = await history.get(id);
         if (item) {
             elements.sourceText.value = item.sourceText;
             elements.targetText.textContent = item.targetText;
             elements.sourceLang.value = item.sourceLang;
             elements.targetLang.value = item.targetLang;
+            setContextNotes(item.context || '');
             updateCharCount();
+            updateDetectedLanguage();
             closeHistory();
             showToast('기록에서 불러왔습니다.');
         }
     }
 
-    function deleteHistoryItem(id) {
-        if (history.remove(id)) {
-            renderHistory(elements.historySearch.value);
+    async function deleteHistoryItem(id) {
+        if (await history.remove(id)) {
+            renderHistory();
             showToast('기록이 삭제되었습니다.');
         }
     }
 
-    function saveToHistory() {
-        if (lastTranslation) {
-            history.add(lastTranslation);
-            showToast('번역이 기록에 저장되었습니다.');
-        } else {
+    async function toggleHistoryFavorite(id) {
+        const item = await history.get(id);
+        if (!item) return;
+        await history.update(id, { favorite: !item.favorite });
+        if (lastTranslation && lastTranslation.historyId === id) {
+            lastTranslation.favorite = !item.favorite;
+        }
+        renderHistory();
+    }
+
+    // Opens an inline tag/note editor under the history item
+    async function openHistoryEditor(itemEl) {
+        if (itemEl.querySelector('.history-editor')) return;
+        const item = await history.get(itemEl.dataset.id);
+        if (!item) return;
+
+        itemEl.querySelector('.history-actions').insertAdjacentHTML('beforebegin', `
+            <div class="history-editor">
+                <input type="text" class="text-input history-tags-input" placeholder="태그 (쉼표로 구분)" value="${escapeHtml((item.tags || []).join(', '))}">
+                <textarea class="text-input history-note-input" rows="3" placeholder="메모">${escapeHtml(item.note || '')}</textarea>
+                <div class="history-editor-actions">
+                    <button class="btn-secondary history-editor-cancel">취소</button>
+                    <button class="btn-primary history-editor-save">저장</button>
+                </div>
+            </div>
+        `);
+        itemEl.querySelector('.history-tags-input').focus();
+    }
+
+    async function saveHistoryEditor(itemEl) {
+        const editor = itemEl.querySelector('.history-editor');
+        await history.update(itemEl.dataset.id, {
+            tags: history.parseTags(editor.querySelector('.history-tags-input').value),
+            note: editor.querySelector('.history-note-input').value.trim()
+        });
+        populateHistoryFilters();
+        renderHistory();
+        showToast('기록이 수정되었습니다.');
+    }
+
+    async function updateHistoryCount() {
+        try {
+            elements.historyCount.textContent = await history.count();
+        } catch (e) {
+            elements.historyCount.textContent = '0';
+        }
+    }
+
+    async function addToHistory(entry, message) {
+        try {
+            const item = await history.add(entry);
+            entry.historyId = item.id;
+            showToast(message);
+        } catch (e) {
+            console.error('Failed to save history:', e);
+            showToast('기록 저장에 실패했습니다. 저장 공간을 확인하세요.');
+        }
+    }
+
+    // Silent variant used after every completed translation
+    async function autoSaveToHistory(entry) {
+        try {
+            const item = await history.add(entry);
+            entry.historyId = item.id;
+        } catch (e) {
+            console.error('Failed to auto-save history:', e);
+        }
+    }
+
+    // Saves the last translation, or stars it when it is already in history
+    async function saveToHistory() {
+        if (!lastTranslation) {
             showToast('저장할 번역이 없습니다.');
+            return;
+        }
+        if (!lastTranslation.historyId) {
+            addToHistory(lastTranslation, '번역이 기록에 저장되었습니다.');
+            return;
+        }
+
+        const favorite = !lastTranslation.favorite;
+        try {
+            const item = await history.update(lastTranslation.historyId, { favorite });
+            if (!item) {
+                // The entry was deleted or dropped by retention; save it again
+                lastTranslation.historyId = null;
+                addToHistory(lastTranslation, '번역이 기록에 저장되었습니다.');
+                return;
+            }
+            lastTranslation.favorite = favorite;
+            showToast(favorite ? '즐겨찾기에 추가되었습니다.' : '즐겨찾기에서 해제되었습니다.');
+        } catch (e) {
+            console.error('Failed to update history:', e);
+            showToast('기록 저장에 실패했습니다. 저장 공간을 확인하세요.');
         }
     }
 
@@ -875,13 +3275,146 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.charCount.textContent = count;
     }
 
+    // ===========================================
+    // Language Selects
+    // ===========================================
+
+    const RECENT_LANGUAGE_LIMIT = 5;
+
+    function languageOptionsHtml(languages = LanguageRegistry.list()) {
+        return languages.map(l => `<option value="${l.code}">${escapeHtml(l.native)}</option>`).join('');
+    }
+
+    // Recently used languages first, then every registered language
+    function renderLanguageSelects() {
+        const recent = (settings.get('recentLanguages') || [])
+            .map(code => LanguageRegistry.get(code))
+            .filter((language, i, list) => language && language.code !== 'auto' && list.indexOf(language) === i);
+        const options = recent.length > 0
+            ? `<optgroup label="최근 사용">${languageOptionsHtml(recent)}</optgroup>` +
+              `<optgroup label="모든 언어">${languageOptionsHtml(LanguageRegistry.list().filter(l => !recent.includes(l)))}</optgroup>`
+            : languageOptionsHtml();
+
+        [[elements.sourceLang, '<option value="auto">언어 감지</option>'], [elements.targetLang, '']].forEach(([select, prefix]) => {
+            const value = select.value;
+            select.innerHTML = prefix + options;
+            if (value) select.value = value;
+        });
+        filterLanguageOptions();
+    }
+
+    function getSupportedLanguages() {
+        const ProviderClass = ProviderFactory.get(resolveProviderType(elements.providerSelect.value || ''));
+        return ProviderClass ? ProviderClass.supportedLanguages : null;
+    }
+
+    // Hides languages the selected provider does not handle and those not matching the search box
+    function filterLanguageOptions() {
+        const supported = getSupportedLanguages();
+        [[elements.sourceLang, elements.sourceLangSearch], [elements.targetLang, elements.targetLangSearch]].forEach(([select, search]) => {
+            Array.from(select.options).forEach(option => {
+                if (option.value === 'auto') return;
+                option.hidden = !LanguageRegistry.isSupported(option.value, supported) ||
+                    !LanguageRegistry.matches(LanguageRegistry.get(option.value), search.value);
+            });
+            select.querySelectorAll('optgroup').forEach(group => {
+                group.hidden = Array.from(group.children).every(option => option.hidden);
+            });
+        });
+    }
+
+    function warnUnsupportedLanguages() {
+        const supported = getSupportedLanguages();
+        const unsupported = [elements.sourceLang.value, elements.targetLang.value]
+            .filter(code => !LanguageRegistry.isSupported(code, supported));
+        if (unsupported.length > 0) {
+            showToast(`${getProviderLabel(elements.providerSelect.value)}은(는) ${unsupported.map(code => LanguageRegistry.getNativeName(code)).join(', ')}을(를) 지원하지 않을 수 있습니다.`);
+        }
+    }
+
+    // Typing previews the first match; Enter or leaving the box applies it, Escape restores the selection
+    function setupLanguageSearch(select, search) {
+        search.addEventListener('input', () => {
+            filterLanguageOptions();
+            const first = Array.from(select.options).find(o => !o.hidden && o.value !== 'auto');
+            if (search.value.trim() && first) {
+                select.value = first.value;
+            }
+        });
+        search.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                select.value = settings.get(select.id);
+                search.value = '';
+                filterLanguageOptions();
+            }
+        });
+        search.addEventListener('change', () => {
+            search.value = '';
+            filterLanguageOptions();
+            if (select.value !== settings.get(select.id)) {
+                select.dispatchEvent(new Event('change'));
+            }
+        });
+    }
+
+    function rememberLanguages(...codes) {
+        let recent = settings.get('recentLanguages') || [];
+        codes.filter(code => code && code !== 'auto').forEach(code => {
+            recent = [code, ...recent.filter(c => c !== code)];
+        });
+        settings.set('recentLanguages', recent.slice(0, RECENT_LANGUAGE_LIMIT));
+        settings.save();
+        renderLanguageSelects();
+    }
+
+    function updateTextDirection() {
+        const sourceLang = resolveSourceLang(elements.sourceText.value);
+        elements.sourceText.dir = LanguageRegistry.isRTL(sourceLang) ? 'rtl' : 'ltr';
+        elements.targetText.dir = LanguageRegistry.isRTL(elements.targetLang.value) ? 'rtl' : 'ltr';
+    }
+
+    // ===========================================
+    // Language Detection
+    // ===========================================
+
+    let detectionTimer = null;
+
+    // Typing re-detects after a short pause instead of on every keystroke
+    function scheduleLanguageDetection() {
+        clearTimeout(detectionTimer);
+        detectionTimer = setTimeout(updateDetectedLanguage, 300);
+    }
+
+    function updateDetectedLanguage() {
+        clearTimeout(detectionTimer);
+        updateTextDirection();
+        const text = elements.sourceText.value.trim();
+        if (elements.sourceLang.value !== 'auto' || !text) {
+            elements.detectedLang.textContent = '';
+            return;
+        }
+
+        const result = detector.detect(text);
+        elements.detectedLang.textContent = result
+            ? `${LanguageRegistry.getNativeName(result.lang)} 감지됨 · ${Math.round(result.confidence * 100)}%`
+            : '언어를 감지하지 못했습니다';
+    }
+
+    // The selected source language, or the detected one in auto mode ('auto' when unsure)
+    function resolveSourceLang(text) {
+        if (elements.sourceLang.value !== 'auto') return elements.sourceLang.value;
+        const result = detector.detect(text);
+        return result ? result.lang : 'auto';
+    }
+
     function swapLanguages() {
-        const source = elements.sourceLang.value;
         const target = elements.targetLang.value;
-        
-        // Can't swap if source is auto
+        const source = resolveSourceLang(elements.sourceText.value);
+
+        // Auto mode swaps with the detected language
         if (source === 'auto') {
-            showToast('자동 감지 모드에서는 언어를 교환할 수 없습니다.');
+            showToast('원문 언어를 감지하지 못해 교환할 수 없습니다.');
             return;
         }
 
@@ -901,14 +3434,21 @@ document.addEventListener('DOMContentLoaded', () => {
         settings.set('sourceLang', target);
         settings.set('targetLang', source);
         settings.save();
+        applyPresetBinding();
+        updateDetectedLanguage();
     }
 
     function clearSource() {
         elements.sourceText.value = '';
         elements.targetText.textContent = '';
-        elements.detectedLang.textContent = '';
+        updateDetectedLanguage();
         updateCharCount();
         lastTranslation = null;
+        chunkJob = null;
+        elements.retryChunkBtn.style.display = 'none';
+        elements.continueBtn.style.display = 'none';
+        elements.targetText.classList.remove('interrupted');
+        renderGlossaryReport([]);
     }
 
     async function pasteFromClipboard() {
@@ -916,6 +3456,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const text = await navigator.clipboard.readText();
             elements.sourceText.value = text;
             updateCharCount();
+            updateDetectedLanguage();
             showToast('클립보드에서 붙여넣었습니다.');
         } catch (err) {
             showToast('클립보드 접근 권한이 없습니다.');
@@ -937,10 +3478,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Also escapes quotes, so the result is safe inside attribute values
     function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
     }
 
     function showToast(message) {
@@ -961,13 +3502,120 @@ document.addEventListener('DOMContentLoaded', () => {
         // Theme
         elements.themeBtn.addEventListener('click', toggleTheme);
 
+        // Compare Mode
+        elements.compareBtn.addEventListener('click', toggleComparePanel);
+        elements.addCompareSlotBtn.addEventListener('click', addCompareSlot);
+        elements.runCompareBtn.addEventListener('click', runCompare);
+
+        // Batch
+        elements.batchBtn.addEventListener('click', toggleBatchPanel);
+        elements.runBatchBtn.addEventListener('click', runBatch);
+        elements.addBatchLinesBtn.addEventListener('click', addBatchLines);
+        elements.batchFileInput.addEventListener('change', async (e) => {
+            if (e.target.files.length > 0) {
+                await addBatchFiles(e.target.files);
+            }
+            e.target.value = '';
+        });
+        elements.batchDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.batchDropZone.classList.add('dragover');
+        });
+        elements.batchDropZone.addEventListener('dragleave', () => {
+            elements.batchDropZone.classList.remove('dragover');
+        });
+        elements.batchDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.batchDropZone.classList.remove('dragover');
+            if (e.dataTransfer.files.length > 0) {
+                addBatchFiles(e.dataTransfer.files);
+            }
+        });
+        elements.batchTable.addEventListener('click', onBatchTableClick);
+        elements.retryBatchBtn.addEventListener('click', retryFailedBatchItems);
+        elements.clearBatchBtn.addEventListener('click', () => {
+            batch.clear();
+            renderBatchTable();
+        });
+        elements.downloadBatchZipBtn.addEventListener('click', () => downloadBatch('zip'));
+        elements.downloadBatchCombinedBtn.addEventListener('click', () => downloadBatch('combined'));
+
+        // Localization files
+        elements.localizationBtn.addEventListener('click', toggleLocalizationPanel);
+        elements.runLocalizationBtn.addEventListener('click', runLocalization);
+        elements.downloadLocalizationBtn.addEventListener('click', downloadLocalizationFile);
+        elements.localizationFileInput.addEventListener('change', async (e) => {
+            if (e.target.files.length > 0) {
+                await loadLocalizationFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        elements.localizationDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.localizationDropZone.classList.add('dragover');
+        });
+        elements.localizationDropZone.addEventListener('dragleave', () => {
+            elements.localizationDropZone.classList.remove('dragover');
+        });
+        elements.localizationDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.localizationDropZone.classList.remove('dragover');
+            if (e.dataTransfer.files.length > 0) {
+                loadLocalizationFile(e.dataTransfer.files[0]);
+            }
+        });
+
+        // Subtitle files
+        elements.subtitleBtn.addEventListener('click', toggleSubtitlePanel);
+        elements.runSubtitleBtn.addEventListener('click', runSubtitles);
+        elements.downloadSubtitleBtn.addEventListener('click', downloadSubtitleFile);
+        elements.subtitleTable.addEventListener('input', onSubtitleEdit);
+        elements.subtitleTable.addEventListener('click', onSubtitleTableClick);
+        elements.subtitleFileInput.addEventListener('change', async (e) => {
+            if (e.target.files.length > 0) {
+                await loadSubtitleFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        elements.subtitleDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.subtitleDropZone.classList.add('dragover');
+        });
+        elements.subtitleDropZone.addEventListener('dragleave', () => {
+            elements.subtitleDropZone.classList.remove('dragover');
+        });
+        elements.subtitleDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.subtitleDropZone.classList.remove('dragover');
+            if (e.dataTransfer.files.length > 0) {
+                loadSubtitleFile(e.dataTransfer.files[0]);
+            }
+        });
+
         // Provider & Model
         elements.providerSelect.addEventListener('change', async () => {
             settings.set('provider', elements.providerSelect.value);
             settings.save();
+            applyPresetBinding();
+            updateStyleNotice();
+            filterLanguageOptions();
+            warnUnsupportedLanguages();
             await updateProviderModels();
         });
 
+        Object.entries(getStyleSelects()).forEach(([key, select]) => {
+            select.addEventListener('change', () => {
+                settings.set(`style.${key}`, select.value);
+                settings.save();
+                updateStyleNotice();
+            });
+        });
+
+        elements.presetSelect.addEventListener('change', () => {
+            settings.set('activePreset', elements.presetSelect.value);
+            settings.save();
+        });
+
         elements.modelSelect.addEventListener('change', () => {
             settings.set('model', elements.modelSelect.value);
             settings.save();
@@ -989,21 +3637,31 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.sourceLang.addEventListener('change', () => {
             settings.set('sourceLang', elements.sourceLang.value);
             settings.save();
+            applyPresetBinding();
+            updateDetectedLanguage();
         });
 
         elements.targetLang.addEventListener('change', () => {
             settings.set('targetLang', elements.targetLang.value);
             settings.save();
+            applyPresetBinding();
+            updateTextDirection();
         });
 
+        setupLanguageSearch(elements.sourceLang, elements.sourceLangSearch);
+        setupLanguageSearch(elements.targetLang, elements.targetLangSearch);
+
         elements.swapLangBtn.addEventListener('click', swapLanguages);
 
         // Translation
         elements.sourceText.addEventListener('input', updateCharCount);
+        elements.sourceText.addEventListener('input', scheduleLanguageDetection);
         elements.clearBtn.addEventListener('click', clearSource);
         elements.pasteBtn.addEventListener('click', pasteFromClipboard);
         elements.copyBtn.addEventListener('click', copyToClipboard);
         elements.saveHistoryBtn.addEventListener('click', saveToHistory);
+        elements.retryChunkBtn.addEventListener('click', resumeChunkJob);
+        elements.continueBtn.addEventListener('click', resumeChunkJob);
         elements.translateBtn.addEventListener('click', translate);
 
         // Ctrl+Enter to translate
@@ -1017,6 +3675,23 @@ document.addEventListener('DOMContentLoaded', () => {
         // Reasoning Panel
         elements.reasoningToggle.addEventListener('click', toggleReasoningPanel);
 
+        // Context Panel
+        elements.contextToggle.addEventListener('click', () => {
+            elements.contextPanel.classList.toggle('collapsed');
+        });
+        elements.contextNotes.addEventListener('input', saveContextNotes);
+        elements.contextHistoryEnabled.addEventListener('change', () => {
+            settings.set('context.includeHistory', elements.contextHistoryEnabled.checked);
+            settings.save();
+            updateContextBadge();
+        });
+        elements.contextHistoryCount.addEventListener('change', () => {
+            const count = Math.min(20, Math.max(1, parseInt(elements.contextHistoryCount.value) || 3));
+            elements.contextHistoryCount.value = count;
+            settings.set('context.historyCount', count);
+            settings.save();
+        });
+
         // Settings Modal
         elements.settingsBtn.addEventListener('click', openSettings);
         elements.closeSettingsBtn.addEventListener('click', closeSettings);
@@ -1032,15 +3707,58 @@ document.addEventListener('DOMContentLoaded', () => {
             btn.addEventListener('click', () => switchTab(btn.dataset.tab));
         });
 
-        elements.resetPromptBtn.addEventListener('click', () => {
-            settings.resetPrompts();
-            loadSettingsToUI();
-            showToast('프롬프트가 기본값으로 복원되었습니다.');
+        // Prompt Presets
+        elements.presetEditSelect.addEventListener('change', () => {
+            storePresetEditor();
+            showPresetInEditor(elements.presetEditSelect.value);
+        });
+        elements.addPresetBtn.addEventListener('click', addPromptPreset);
+        elements.userPrompt.addEventListener('input', updatePromptWarnings);
+        elements.systemPrompt.addEventListener('input', updatePromptWarnings);
+        elements.addPromptVariableBtn.addEventListener('click', () => {
+            appendPromptVariableRow({ name: '', value: '' });
+            elements.promptVariableList.querySelector('.prompt-variable-row:last-child .variable-name').focus();
+        });
+        elements.deletePresetBtn.addEventListener('click', deletePromptPreset);
+        elements.resetPromptBtn.addEventListener('click', resetPromptPreset);
+        elements.addPresetBindingBtn.addEventListener('click', () => {
+            appendPresetBindingRow({
+                sourceLang: elements.sourceLang.value,
+                targetLang: elements.targetLang.value,
+                provider: '',
+                preset: editingPresetId
+            });
         });
         
         // Custom Endpoints
         elements.addEndpointBtn.addEventListener('click', addCustomEndpoint);
 
+        elements.exportHistoryBtn.addEventListener('click', async () => {
+            try {
+                const count = await history.export(elements.historyExportFormat.value);
+                showToast(count > 0 ? `기록 ${count}개를 내보냈습니다.` : '내보낼 기록이 없습니다.');
+            } catch (err) {
+                console.error('Failed to export history:', err);
+                showToast('기록을 내보내지 못했습니다.');
+            }
+        });
+
+        elements.importHistoryInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                try {
+                    const { added, skipped } = await history.import(file);
+                    updateHistoryCount();
+                    showToast(skipped > 0
+                        ? `기록 ${added}개를 불러왔습니다 (중복 ${skipped}개 제외).`
+                        : `기록 ${added}개를 불러왔습니다.`);
+                } catch (err) {
+                    showToast(err.message);
+                }
+                e.target.value = '';
+            }
+        });
+
         elements.exportSettingsBtn.addEventListener('click', () => {
             settings.export();
             showToast('설정이 내보내졌습니다.');
@@ -1056,6 +3774,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     elements.providerSelect.value = settings.get('provider');
                     updateProviderModels();
                     elements.modelSelect.value = settings.get('model');
+                    renderLanguageSelects();
+                    updatePresetSelect();
+                    renderStyleControls();
                     showToast('설정을 불러왔습니다.');
                 } catch (err) {
                     showToast(err.message);
@@ -1064,18 +3785,137 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
+        // Fallback Chain
+        elements.addFallbackBtn.addEventListener('click', () => {
+            appendFallbackRow({ provider: elements.providerSelect.value, model: '' });
+        });
+
+        // Usage
+        elements.usageMonth.addEventListener('change', () => renderUsage(readPricingFromUI()));
+        // Totals follow the price table while it is being edited
+        elements.priceList.addEventListener('change', () => renderUsage(readPricingFromUI()));
+        elements.addPriceBtn.addEventListener('click', () => {
+            appendPriceRow({ model: '', input: 0, output: 0 }).querySelector('.price-model').focus();
+        });
+        elements.clearUsageBtn.addEventListener('click', () => {
+            const month = elements.usageMonth.value;
+            if (month && confirm(`${month} 사용량 기록을 삭제하시겠습니까?`)) {
+                usage.clear(month);
+                renderUsage(readPricingFromUI());
+                showToast('사용량 기록이 삭제되었습니다.');
+            }
+        });
+
+        // Translation Memory
+        elements.clearTmBtn.addEventListener('click', async () => {
+            if (confirm('번역 메모리를 모두 삭제하시겠습니까?')) {
+                try {
+                    await memory.clear();
+                    updateMemoryCount();
+                    showToast('번역 메모리가 삭제되었습니다.');
+                } catch (err) {
+                    showToast(err.message);
+                }
+            }
+        });
+
+        // Glossary
+        elements.addGlossaryTermBtn.addEventListener('click', addGlossaryTerm);
+
+        [elements.glossarySourceLang, elements.glossaryTargetLang].forEach(select => {
+            select.addEventListener('change', () => {
+                // Rows still show the previous pair; keep their edits before re-rendering
+                saveGlossaryFromUI();
+                renderGlossary();
+            });
+        });
+
+        elements.exportGlossaryCsvBtn.addEventListener('click', () => {
+            saveGlossaryFromUI();
+            glossary.export('csv');
+            showToast('용어집이 내보내졌습니다.');
+        });
+
+        elements.exportGlossaryTsvBtn.addEventListener('click', () => {
+            saveGlossaryFromUI();
+            glossary.export('tsv');
+            showToast('용어집이 내보내졌습니다.');
+        });
+
+        elements.importGlossaryInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                try {
+                    saveGlossaryFromUI();
+                    const added = await glossary.import(
+                        file,
+                        elements.glossarySourceLang.value,
+                        elements.glossaryTargetLang.value
+                    );
+                    renderGlossary();
+                    showToast(`${added}개의 용어를 불러왔습니다.`);
+                } catch (err) {
+                    showToast(err.message);
+                }
+                e.target.value = '';
+            }
+        });
+
         // History Sidebar
         elements.historyBtn.addEventListener('click', openHistory);
         elements.closeHistoryBtn.addEventListener('click', closeHistory);
         elements.historyOverlay.addEventListener('click', closeHistory);
 
-        elements.historySearch.addEventListener('input', (e) => {
-            renderHistory(e.target.value);
+        elements.historySearch.addEventListener('input', () => renderHistory());
+
+        elements.historyFavoriteFilter.addEventListener('click', () => {
+            elements.historyFavoriteFilter.classList.toggle('active');
+            renderHistory();
+        });
+        elements.historyModelFilter.addEventListener('input', () => renderHistory());
+        [elements.historyTagFilter, elements.historyProviderFilter, elements.historyFromFilter, elements.historyToFilter]
+            .forEach(el => el.addEventListener('change', () => renderHistory()));
+
+        elements.historyList.addEventListener('scroll', onHistoryScroll);
+
+        // Delegated so that appended pages need no extra wiring
+        elements.historyList.addEventListener('click', (e) => {
+            const itemEl = e.target.closest('.history-item');
+            if (e.target.closest('.history-editor')) {
+                // Clicks inside the editor must not load the entry
+                if (e.target.closest('.history-editor-save')) {
+                    saveHistoryEditor(itemEl);
+                } else if (e.target.closest('.history-editor-cancel')) {
+                    itemEl.querySelector('.history-editor').remove();
+                }
+                return;
+            }
+            const favoriteBtn = e.target.closest('.history-favorite-btn');
+            if (favoriteBtn) {
+                e.stopPropagation();
+                toggleHistoryFavorite(favoriteBtn.dataset.id);
+                return;
+            }
+            const editBtn = e.target.closest('.history-edit-btn');
+            if (editBtn) {
+                e.stopPropagation();
+                openHistoryEditor(itemEl);
+                return;
+            }
+            const deleteBtn = e.target.closest('.history-delete-btn');
+            if (deleteBtn) {
+                e.stopPropagation();
+                deleteHistoryItem(deleteBtn.dataset.id);
+                return;
+            }
+            if (itemEl) {
+                loadFromHistory(itemEl.dataset.id);
+            }
         });
 
-        elements.clearHistoryBtn.addEventListener('click', () => {
+        elements.clearHistoryBtn.addEventListener('click', async () => {
             if (confirm('모든 번역 기록을 삭제하시겠습니까?')) {
-                history.clear();
+                await history.clear();
                 renderHistory();
                 showToast('모든 기록이 삭제되었습니다.');
             }
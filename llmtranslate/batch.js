@@ -0,0 +1,178 @@
+/**
+ * Batch Queue
+ * Holds the items of a batch translation (text files or single lines), runs them through a
+ * worker with a concurrency limit and exports the results as a ZIP or a combined file
+ */
+
+class BatchQueue {
+    static FILE_PATTERN = /\.(txt|md|markdown)$/i;
+
+    constructor() {
+        // [{ id, kind: 'file' | 'line', name, sourceText, status, detail, output, targetLang, error, attempts }]
+        // status is 'pending', 'running', 'done' or 'error'; detail is progress shown next to it
+        this.items = [];
+        this.controller = null;
+    }
+
+    get running() {
+        return this.controller !== null;
+    }
+
+    addItem(kind, name, sourceText) {
+        const item = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+            kind,
+            name,
+            sourceText,
+            status: 'pending',
+            detail: '',
+            output: '',
+            targetLang: '',
+            error: null,
+            attempts: 0
+        };
+        this.items.push(item);
+        return item;
+    }
+
+    // One item per non-empty line; returns the number of items added
+    addLines(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        let number = this.items.filter(item => item.kind === 'line').length;
+        lines.forEach(line => this.addItem('line', `${++number}`, line));
+        return lines.length;
+    }
+
+    // Reads .txt/.md files; other files and empty ones are skipped. Resolves to { added, skipped }.
+    async addFiles(files) {
+        let added = 0;
+        const skipped = [];
+        for (const file of Array.from(files)) {
+            if (!BatchQueue.FILE_PATTERN.test(file.name)) {
+                skipped.push(file.name);
+                continue;
+            }
+            const text = await FileHelper.readFileAsText(file);
+            if (!text.trim()) {
+                skipped.push(file.name);
+                continue;
+            }
+            this.addItem('file', file.name, text);
+            added++;
+        }
+        return { added, skipped };
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id || item.status === 'running');
+    }
+
+    clear() {
+        this.items = this.items.filter(item => item.status === 'running');
+    }
+
+    // Puts failed items (or the given one) back in the queue
+    retry(id = null) {
+        let count = 0;
+        this.items.forEach(item => {
+            if (item.status === 'error' && (id === null || item.id === id)) {
+                item.status = 'pending';
+                item.error = null;
+                count++;
+            }
+        });
+        return count;
+    }
+
+    getCounts() {
+        const counts = { total: this.items.length, pending: 0, running: 0, done: 0, error: 0 };
+        this.items.forEach(item => counts[item.status]++);
+        return counts;
+    }
+
+    // Runs pending items, at most `concurrency` at a time, until none are left or abort() is
+    // called. worker(item, signal) resolves to fields merged into the item, at least
+    // { output, targetLang }; items added while the batch runs are picked up too.
+    // onUpdate(item) is called on every status change.
+    async run(worker, { concurrency = 2, onUpdate = () => {} } = {}) {
+        if (this.running) return;
+        this.controller = new AbortController();
+        const signal = this.controller.signal;
+
+        const next = async () => {
+            let item;
+            while (!signal.aborted && (item = this.items.find(i => i.status === 'pending'))) {
+                item.status = 'running';
+                item.detail = '';
+                item.attempts++;
+                onUpdate(item);
+                try {
+                    Object.assign(item, await worker(item, signal));
+                    item.status = 'done';
+                } catch (error) {
+                    const aborted = error.name === 'AbortError' || signal.aborted;
+                    // Stopped items go back to the queue so that the next run picks them up
+                    item.status = aborted ? 'pending' : 'error';
+                    item.error = aborted ? null : error.message;
+                }
+                onUpdate(item);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.max(1, concurrency) }, next));
+        } finally {
+            this.controller = null;
+        }
+    }
+
+    abort() {
+        if (this.controller) this.controller.abort();
+    }
+
+    // 'notes.md' → 'notes.ko.md'
+    getOutputName(name, targetLang) {
+        const dot = name.lastIndexOf('.');
+        return dot > 0 ? `${name.slice(0, dot)}.${targetLang}${name.slice(dot)}` : `${name}.${targetLang}`;
+    }
+
+    // Finished lines stay one per line; each finished file gets a heading with its name
+    toCombined() {
+        const done = this.items.filter(item => item.status === 'done');
+        const lines = done.filter(item => item.kind === 'line').map(item => item.output.replace(/\r?\n/g, ' '));
+        const files = done.filter(item => item.kind === 'file').map(item => `===== ${item.name} =====\n${item.output.trim()}\n`);
+        return [...files, ...(lines.length > 0 ? [lines.join('\n') + '\n'] : [])].join('\n');
+    }
+
+    // One translated file per finished file, plus lines.<lang>.txt per target language for the lines
+    toZip() {
+        const zip = new ZipArchive();
+        const lines = new Map();
+        this.items.filter(item => item.status === 'done').forEach(item => {
+            if (item.kind === 'file') {
+                zip.add(this.getOutputName(item.name, item.targetLang), item.output);
+            } else {
+                if (!lines.has(item.targetLang)) lines.set(item.targetLang, []);
+                lines.get(item.targetLang).push(item.output.replace(/\r?\n/g, ' '));
+            }
+        });
+        lines.forEach((outputs, targetLang) => zip.add(`lines.${targetLang}.txt`, outputs.join('\n') + '\n'));
+        return zip;
+    }
+
+    // Returns the number of exported items
+    export(format) {
+        const count = this.getCounts().done;
+        if (count === 0) return 0;
+        const base = `llm_translator_batch_${new Date().toISOString().split('T')[0]}`;
+        if (format === 'zip') {
+            FileHelper.download(this.toZip().toBlob(), `${base}.zip`);
+        } else {
+            FileHelper.download(new Blob([this.toCombined()], { type: 'text/plain' }), `${base}.txt`);
+        }
+        return count;
+    }
+}
+
+// Export for use in other modules
+window.BatchQueue = BatchQueue;
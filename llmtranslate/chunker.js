@@ -0,0 +1,108 @@
+/**
+ * Text Chunker
+ * Splits long documents into token-budgeted chunks at paragraph and sentence boundaries
+ */
+
+class TextChunker {
+    constructor(maxTokens = 1500) {
+        this.maxTokens = Math.max(100, maxTokens || 1500);
+    }
+
+    // Rough token estimate: CJK/Hangul ~1 token per char, other scripts ~4 chars per token
+    estimateTokens(text) {
+        const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+        return Math.ceil(cjk + (text.length - cjk) / 4);
+    }
+
+    // Returns [{ text, separator }] where separator is the whitespace that followed the chunk
+    split(text) {
+        if (this.estimateTokens(text) <= this.maxTokens) {
+            return [{ text, separator: '' }];
+        }
+
+        const units = [];
+        this.splitParagraphs(text).forEach(paragraph => {
+            if (this.estimateTokens(paragraph.text) <= this.maxTokens) {
+                units.push(paragraph);
+                return;
+            }
+
+            const sentences = this.splitSentences(paragraph.text);
+            sentences[sentences.length - 1].separator += paragraph.separator;
+            sentences.forEach(sentence => {
+                if (this.estimateTokens(sentence.text) <= this.maxTokens) {
+                    units.push(sentence);
+                } else {
+                    units.push(...this.hardSplit(sentence));
+                }
+            });
+        });
+
+        return this.pack(units);
+    }
+
+    splitParagraphs(text) {
+        const parts = text.split(/(\n\s*\n)/);
+        const paragraphs = [];
+        // Blank lines before the first paragraph stay at the start of its text
+        let leading = '';
+        for (let i = 0; i < parts.length; i += 2) {
+            if (!parts[i]) {
+                leading += parts[i + 1] || '';
+                continue;
+            }
+            paragraphs.push({ text: leading + parts[i], separator: parts[i + 1] || '' });
+            leading = '';
+        }
+        return paragraphs;
+    }
+
+    splitSentences(text) {
+        // Latin terminators need trailing whitespace (so "3.5" stays intact), CJK ones don't
+        const pattern = /([\s\S]+?(?:[.!?]+["'”’)\]]*(?=\s|$)|[。！？]+["'”’」』)\]]*|$))(\s*)/g;
+        const sentences = [];
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (!match[0]) break;
+            sentences.push({ text: match[1], separator: match[2] });
+        }
+        return sentences.length > 0 ? sentences : [{ text, separator: '' }];
+    }
+
+    // Last resort for a single sentence over budget: cut near the budget, preferring whitespace
+    hardSplit(unit) {
+        const pieces = [];
+        let rest = unit.text;
+        while (this.estimateTokens(rest) > this.maxTokens) {
+            const ratio = this.maxTokens / this.estimateTokens(rest);
+            let cut = Math.max(1, Math.floor(rest.length * ratio));
+            const space = rest.lastIndexOf(' ', cut);
+            if (space > cut / 2) cut = space;
+            pieces.push({ text: rest.slice(0, cut), separator: rest[cut] === ' ' ? ' ' : '' });
+            rest = rest.slice(cut).replace(/^ /, '');
+        }
+        pieces.push({ text: rest, separator: unit.separator });
+        return pieces;
+    }
+
+    // Greedily merge units back together while they fit in the budget
+    pack(units) {
+        const chunks = [];
+        let current = null;
+
+        units.forEach(unit => {
+            if (current && this.estimateTokens(current.text + current.separator + unit.text) <= this.maxTokens) {
+                current.text += current.separator + unit.text;
+                current.separator = unit.separator;
+            } else {
+                current = { ...unit };
+                chunks.push(current);
+            }
+        });
+
+        return chunks;
+    }
+}
+
+// Export for use in other modules
+window.TextChunker = TextChunker;
@@ -0,0 +1,60 @@
+/**
+ * Delimited Text
+ * CSV/TSV reading and writing shared by the glossary and history import/export
+ */
+
+class DelimitedText {
+    static stringify(rows, delimiter = ',') {
+        const quote = (value) => {
+            const str = String(value ?? '');
+            return /["\r\n]/.test(str) || str.includes(delimiter)
+                ? `"${str.replace(/"/g, '""')}"`
+                : str;
+        };
+        return rows.map(row => row.map(quote).join(delimiter)).join('\n');
+    }
+
+    // Returns the non-empty rows as arrays of strings; quoted fields may span lines
+    static parse(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    }
+}
+
+// Export for use in other modules
+window.DelimitedText = DelimitedText;
@@ -0,0 +1,170 @@
+/**
+ * Language Detector
+ * Offline detection: the writing system decides most languages, and text in a script shared by
+ * several languages is scored against character trigram profiles built from the samples below
+ */
+
+class LanguageDetector {
+    // Writing systems and the registry languages written in them. A script with one language
+    // identifies it on its own (Han and kana are resolved together); the others are told apart
+    // by trigram profiles, and only when every one of their languages has a sample.
+    static SCRIPTS = [
+        { name: 'hangul', langs: ['ko'], pattern: /[가-힯ᄀ-ᇿ㄰-㆏]/ },
+        { name: 'kana', langs: ['ja'], pattern: /[぀-ヿㇰ-ㇿ]/ },
+        { name: 'han', langs: ['zh'], pattern: /[㐀-鿿豈-﫿]/ },
+        { name: 'thai', langs: ['th'], pattern: /[฀-๿]/ },
+        { name: 'greek', langs: ['el'], pattern: /[Ͱ-Ͽἀ-῾]/ },
+        { name: 'hebrew', langs: ['he'], pattern: /[֐-׿]/ },
+        { name: 'bengali', langs: ['bn'], pattern: /[ঀ-৿]/ },
+        { name: 'gujarati', langs: ['gu'], pattern: /[઀-૿]/ },
+        { name: 'tamil', langs: ['ta'], pattern: /[஀-௿]/ },
+        { name: 'telugu', langs: ['te'], pattern: /[ఀ-౿]/ },
+        { name: 'kannada', langs: ['kn'], pattern: /[ಀ-೿]/ },
+        { name: 'malayalam', langs: ['ml'], pattern: /[ഀ-ൿ]/ },
+        // No samples yet, so Hindi and Marathi are reported as undetected rather than guessed
+        { name: 'devanagari', langs: ['hi', 'mr'], pattern: /[ऀ-ॿ]/ },
+        { name: 'arabic', langs: ['ar', 'fa', 'ur'], pattern: /[؀-ۿݐ-ݿ]/ },
+        { name: 'cyrillic', langs: ['ru', 'uk', 'bg', 'sr'], pattern: /[Ѐ-ӿ]/ },
+        {
+            name: 'latin',
+            langs: ['en', 'es', 'fr', 'de', 'pt', 'it', 'vi', 'id', 'ca', 'hr', 'cs', 'da', 'nl', 'et', 'fil', 'fi',
+                'hu', 'lv', 'lt', 'ms', 'no', 'pl', 'ro', 'sk', 'sl', 'sw', 'sv', 'tr'],
+            pattern: /[a-zA-ZÀ-ɏḀ-ỿ]/
+        }
+    ];
+
+    // Guesses below this are reported as undetected
+    static MIN_CONFIDENCE = 0.2;
+
+    // The same everyday text in each language written in a shared script; the trigram profiles
+    // are built from these
+    static SAMPLES = {
+        en: 'The translation of this document is ready. We would like to thank you for your patience and for all the help you have given us over the past few weeks. Please let me know if there is anything else that I can do for you. It was a pleasure to work with the team, and we are looking forward to the next project. What do you think about the new version of the application? The weather has been very nice this week, so we went for a walk in the park with our children. Select a file from your computer and press the start button. If something goes wrong, an error message appears at the top of the screen and nothing is changed. You can change the language, the colours and the size of the text at any time in the settings. My brother lives in a small town near the sea, and every summer we visit him with the whole family. Yesterday I bought bread, cheese and fresh fruit at the market.',
+        es: 'La traducción de este documento ya está lista. Queremos darle las gracias por su paciencia y por toda la ayuda que nos ha dado durante las últimas semanas. Por favor, avíseme si hay algo más que pueda hacer por usted. Fue un placer trabajar con el equipo y estamos deseando empezar el próximo proyecto. ¿Qué le parece la nueva versión de la aplicación? El tiempo ha sido muy agradable esta semana, así que fuimos a pasear por el parque con nuestros hijos. Seleccione un archivo de su ordenador y pulse el botón de inicio. Si algo sale mal, aparece un mensaje de error en la parte superior de la pantalla y no se cambia nada. Puede cambiar el idioma, los colores y el tamaño del texto en cualquier momento en la configuración. Mi hermano vive en un pueblo pequeño cerca del mar y cada verano lo visitamos con toda la familia. Ayer compré pan, queso y fruta fresca en el mercado.',
+        fr: 'La traduction de ce document est prête. Nous tenons à vous remercier pour votre patience et pour toute l\'aide que vous nous avez apportée au cours des dernières semaines. N\'hésitez pas à me dire s\'il y a autre chose que je peux faire pour vous. C\'était un plaisir de travailler avec l\'équipe et nous attendons avec impatience le prochain projet. Que pensez-vous de la nouvelle version de l\'application ? Il a fait très beau cette semaine, alors nous sommes allés nous promener dans le parc avec nos enfants. Sélectionnez un fichier sur votre ordinateur et appuyez sur le bouton de démarrage. Si quelque chose ne va pas, un message d\'erreur apparaît en haut de l\'écran et rien n\'est modifié. Vous pouvez changer la langue, les couleurs et la taille du texte à tout moment dans les paramètres. Mon frère habite dans une petite ville près de la mer et chaque été nous lui rendons visite avec toute la famille. Hier, j\'ai acheté du pain, du fromage et des fruits frais au marché.',
+        de: 'Die Übersetzung dieses Dokuments ist fertig. Wir möchten uns für Ihre Geduld und für die ganze Hilfe bedanken, die Sie uns in den letzten Wochen gegeben haben. Bitte sagen Sie mir, ob ich noch etwas für Sie tun kann. Es war eine Freude, mit dem Team zu arbeiten, und wir freuen uns schon auf das nächste Projekt. Was halten Sie von der neuen Version der Anwendung? Das Wetter war diese Woche sehr schön, deshalb sind wir mit unseren Kindern im Park spazieren gegangen. Wählen Sie eine Datei auf Ihrem Computer aus und drücken Sie die Starttaste. Wenn etwas schiefgeht, erscheint oben auf dem Bildschirm eine Fehlermeldung und es wird nichts geändert. Sie können die Sprache, die Farben und die Textgröße jederzeit in den Einstellungen ändern. Mein Bruder wohnt in einer kleinen Stadt am Meer, und jeden Sommer besuchen wir ihn mit der ganzen Familie. Gestern habe ich auf dem Markt Brot, Käse und frisches Obst gekauft.',
+        pt: 'A tradução deste documento já está pronta. Gostaríamos de agradecer pela sua paciência e por toda a ajuda que nos deu nas últimas semanas. Por favor, me avise se houver mais alguma coisa que eu possa fazer por você. Foi um prazer trabalhar com a equipe e estamos ansiosos pelo próximo projeto. O que você acha da nova versão do aplicativo? O tempo esteve muito bom esta semana, então fomos passear no parque com os nossos filhos. Selecione um arquivo do seu computador e pressione o botão de início. Se algo der errado, uma mensagem de erro aparece na parte de cima da tela e nada é alterado. Você pode mudar o idioma, as cores e o tamanho do texto a qualquer momento nas configurações. Meu irmão mora em uma cidade pequena perto do mar, e todo verão nós o visitamos com a família inteira. Ontem comprei pão, queijo e frutas frescas na feira.',
+        it: 'La traduzione di questo documento è pronta. Vorremmo ringraziarvi per la vostra pazienza e per tutto l\'aiuto che ci avete dato nelle ultime settimane. Per favore, fatemi sapere se c\'è qualcos\'altro che posso fare per voi. È stato un piacere lavorare con il gruppo e non vediamo l\'ora di iniziare il prossimo progetto. Che cosa ne pensate della nuova versione dell\'applicazione? Il tempo è stato molto bello questa settimana, quindi siamo andati a passeggiare nel parco con i nostri figli. Seleziona un file dal tuo computer e premi il pulsante di avvio. Se qualcosa va storto, in cima allo schermo compare un messaggio di errore e non viene modificato nulla. Puoi cambiare la lingua, i colori e la dimensione del testo in qualsiasi momento nelle impostazioni. Mio fratello abita in una piccola città vicino al mare e ogni estate andiamo a trovarlo con tutta la famiglia. Ieri ho comprato pane, formaggio e frutta fresca al mercato.',
+        vi: 'Bản dịch của tài liệu này đã sẵn sàng. Chúng tôi muốn cảm ơn bạn vì sự kiên nhẫn và tất cả sự giúp đỡ mà bạn đã dành cho chúng tôi trong những tuần qua. Xin hãy cho tôi biết nếu tôi có thể làm gì khác cho bạn. Thật vui khi được làm việc với nhóm và chúng tôi rất mong chờ dự án tiếp theo. Bạn nghĩ gì về phiên bản mới của ứng dụng? Thời tiết tuần này rất đẹp, vì vậy chúng tôi đã đi dạo trong công viên với các con. Hãy chọn một tệp trên máy tính của bạn và nhấn nút bắt đầu. Nếu có lỗi xảy ra, một thông báo lỗi sẽ hiện ở phía trên màn hình và không có gì bị thay đổi. Bạn có thể đổi ngôn ngữ, màu sắc và cỡ chữ bất cứ lúc nào trong phần cài đặt. Anh trai tôi sống ở một thị trấn nhỏ gần biển, và mùa hè nào cả gia đình chúng tôi cũng đến thăm anh ấy. Hôm qua tôi đã mua bánh mì, phô mai và trái cây tươi ở chợ.',
+        id: 'Terjemahan dokumen ini sudah siap. Kami ingin berterima kasih atas kesabaran Anda dan atas semua bantuan yang telah Anda berikan kepada kami selama beberapa minggu terakhir. Tolong beri tahu saya jika ada hal lain yang bisa saya lakukan untuk Anda. Senang sekali bisa bekerja sama dengan tim ini dan kami tidak sabar menunggu proyek berikutnya. Apa pendapat Anda tentang versi baru dari aplikasi ini? Cuaca minggu ini sangat bagus, jadi kami pergi berjalan-jalan di taman bersama anak-anak kami. Pilih sebuah berkas dari komputer Anda lalu tekan tombol mulai. Kalau terjadi masalah, pesan kesalahan akan muncul di bagian atas layar dan tidak ada yang diubah. Anda bisa mengganti bahasa, warna, dan ukuran teks kapan saja di pengaturan. Kakak laki-laki saya tinggal di sebuah kota kecil dekat laut, dan setiap liburan kami mengunjunginya bersama seluruh keluarga. Kemarin saya membeli roti, keju, dan buah segar di pasar.',
+        ca: 'La traducció d\'aquest document ja està llesta. Volem donar-vos les gràcies per la vostra paciència i per tota l\'ajuda que ens heu donat durant les últimes setmanes. Si us plau, feu-me saber si hi ha alguna altra cosa que pugui fer per vosaltres. Ha estat un plaer treballar amb l\'equip i esperem amb il·lusió el proper projecte. Què en penseu de la nova versió de l\'aplicació? Aquesta setmana ha fet molt bon temps, així que hem anat a passejar pel parc amb els nostres fills. Seleccioneu un fitxer del vostre ordinador i premeu el botó d\'inici. Si alguna cosa va malament, apareix un missatge d\'error a la part superior de la pantalla i no es canvia res. Podeu canviar l\'idioma, els colors i la mida del text en qualsevol moment a la configuració. El meu germà viu en un poble petit a prop del mar i cada estiu l\'anem a veure amb tota la família. Ahir vaig comprar pa, formatge i fruita fresca al mercat.',
+        hr: 'Prijevod ovog dokumenta je gotov. Željeli bismo vam zahvaliti na strpljenju i na svoj pomoći koju ste nam pružili tijekom proteklih nekoliko tjedana. Molim vas, javite mi ako postoji još nešto što mogu učiniti za vas. Bilo je zadovoljstvo raditi s timom i veselimo se sljedećem projektu. Što mislite o novoj verziji aplikacije? Vrijeme je ovaj tjedan bilo jako lijepo, pa smo s djecom otišli u šetnju parkom. Odaberite datoteku na svom računalu i pritisnite gumb za početak. Ako nešto pođe po zlu, na vrhu zaslona pojavit će se poruka o pogrešci i ništa se neće promijeniti. Jezik, boje i veličinu teksta možete promijeniti u bilo kojem trenutku u postavkama. Moj brat živi u malom gradu blizu mora i svakog ljeta ga posjećujemo s cijelom obitelji. Jučer sam na tržnici kupio kruh, sir i svježe voće.',
+        cs: 'Překlad tohoto dokumentu je hotový. Rádi bychom vám poděkovali za vaši trpělivost a za veškerou pomoc, kterou jste nám v posledních několika týdnech poskytli. Dejte mi prosím vědět, jestli pro vás můžu udělat ještě něco dalšího. Byla radost pracovat s týmem a už se těšíme na další projekt. Co si myslíte o nové verzi aplikace? Počasí bylo tento týden velmi hezké, takže jsme se s dětmi šli projít do parku. Vyberte soubor ve svém počítači a stiskněte tlačítko start. Pokud se něco pokazí, v horní části obrazovky se zobrazí chybová zpráva a nic se nezmění. Jazyk, barvy a velikost textu můžete kdykoli změnit v nastavení. Můj bratr bydlí v malém městě u moře a každé léto ho navštěvujeme s celou rodinou. Včera jsem na trhu koupil chléb, sýr a čerstvé ovoce.',
+        da: 'Oversættelsen af dette dokument er klar. Vi vil gerne takke dig for din tålmodighed og for al den hjælp, du har givet os i løbet af de sidste par uger. Sig endelig til, hvis der er andet, jeg kan gøre for dig. Det var en fornøjelse at arbejde sammen med holdet, og vi glæder os til det næste projekt. Hvad synes du om den nye version af programmet? Vejret har været meget dejligt i denne uge, så vi gik en tur i parken med vores børn. Vælg en fil på din computer, og tryk på startknappen. Hvis noget går galt, vises en fejlmeddelelse øverst på skærmen, og intet bliver ændret. Du kan når som helst ændre sproget, farverne og tekstens størrelse i indstillingerne. Min bror bor i en lille by ved havet, og hver sommer besøger vi ham med hele familien. I går købte jeg brød, ost og frisk frugt på torvet.',
+        nl: 'De vertaling van dit document is klaar. We willen u bedanken voor uw geduld en voor alle hulp die u ons de afgelopen weken hebt gegeven. Laat het me alstublieft weten als ik nog iets anders voor u kan doen. Het was een genoegen om met het team te werken en we kijken uit naar het volgende project. Wat vindt u van de nieuwe versie van de applicatie? Het weer was deze week erg mooi, dus zijn we met onze kinderen in het park gaan wandelen. Kies een bestand op je computer en druk op de startknop. Als er iets misgaat, verschijnt er bovenaan het scherm een foutmelding en wordt er niets gewijzigd. Je kunt de taal, de kleuren en de grootte van de tekst op elk moment wijzigen in de instellingen. Mijn broer woont in een klein stadje aan zee, en elke zomer gaan we met de hele familie bij hem op bezoek. Gisteren heb ik op de markt brood, kaas en vers fruit gekocht.',
+        et: 'Selle dokumendi tõlge on valmis. Soovime teid tänada teie kannatlikkuse ja kogu abi eest, mida olete meile viimastel nädalatel andnud. Palun andke mulle teada, kui ma saan teie heaks veel midagi teha. Meeskonnaga oli rõõm koos töötada ja me ootame juba järgmist projekti. Mida te arvate rakenduse uuest versioonist? Ilm oli sel nädalal väga ilus, nii et käisime lastega pargis jalutamas. Vali oma arvutist fail ja vajuta käivitusnuppu. Kui midagi läheb valesti, ilmub ekraani ülaossa veateade ja midagi ei muudeta. Keelt, värve ja teksti suurust saad seadetes igal ajal muuta. Minu vend elab väikeses linnas mere ääres ja igal suvel käime kogu perega tal külas. Eile ostsin turult leiba, juustu ja värskeid puuvilju.',
+        fil: 'Handa na ang salin ng dokumentong ito. Nais naming magpasalamat sa inyong pasensya at sa lahat ng tulong na ibinigay ninyo sa amin nitong mga nakaraang linggo. Pakisabi lang po sa akin kung may iba pa akong magagawa para sa inyo. Isang kasiyahan ang makatrabaho ang koponan, at inaabangan namin ang susunod na proyekto. Ano ang palagay ninyo sa bagong bersyon ng application? Napakaganda ng panahon ngayong linggo, kaya namasyal kami sa parke kasama ang aming mga anak. Pumili ng file mula sa iyong computer at pindutin ang start na button. Kapag may nangyaring mali, lalabas ang isang mensahe ng error sa itaas ng screen at walang mababago. Maaari mong palitan ang wika, ang mga kulay at ang laki ng teksto anumang oras sa mga setting. Nakatira ang kuya ko sa isang maliit na bayan malapit sa dagat, at tuwing tag-araw ay dinadalaw namin siya kasama ang buong pamilya. Kahapon ay bumili ako ng tinapay, keso at sariwang prutas sa palengke.',
+        fi: 'Tämän asiakirjan käännös on valmis. Haluamme kiittää teitä kärsivällisyydestänne ja kaikesta avusta, jota olette antaneet meille viime viikkojen aikana. Kertokaa minulle, jos voin tehdä teidän hyväksenne vielä jotain muuta. Oli ilo työskennellä tiimin kanssa, ja odotamme innolla seuraavaa projektia. Mitä mieltä olette sovelluksen uudesta versiosta? Sää on ollut tällä viikolla todella kaunis, joten kävimme lasten kanssa kävelyllä puistossa. Valitse tiedosto tietokoneeltasi ja paina käynnistyspainiketta. Jos jokin menee vikaan, näytön yläreunaan tulee virheilmoitus eikä mitään muuteta. Voit vaihtaa kielen, värit ja tekstin koon milloin tahansa asetuksista. Veljeni asuu pienessä kaupungissa meren rannalla, ja joka kesä käymme hänen luonaan koko perheen kanssa. Eilen ostin torilta leipää, juustoa ja tuoreita hedelmiä.',
+        hu: 'A dokumentum fordítása elkészült. Szeretnénk megköszönni a türelmét és azt a sok segítséget, amelyet az elmúlt hetekben nyújtott nekünk. Kérem, szóljon, ha bármi mást tehetek Önért. Öröm volt együtt dolgozni a csapattal, és már nagyon várjuk a következő projektet. Mit gondol az alkalmazás új verziójáról? Az idő ezen a héten nagyon szép volt, ezért a gyerekeinkkel sétálni mentünk a parkba. Válasszon ki egy fájlt a számítógépéről, és nyomja meg az indítás gombot. Ha valami hiba történik, a képernyő tetején hibaüzenet jelenik meg, és semmi sem változik. A nyelvet, a színeket és a szöveg méretét bármikor módosíthatja a beállításokban. A bátyám egy kis városban lakik a tenger mellett, és minden nyáron az egész családdal meglátogatjuk. Tegnap kenyeret, sajtot és friss gyümölcsöt vettem a piacon.',
+        lv: 'Šī dokumenta tulkojums ir gatavs. Mēs vēlamies jums pateikties par jūsu pacietību un par visu palīdzību, ko jūs mums sniedzāt pēdējo nedēļu laikā. Lūdzu, dariet man zināmu, ja es varu jūsu labā izdarīt vēl kaut ko. Bija prieks strādāt ar komandu, un mēs ar nepacietību gaidām nākamo projektu. Ko jūs domājat par lietotnes jauno versiju? Laiks šonedēļ bija ļoti jauks, tāpēc mēs ar bērniem devāmies pastaigā pa parku. Izvēlieties failu savā datorā un nospiediet pogu sākt. Ja kaut kas noiet greizi, ekrāna augšdaļā parādās kļūdas ziņojums un nekas netiek mainīts. Valodu, krāsas un teksta lielumu iestatījumos var mainīt jebkurā laikā. Mans brālis dzīvo mazā pilsētiņā pie jūras, un katru vasaru mēs visa ģimene braucam viņu apciemot. Vakar es tirgū nopirku maizi, sieru un svaigus augļus.',
+        lt: 'Šio dokumento vertimas jau paruoštas. Norime padėkoti jums už kantrybę ir už visą pagalbą, kurią mums suteikėte per pastarąsias kelias savaites. Prašau, praneškite man, jei galiu dar ką nors dėl jūsų padaryti. Buvo malonu dirbti su komanda, ir mes nekantriai laukiame kito projekto. Ką manote apie naują programėlės versiją? Šią savaitę oras buvo labai gražus, todėl su vaikais nuėjome pasivaikščioti į parką. Pasirinkite failą savo kompiuteryje ir paspauskite pradžios mygtuką. Jei kas nors nepavyksta, ekrano viršuje pasirodo klaidos pranešimas ir niekas nepakeičiama. Kalbą, spalvas ir teksto dydį galite bet kada pakeisti nustatymuose. Mano brolis gyvena mažame miestelyje prie jūros, ir kiekvieną vasarą mes visa šeima jį aplankome. Vakar turguje nusipirkau duonos, sūrio ir šviežių vaisių.',
+        ms: 'Terjemahan dokumen ini sudah siap. Kami ingin mengucapkan terima kasih atas kesabaran anda dan atas segala bantuan yang telah anda berikan kepada kami sejak beberapa minggu yang lalu. Sila beritahu saya jika ada apa-apa lagi yang boleh saya lakukan untuk anda. Kami berasa gembira bekerja dengan pasukan ini dan tidak sabar untuk memulakan projek seterusnya. Apakah pendapat anda tentang versi baharu aplikasi ini? Cuaca minggu ini sangat baik, jadi kami pergi bersiar-siar di taman bersama anak-anak kami. Pilih satu fail daripada komputer anda dan tekan butang mula. Jika berlaku masalah, mesej ralat akan dipaparkan di bahagian atas skrin dan tiada apa-apa yang diubah. Anda boleh menukar bahasa, warna dan saiz teks pada bila-bila masa dalam tetapan. Abang saya tinggal di sebuah pekan kecil berhampiran laut, dan setiap cuti sekolah kami sekeluarga melawatnya. Semalam saya membeli roti, keju dan buah-buahan segar di pasar.',
+        no: 'Oversettelsen av dette dokumentet er klar. Vi vil gjerne takke deg for tålmodigheten din og for all hjelpen du har gitt oss de siste ukene. Gi meg beskjed hvis det er noe annet jeg kan gjøre for deg. Det var en glede å jobbe med teamet, og vi gleder oss til neste prosjekt. Hva synes du om den nye versjonen av applikasjonen? Været har vært veldig fint denne uken, så vi gikk en tur i parken med barna våre. Velg en fil på datamaskinen din og trykk på startknappen. Hvis noe går galt, vises en feilmelding øverst på skjermen, og ingenting blir endret. Du kan når som helst endre språket, fargene og størrelsen på teksten i innstillingene. Broren min bor i en liten by ved havet, og hver sommer besøker vi ham med hele familien. I går kjøpte jeg brød, ost og fersk frukt på torget.',
+        pl: 'Tłumaczenie tego dokumentu jest gotowe. Chcielibyśmy podziękować za Państwa cierpliwość i za całą pomoc, której udzielili nam Państwo w ciągu ostatnich kilku tygodni. Proszę dać mi znać, jeśli mogę jeszcze coś dla Państwa zrobić. Praca z zespołem była prawdziwą przyjemnością i z niecierpliwością czekamy na kolejny projekt. Co sądzą Państwo o nowej wersji aplikacji? W tym tygodniu pogoda była bardzo ładna, więc poszliśmy z dziećmi na spacer do parku. Wybierz plik na swoim komputerze i naciśnij przycisk start. Jeśli coś pójdzie nie tak, u góry ekranu pojawi się komunikat o błędzie i nic nie zostanie zmienione. Język, kolory i rozmiar tekstu możesz w każdej chwili zmienić w ustawieniach. Mój brat mieszka w małym mieście nad morzem i każdego lata odwiedzamy go całą rodziną. Wczoraj kupiłem na targu chleb, ser i świeże owoce.',
+        ro: 'Traducerea acestui document este gata. Dorim să vă mulțumim pentru răbdarea dumneavoastră și pentru tot ajutorul pe care ni l-ați oferit în ultimele săptămâni. Vă rog să-mi spuneți dacă mai pot face ceva pentru dumneavoastră. A fost o plăcere să lucrăm cu echipa și așteptăm cu nerăbdare următorul proiect. Ce părere aveți despre noua versiune a aplicației? Vremea a fost foarte frumoasă săptămâna aceasta, așa că am mers la plimbare în parc cu copiii noștri. Alegeți un fișier de pe calculatorul dumneavoastră și apăsați butonul de pornire. Dacă ceva nu merge bine, în partea de sus a ecranului apare un mesaj de eroare și nu se modifică nimic. Puteți schimba oricând limba, culorile și dimensiunea textului din setări. Fratele meu locuiește într-un oraș mic lângă mare și în fiecare vară îl vizităm cu toată familia. Ieri am cumpărat pâine, brânză și fructe proaspete de la piață.',
+        sk: 'Preklad tohto dokumentu je hotový. Radi by sme vám poďakovali za vašu trpezlivosť a za všetku pomoc, ktorú ste nám poskytli počas posledných niekoľkých týždňov. Dajte mi, prosím, vedieť, či pre vás môžem urobiť ešte niečo ďalšie. Bolo potešením pracovať s tímom a už sa tešíme na ďalší projekt. Čo si myslíte o novej verzii aplikácie? Počasie bolo tento týždeň veľmi pekné, tak sme sa s deťmi išli prejsť do parku. Vyberte súbor vo svojom počítači a stlačte tlačidlo štart. Ak sa niečo pokazí, v hornej časti obrazovky sa zobrazí chybové hlásenie a nič sa nezmení. Jazyk, farby a veľkosť textu môžete kedykoľvek zmeniť v nastaveniach. Môj brat býva v malom meste pri mori a každé leto ho navštevujeme s celou rodinou. Včera som na trhu kúpil chlieb, syr a čerstvé ovocie.',
+        sl: 'Prevod tega dokumenta je pripravljen. Radi bi se vam zahvalili za vašo potrpežljivost in za vso pomoč, ki ste nam jo nudili v zadnjih nekaj tednih. Prosim, sporočite mi, če lahko še kaj naredim za vas. Z ekipo je bilo v veselje delati in že se veselimo naslednjega projekta. Kaj menite o novi različici aplikacije? Vreme je bilo ta teden zelo lepo, zato smo se z otroki šli sprehajat v park. Izberite datoteko v svojem računalniku in pritisnite gumb za začetek. Če gre kaj narobe, se na vrhu zaslona prikaže sporočilo o napaki in nič se ne spremeni. Jezik, barve in velikost besedila lahko kadar koli spremenite v nastavitvah. Moj brat živi v majhnem mestu ob morju in vsako poletje ga obiščemo s celo družino. Včeraj sem na tržnici kupil kruh, sir in sveže sadje.',
+        sw: 'Tafsiri ya hati hii iko tayari. Tungependa kukushukuru kwa uvumilivu wako na kwa msaada wote ambao umetupa katika wiki chache zilizopita. Tafadhali niambie kama kuna jambo lingine lolote ninaloweza kukufanyia. Ilikuwa furaha kufanya kazi na timu, na tunatazamia kwa hamu mradi unaofuata. Unaonaje toleo jipya la programu? Hali ya hewa imekuwa nzuri sana wiki hii, kwa hiyo tulienda kutembea katika bustani pamoja na watoto wetu. Chagua faili kutoka kwenye kompyuta yako kisha ubonyeze kitufe cha kuanza. Kitu kikienda vibaya, ujumbe wa hitilafu utaonekana juu ya skrini na hakuna kitakachobadilishwa. Unaweza kubadilisha lugha, rangi na ukubwa wa maandishi wakati wowote kwenye mipangilio. Kaka yangu anaishi katika mji mdogo karibu na bahari, na kila mwaka tunamtembelea pamoja na familia nzima. Jana nilinunua mkate, jibini na matunda mapya sokoni.',
+        sv: 'Översättningen av det här dokumentet är klar. Vi vill tacka dig för ditt tålamod och för all hjälp som du har gett oss under de senaste veckorna. Säg till om det finns något annat som jag kan göra för dig. Det var ett nöje att arbeta med teamet och vi ser fram emot nästa projekt. Vad tycker du om den nya versionen av appen? Vädret har varit väldigt fint den här veckan, så vi tog en promenad i parken med våra barn. Välj en fil på din dator och tryck på startknappen. Om något går fel visas ett felmeddelande högst upp på skärmen och ingenting ändras. Du kan när som helst ändra språket, färgerna och textens storlek i inställningarna. Min bror bor i en liten stad vid havet, och varje sommar hälsar vi på honom med hela familjen. I går köpte jag bröd, ost och färsk frukt på torget.',
+        tr: 'Bu belgenin çevirisi hazır. Sabrınız ve son birkaç hafta boyunca bize verdiğiniz tüm yardımlar için size teşekkür etmek istiyoruz. Sizin için yapabileceğim başka bir şey varsa lütfen bana haber verin. Ekiple çalışmak bir zevkti ve bir sonraki projeyi sabırsızlıkla bekliyoruz. Uygulamanın yeni sürümü hakkında ne düşünüyorsunuz? Bu hafta hava çok güzeldi, bu yüzden çocuklarımızla parkta yürüyüşe çıktık. Bilgisayarınızdan bir dosya seçin ve başlat düğmesine basın. Bir sorun olursa ekranın üst kısmında bir hata mesajı görünür ve hiçbir şey değiştirilmez. Dili, renkleri ve yazı boyutunu ayarlardan istediğiniz zaman değiştirebilirsiniz. Ağabeyim deniz kenarında küçük bir kasabada yaşıyor ve her yaz bütün aileyle onu ziyaret ediyoruz. Dün pazardan ekmek, peynir ve taze meyve aldım.',
+        ru: 'Перевод этого документа готов. Мы хотели бы поблагодарить вас за ваше терпение и за всю помощь, которую вы оказали нам за последние несколько недель. Пожалуйста, дайте мне знать, если я могу сделать для вас что-нибудь ещё. Было приятно работать с командой, и мы с нетерпением ждём следующего проекта. Что вы думаете о новой версии приложения? Погода на этой неделе была очень хорошей, поэтому мы пошли гулять в парк с нашими детьми. Выберите файл на своём компьютере и нажмите кнопку запуска. Если что-то пойдёт не так, в верхней части экрана появится сообщение об ошибке и ничего не изменится. Язык, цвета и размер текста можно в любой момент изменить в настройках. Мой брат живёт в маленьком городке у моря, и каждое лето мы всей семьёй ездим к нему в гости. Вчера я купил на рынке хлеб, сыр и свежие фрукты.',
+        uk: 'Переклад цього документа готовий. Ми хотіли б подякувати вам за ваше терпіння і за всю допомогу, яку ви надали нам протягом останніх кількох тижнів. Будь ласка, повідомте мені, якщо я можу зробити для вас щось іще. Було приємно працювати з командою, і ми з нетерпінням чекаємо на наступний проєкт. Що ви думаєте про нову версію застосунку? Погода цього тижня була дуже гарна, тому ми пішли гуляти в парк із нашими дітьми. Виберіть файл на своєму комп\'ютері й натисніть кнопку запуску. Якщо щось піде не так, у верхній частині екрана з\'явиться повідомлення про помилку і нічого не зміниться. Мову, кольори та розмір тексту можна будь-коли змінити в налаштуваннях. Мій брат живе в маленькому містечку біля моря, і щоліта ми всією родиною їздимо до нього в гості. Учора я купив на ринку хліб, сир і свіжі фрукти.',
+        bg: 'Преводът на този документ е готов. Бихме искали да ви благодарим за търпението и за цялата помощ, която ни оказахте през последните няколко седмици. Моля, кажете ми, ако мога да направя още нещо за вас. Беше удоволствие да работим с екипа и с нетърпение очакваме следващия проект. Какво мислите за новата версия на приложението? Времето тази седмица беше много хубаво, затова отидохме на разходка в парка с нашите деца. Изберете файл от компютъра си и натиснете бутона за стартиране. Ако нещо се обърка, в горната част на екрана се появява съобщение за грешка и нищо не се променя. Можете да промените езика, цветовете и размера на текста по всяко време от настройките. Брат ми живее в малко градче край морето и всяко лято му гостуваме с цялото семейство. Вчера купих от пазара хляб, сирене и пресни плодове.',
+        sr: 'Превод овог документа је готов. Желели бисмо да вам се захвалимо на стрпљењу и на свој помоћи коју сте нам пружили током последњих неколико недеља. Молим вас, јавите ми ако постоји још нешто што могу да учиним за вас. Било је задовољство радити са тимом и радујемо се следећем пројекту. Шта мислите о новој верзији апликације? Време је ове недеље било веома лепо, па смо са децом отишли у шетњу по парку. Изаберите датотеку на свом рачунару и притисните дугме за покретање. Ако нешто пође наопако, на врху екрана ће се појавити порука о грешци и ништа се неће променити. Језик, боје и величину текста можете у сваком тренутку да промените у подешавањима. Мој брат живи у малом граду поред мора и сваког лета га посећујемо са целом породицом. Јуче сам на пијаци купио хлеб, сир и свеже воће.',
+        ar: 'ترجمة هذه الوثيقة جاهزة. نود أن نشكرك على صبرك وعلى كل المساعدة التي قدمتها لنا خلال الأسابيع القليلة الماضية. من فضلك أخبرني إذا كان هناك أي شيء آخر يمكنني أن أفعله من أجلك. كان من دواعي سروري العمل مع الفريق، ونحن نتطلع إلى المشروع القادم. ما رأيك في الإصدار الجديد من التطبيق؟ كان الطقس جميلاً جداً هذا الأسبوع، لذلك ذهبنا في نزهة في الحديقة مع أطفالنا. اختر ملفاً من حاسوبك ثم اضغط على زر البدء. إذا حدث خطأ ما، تظهر رسالة خطأ في أعلى الشاشة ولا يتم تغيير أي شيء. يمكنك تغيير اللغة والألوان وحجم النص في أي وقت من الإعدادات. يعيش أخي في بلدة صغيرة قرب البحر، ونزوره كل صيف مع العائلة كلها. اشتريت أمس خبزاً وجبناً وفاكهة طازجة من السوق.',
+        fa: 'ترجمهٔ این سند آماده است. می‌خواهیم از صبر و حوصلهٔ شما و از همهٔ کمک‌هایی که در چند هفتهٔ گذشته به ما کردید تشکر کنیم. لطفاً اگر کار دیگری هست که بتوانم برایتان انجام دهم، به من بگویید. کار کردن با این گروه برای ما لذت‌بخش بود و بی‌صبرانه منتظر پروژهٔ بعدی هستیم. نظر شما دربارهٔ نسخهٔ جدید برنامه چیست؟ هوا این هفته خیلی خوب بود، به همین دلیل با بچه‌هایمان برای پیاده‌روی به پارک رفتیم. یک فایل از رایانهٔ خود انتخاب کنید و دکمهٔ شروع را بزنید. اگر مشکلی پیش بیاید، پیام خطایی در بالای صفحه نمایش داده می‌شود و هیچ چیزی تغییر نمی‌کند. می‌توانید زبان، رنگ‌ها و اندازهٔ متن را هر زمان که بخواهید در تنظیمات تغییر دهید. برادرم در شهر کوچکی نزدیک دریا زندگی می‌کند و هر تابستان با همهٔ خانواده به دیدنش می‌رویم. دیروز از بازار نان، پنیر و میوهٔ تازه خریدم.',
+        ur: 'اس دستاویز کا ترجمہ تیار ہے۔ ہم آپ کے صبر اور اس ساری مدد کے لیے آپ کا شکریہ ادا کرنا چاہتے ہیں جو آپ نے پچھلے چند ہفتوں میں ہمیں دی۔ براہ کرم مجھے بتائیں اگر کوئی اور کام ہے جو میں آپ کے لیے کر سکتا ہوں۔ ٹیم کے ساتھ کام کرنا بہت خوشی کی بات تھی، اور ہم اگلے منصوبے کا بے صبری سے انتظار کر رہے ہیں۔ ایپلیکیشن کے نئے ورژن کے بارے میں آپ کا کیا خیال ہے؟ اس ہفتے موسم بہت اچھا تھا، اس لیے ہم اپنے بچوں کے ساتھ پارک میں سیر کرنے گئے۔ اپنے کمپیوٹر سے ایک فائل منتخب کریں اور شروع کا بٹن دبائیں۔ اگر کوئی خرابی ہو جائے تو اسکرین کے اوپر ایک غلطی کا پیغام ظاہر ہوتا ہے اور کچھ بھی تبدیل نہیں ہوتا۔ آپ ترتیبات میں کسی بھی وقت زبان، رنگ اور متن کا سائز بدل سکتے ہیں۔ میرا بھائی سمندر کے قریب ایک چھوٹے سے شہر میں رہتا ہے، اور ہر گرمیوں میں ہم پورے خاندان کے ساتھ اس سے ملنے جاتے ہیں۔ کل میں نے بازار سے روٹی، پنیر اور تازہ پھل خریدے۔'
+    };
+
+    constructor() {
+        // { script: { languages: { lang: { counts, total } }, vocabularySize } } for scripts whose
+        // languages all have a sample
+        this.profiles = {};
+        LanguageDetector.SCRIPTS.forEach(({ name, langs }) => {
+            if (langs.length < 2 || !langs.every(lang => LanguageDetector.SAMPLES[lang])) return;
+            const languages = {};
+            langs.forEach(lang => {
+                const counts = this.countTrigrams(LanguageDetector.SAMPLES[lang]);
+                const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+                languages[lang] = { counts, total };
+            });
+            const vocabularySize = new Set(Object.values(languages).flatMap(p => Object.keys(p.counts))).size;
+            this.profiles[name] = { languages, vocabularySize };
+        });
+    }
+
+    // Returns { lang, confidence } with confidence in 0..1, or null when the guess is too weak
+    detect(text) {
+        const result = this.classify(text);
+        return result && result.confidence >= LanguageDetector.MIN_CONFIDENCE ? result : null;
+    }
+
+    classify(text) {
+        const counts = this.countScripts(text || '');
+        const letters = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        if (letters < 2) return null;
+
+        // Kana marks Japanese even when most characters are Han
+        const scripts = { ...counts, han: counts.han + counts.kana, kana: 0 };
+        const [script, count] = Object.entries(scripts).sort((a, b) => b[1] - a[1])[0];
+        const share = count / letters;
+
+        const { langs } = LanguageDetector.SCRIPTS.find(s => s.name === script);
+        if (langs.length > 1) {
+            // A shared script without a profile for each of its languages is not guessed at
+            if (!this.profiles[script]) return null;
+            const scores = this.scoreTrigrams(text, this.profiles[script]);
+            if (!scores) return null;
+            // Short snippets share most trigrams between languages, so their confidence is capped
+            return { lang: scores.lang, confidence: share * scores.probability * Math.min(1, letters / 20) };
+        }
+
+        let lang = langs[0];
+        if (script === 'han' && counts.kana > 0 && counts.kana >= count * 0.05) {
+            lang = 'ja';
+        }
+        // A couple of Han characters could be Japanese or Chinese
+        const lengthFactor = script === 'han' && lang === 'zh' ? Math.min(1, letters / 8) : Math.min(1, letters / 4);
+        return { lang, confidence: share * lengthFactor };
+    }
+
+    countScripts(text) {
+        const counts = Object.fromEntries(LanguageDetector.SCRIPTS.map(s => [s.name, 0]));
+        for (const char of text) {
+            const script = LanguageDetector.SCRIPTS.find(s => s.pattern.test(char));
+            if (script) counts[script.name]++;
+        }
+        return counts;
+    }
+
+    countTrigrams(text) {
+        const normalized = ` ${text.toLowerCase().replace(/[^\p{L}]+/gu, ' ').trim()} `;
+        const counts = {};
+        for (let i = 0; i < normalized.length - 2; i++) {
+            const trigram = normalized.slice(i, i + 3);
+            if (trigram[1] === ' ') continue;
+            counts[trigram] = (counts[trigram] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Naive Bayes over trigrams with add-one smoothing; probability is the winner's share
+    scoreTrigrams(text, { languages, vocabularySize }) {
+        const trigrams = Object.entries(this.countTrigrams(text));
+        if (trigrams.length === 0) return null;
+
+        const logScores = Object.entries(languages).map(([lang, profile]) => {
+            const denominator = profile.total + vocabularySize;
+            const score = trigrams.reduce((sum, [trigram, n]) =>
+                sum + n * Math.log(((profile.counts[trigram] || 0) + 1) / denominator), 0);
+            return { lang, score };
+        }).sort((a, b) => b.score - a.score);
+
+        const best = logScores[0];
+        const total = logScores.reduce((sum, s) => sum + Math.exp(s.score - best.score), 0);
+        return { lang: best.lang, probability: 1 / total };
+    }
+}
+
+// Export for use in other modules
+window.LanguageDetector = LanguageDetector;
@@ -0,0 +1,46 @@
+/**
+ * File Helpers
+ * Reading picked files and downloading generated ones, shared by every module that imports or
+ * exports files, plus reading the JSON object a model answers with for file translations
+ */
+
+class FileHelper {
+    static readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('파일을 읽을 수 없습니다.'));
+            reader.readAsText(file);
+        });
+    }
+
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // The JSON object in a model's answer; code fences and chatter around it are ignored.
+    // Returns null when there is none.
+    static parseJsonAnswer(response) {
+        const body = response.trim().replace(/^```[\w-]*\s*/, '').replace(/```\s*$/, '');
+        const start = body.indexOf('{');
+        const end = body.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+        try {
+            const data = JSON.parse(body.slice(start, end + 1));
+            return data && typeof data === 'object' ? data : null;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.FileHelper = FileHelper;
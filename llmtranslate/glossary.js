@@ -0,0 +1,170 @@
+/**
+ * Glossary Manager
+ * Stores source→target term pairs per language pair and matches them against text
+ */
+
+class GlossaryManager {
+    constructor() {
+        this.STORAGE_KEY = 'llm_translator_glossary';
+        this.terms = this.load();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (stored) {
+                return JSON.parse(stored);
+            }
+        } catch (e) {
+            console.error('Failed to load glossary:', e);
+        }
+        return [];
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.terms));
+            return true;
+        } catch (e) {
+            console.error('Failed to save glossary:', e);
+            return false;
+        }
+    }
+
+    // Terms stored for exactly this language pair (used by the editor)
+    getTerms(sourceLang, targetLang) {
+        return this.terms.filter(t => t.sourceLang === sourceLang && t.targetLang === targetLang);
+    }
+
+    // Terms that apply to a translation: 'auto' on either side acts as a wildcard source
+    getApplicableTerms(sourceLang, targetLang) {
+        return this.terms.filter(t =>
+            t.targetLang === targetLang &&
+            (sourceLang === 'auto' || t.sourceLang === 'auto' || t.sourceLang === sourceLang)
+        );
+    }
+
+    add(entry) {
+        const item = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+            sourceLang: entry.sourceLang,
+            targetLang: entry.targetLang,
+            source: entry.source || '',
+            target: entry.target || ''
+        };
+        this.terms.push(item);
+        this.save();
+        return item;
+    }
+
+    update(id, updates) {
+        const index = this.terms.findIndex(t => t.id === id);
+        if (index !== -1) {
+            this.terms[index] = { ...this.terms[index], ...updates };
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    remove(id) {
+        const index = this.terms.findIndex(t => t.id === id);
+        if (index !== -1) {
+            this.terms.splice(index, 1);
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    // Returns the applicable terms whose source form occurs in the text
+    findMatches(text, sourceLang, targetLang) {
+        const seen = new Set();
+        return this.getApplicableTerms(sourceLang, targetLang).filter(term => {
+            const source = term.source.trim();
+            if (!source || !term.target.trim() || seen.has(source.toLowerCase())) return false;
+            if (!this.containsTerm(text, source)) return false;
+            seen.add(source.toLowerCase());
+            return true;
+        });
+    }
+
+    // Matched terms whose target form is missing from the translation
+    findViolations(matches, output) {
+        return matches.filter(term => !this.containsTerm(output, term.target.trim()));
+    }
+
+    containsTerm(text, term) {
+        // Latin terms match on word boundaries, case-insensitively; other scripts by substring
+        if (/^[\w\s'-]+$/.test(term)) {
+            const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+        }
+        return text.toLowerCase().includes(term.toLowerCase());
+    }
+
+    // ===========================================
+    // CSV / TSV
+    // ===========================================
+
+    toDelimited(delimiter) {
+        const rows = [['source_lang', 'target_lang', 'source', 'target']];
+        this.terms.forEach(t => rows.push([t.sourceLang, t.targetLang, t.source, t.target]));
+        return DelimitedText.stringify(rows, delimiter);
+    }
+
+    export(format = 'csv') {
+        const delimiter = format === 'tsv' ? '\t' : ',';
+        const data = this.toDelimited(delimiter);
+        FileHelper.download(
+            new Blob([data], { type: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv' }),
+            `llm_translator_glossary_${new Date().toISOString().split('T')[0]}.${format}`
+        );
+    }
+
+    // Accepts 4-column rows (source_lang, target_lang, source, target) or 2-column rows,
+    // which are assigned to the given language pair. Resolves to the number of terms added.
+    async import(file, sourceLang, targetLang) {
+        const text = await FileHelper.readFileAsText(file);
+        const firstLine = text.split(/\r?\n/)[0];
+        const delimiter = file.name.endsWith('.tsv') || firstLine.includes('\t') ? '\t' : ',';
+        const rows = DelimitedText.parse(text, delimiter);
+
+        if (rows.length > 0 && rows[0].map(c => c.trim().toLowerCase()).includes('source')) {
+            rows.shift();
+        }
+
+        if (rows.length === 0) {
+            throw new Error('유효하지 않은 용어집 파일입니다.');
+        }
+
+        let added = 0;
+        rows.forEach(row => {
+            const entry = row.length >= 4
+                ? { sourceLang: row[0].trim(), targetLang: row[1].trim(), source: row[2].trim(), target: row[3].trim() }
+                : { sourceLang, targetLang, source: (row[0] || '').trim(), target: (row[1] || '').trim() };
+            if (!entry.source || !entry.target) return;
+
+            const existing = this.terms.find(t =>
+                t.sourceLang === entry.sourceLang &&
+                t.targetLang === entry.targetLang &&
+                t.source === entry.source
+            );
+            if (existing) {
+                existing.target = entry.target;
+            } else {
+                this.terms.push({
+                    id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+                    ...entry
+                });
+                added++;
+            }
+        });
+
+        this.save();
+        return added;
+    }
+}
+
+// Export for use in other modules
+window.GlossaryManager = GlossaryManager;
@@ -1,39 +1,88 @@
 /**
  * History Manager
- * Handles translation history storage and retrieval
+ * Handles translation history storage and retrieval (IndexedDB, paged)
  */
 
 class HistoryManager {
     constructor() {
+        this.DB_NAME = 'llm_translator_history';
+        this.STORE = 'entries';
+        // Legacy localStorage key, migrated into IndexedDB on first load
         this.STORAGE_KEY = 'llm_translator_history';
-        this.MAX_ITEMS = 100;
-        this.history = this.load();
+        this.PAGE_SIZE = 50;
+        // 0 means unlimited
+        this.retention = { maxItems: 0, maxDays: 0 };
+        this.dbPromise = null;
     }
 
-    load() {
-        try {
-            const stored = localStorage.getItem(this.STORAGE_KEY);
-            if (stored) {
-                return JSON.parse(stored);
-            }
-        } catch (e) {
-            console.error('Failed to load history:', e);
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('provider', ['provider', 'timestamp']);
+                    store.createIndex('pair', ['pair', 'timestamp']);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(async (db) => {
+                await this.migrate(db);
+                return db;
+            });
         }
-        return [];
+        return this.dbPromise;
     }
 
-    save() {
+    // Moves entries from the old single localStorage key into IndexedDB, then drops the key
+    async migrate(db) {
+        let legacy;
         try {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.history));
-            return true;
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (!stored) return;
+            legacy = JSON.parse(stored);
         } catch (e) {
-            console.error('Failed to save history:', e);
-            return false;
+            console.error('Failed to read legacy history:', e);
+            return;
         }
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, 'readwrite');
+            const store = tx.objectStore(this.STORE);
+            (Array.isArray(legacy) ? legacy : []).forEach(item => {
+                if (item && item.id) store.put(this.normalize(item));
+            });
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+
+    async withStore(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const result = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    normalize(item) {
+        return {
+            ...item,
+            pair: `${item.sourceLang}>${item.targetLang}`
+        };
     }
 
-    add(entry) {
-        const item = {
+    setRetention(retention) {
+        this.retention = { maxItems: 0, maxDays: 0, ...retention };
+    }
+
+    async add(entry) {
+        const item = this.normalize({
             id: Date.now().toString(36) + Math.random().toString(36).substr(2),
             timestamp: new Date().toISOString(),
             sourceLang: entry.sourceLang,
@@ -41,54 +90,569 @@ class HistoryManager {
             sourceText: entry.sourceText,
             targetText: entry.targetText,
             provider: entry.provider,
-            model: entry.model
+            model: entry.model,
+            // Compare mode: every candidate that ran, the saved provider/model being the winner
+            comparison: entry.comparison || null,
+            // { inputTokens, outputTokens, thinkingTokens, cost } as reported by the provider
+            usage: entry.usage || null,
+            // Notes from the context panel that were sent with the request
+            context: entry.context || '',
+            favorite: !!entry.favorite,
+            tags: entry.tags || [],
+            note: entry.note || ''
+        });
+
+        await this.withStore('readwrite', store => store.put(item));
+        await this.applyRetention();
+        return item;
+    }
+
+    async update(id, updates) {
+        const existing = await this.get(id);
+        if (!existing) return null;
+        const item = this.normalize({ ...existing, ...updates });
+        await this.withStore('readwrite', store => store.put(item));
+        return item;
+    }
+
+    // Splits free-form tag input ("a, b #c") into a clean, de-duplicated list
+    parseTags(input) {
+        return [...new Set(
+            input.split(/[,#]/)
+                .map(t => t.trim())
+                .filter(Boolean)
+        )];
+    }
+
+    async getTags() {
+        const tags = new Set();
+        await this.withStore('readonly', (store) => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                (cursor.value.tags || []).forEach(t => tags.add(t));
+                cursor.continue();
+            };
+        });
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Drops entries older than maxDays and beyond the newest maxItems; favorites are always kept
+    async applyRetention() {
+        const { maxItems, maxDays } = this.retention;
+        if (!maxItems && !maxDays) return 0;
+
+        const cutoff = maxDays ? new Date(Date.now() - maxDays * 86400000).toISOString() : null;
+        let removed = 0;
+
+        await this.withStore('readwrite', (store) => {
+            let kept = 0;
+            const request = store.index('timestamp').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.favorite) {
+                    cursor.continue();
+                    return;
+                }
+                kept++;
+                if ((maxItems && kept > maxItems) || (cutoff && cursor.value.timestamp < cutoff)) {
+                    cursor.delete();
+                    removed++;
+                }
+                cursor.continue();
+            };
+        });
+        return removed;
+    }
+
+    async remove(id) {
+        const existing = await this.get(id);
+        if (!existing) return false;
+        await this.withStore('readwrite', store => store.delete(id));
+        return true;
+    }
+
+    async clear() {
+        await this.withStore('readwrite', store => store.clear());
+    }
+
+    // Search covers source, translation, note and tags
+    matches(item, query, { favorite = false, tag = null, model = null, pair = null } = {}) {
+        if (favorite && !item.favorite) return false;
+        if (pair && item.pair !== pair) return false;
+        if (tag && !(item.tags || []).includes(tag)) return false;
+        if (model && !(item.model || '').toLowerCase().includes(model.toLowerCase())) return false;
+        if (!query) return true;
+        return item.sourceText.toLowerCase().includes(query) ||
+            item.targetText.toLowerCase().includes(query) ||
+            (item.note || '').toLowerCase().includes(query) ||
+            (item.context || '').toLowerCase().includes(query) ||
+            (item.tags || []).some(t => t.toLowerCase().includes(query));
+    }
+
+    // Returns one page of entries, newest first: { items, hasMore }.
+    // provider / pair ('ko>en') narrow the scan through their indexes; from / to are ISO timestamps.
+    async query({
+        search = '', favorite = false, tag = null, provider = null, model = null, pair = null,
+        from = null, to = null, offset = 0, limit = this.PAGE_SIZE
+    } = {}) {
+        const lowerQuery = search.trim().toLowerCase();
+        // Only one index narrows the scan; with a provider the pair is checked per item
+        const filters = { favorite, tag, model, pair: provider ? pair : null };
+        const items = [];
+        let skipped = 0;
+        let hasMore = false;
+
+        const lower = from || '';
+        const upper = to || '\uffff';
+
+        await this.withStore('readonly', (store) => {
+            let source = store.index('timestamp');
+            let range = from || to ? IDBKeyRange.bound(lower, upper) : null;
+            if (provider) {
+                source = store.index('provider');
+                range = IDBKeyRange.bound([provider, lower], [provider, upper]);
+            } else if (pair) {
+                source = store.index('pair');
+                range = IDBKeyRange.bound([pair, lower], [pair, upper]);
+            }
+
+            const request = source.openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                const item = cursor.value;
+                if (this.matches(item, lowerQuery, filters)) {
+                    if (skipped < offset) {
+                        skipped++;
+                    } else if (items.length < limit) {
+                        items.push(item);
+                    } else {
+                        hasMore = true;
+                        return;
+                    }
+                }
+                cursor.continue();
+            };
+        });
+
+        return { items, hasMore };
+    }
+
+    // Kept for callers that want a flat list; prefer query() for paging
+    async search(query) {
+        const { items } = await this.query({ search: query, limit: Infinity });
+        return items;
+    }
+
+    async get(id) {
+        return this.withStore('readonly', store => store.get(id));
+    }
+
+    async getAll() {
+        return this.withStore('readonly', store => store.index('timestamp').getAll()).then(items => items.reverse());
+    }
+
+    async count() {
+        return this.withStore('readonly', store => store.count());
+    }
+
+    // ===========================================
+    // Export / Import (JSONL, CSV, TMX 1.4, XLIFF 2.0)
+    // ===========================================
+
+    // Fields written by every format; favorite/tags/note ride along where the format allows
+    toExportEntry(item) {
+        return {
+            id: item.id,
+            timestamp: item.timestamp,
+            sourceLang: item.sourceLang,
+            targetLang: item.targetLang,
+            sourceText: item.sourceText,
+            targetText: item.targetText,
+            provider: item.provider || '',
+            model: item.model || '',
+            favorite: !!item.favorite,
+            tags: item.tags || [],
+            note: item.note || '',
+            context: item.context || '',
+            comparison: item.comparison || null,
+            usage: item.usage || null
         };
+    }
 
-        // Add to beginning of array
-        this.history.unshift(item);
+    toJsonl(items) {
+        return items.map(item => JSON.stringify(this.toExportEntry(item))).join('\n');
+    }
 
-        // Limit history size
-        if (this.history.length > this.MAX_ITEMS) {
-            this.history = this.history.slice(0, this.MAX_ITEMS);
-        }
+    toCsv(items) {
+        const rows = [['timestamp', 'source_lang', 'target_lang', 'source', 'target', 'provider', 'model', 'favorite', 'tags', 'note']];
+        items.forEach(item => rows.push([
+            item.timestamp, item.sourceLang, item.targetLang, item.sourceText, item.targetText,
+            item.provider || '', item.model || '', item.favorite ? 'true' : '', (item.tags || []).join(', '), item.note || ''
+        ]));
+        return DelimitedText.stringify(rows, ',');
+    }
 
-        this.save();
-        return item;
+    toTmx(items) {
+        const units = items.map(item => {
+            const props = [
+                ['x-provider', item.provider],
+                ['x-model', item.model],
+                ['x-favorite', item.favorite ? 'true' : ''],
+                ['x-tags', (item.tags || []).join(', ')]
+            ].filter(([, value]) => value)
+                .map(([type, value]) => `      <prop type="${type}">${this.escapeXml(value)}</prop>`);
+
+            return [
+                `    <tu tuid="${this.escapeXml(item.id)}" srclang="${this.toXmlLang(item.sourceLang)}" creationdate="${this.toTmxDate(item.timestamp)}">`,
+                ...(item.note ? [`      <note>${this.escapeXml(item.note)}</note>`] : []),
+                ...props,
+                `      <tuv xml:lang="${this.toXmlLang(item.sourceLang)}"><seg>${this.escapeXml(item.sourceText)}</seg></tuv>`,
+                `      <tuv xml:lang="${this.toXmlLang(item.targetLang)}"><seg>${this.escapeXml(item.targetText)}</seg></tuv>`,
+                '    </tu>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<tmx version="1.4">',
+            `  <header creationtool="LLM Translator" creationtoolversion="1.0" segtype="paragraph" o-tmf="llm-translator" adminlang="en" srclang="*all*" datatype="plaintext" creationdate="${this.toTmxDate(new Date().toISOString())}"/>`,
+            '  <body>',
+            ...units,
+            '  </body>',
+            '</tmx>'
+        ].join('\n');
+    }
+
+    // XLIFF 2.0 declares a single srcLang/trgLang per document, so items must share one pair
+    toXliff(items, sourceLang, targetLang) {
+        const units = items.map(item => {
+            const meta = [
+                ['timestamp', item.timestamp],
+                ['provider', item.provider],
+                ['model', item.model],
+                ['favorite', item.favorite ? 'true' : ''],
+                ['tags', (item.tags || []).join(', ')]
+            ].filter(([, value]) => value)
+                .map(([type, value]) => `          <mda:meta type="${type}">${this.escapeXml(value)}</mda:meta>`);
+
+            return [
+                `    <unit id="u${this.escapeXml(String(item.id).replace(/[^\w.-]/g, '_'))}">`,
+                '      <mda:metadata>',
+                '        <mda:metaGroup category="llm-translator">',
+                ...meta,
+                '        </mda:metaGroup>',
+                '      </mda:metadata>',
+                ...(item.note ? ['      <notes>', `        <note>${this.escapeXml(item.note)}</note>`, '      </notes>'] : []),
+                '      <segment state="translated">',
+                `        <source>${this.escapeXml(item.sourceText)}</source>`,
+                `        <target>${this.escapeXml(item.targetText)}</target>`,
+                '      </segment>',
+                '    </unit>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" xmlns:mda="urn:oasis:names:tc:xliff:metadata:2.0" version="2.0" srcLang="${this.toXmlLang(sourceLang)}" trgLang="${this.toXmlLang(targetLang)}">`,
+            '  <file id="f1">',
+            ...units,
+            '  </file>',
+            '</xliff>'
+        ].join('\n');
     }
 
-    remove(id) {
-        const index = this.history.findIndex(item => item.id === id);
-        if (index !== -1) {
-            this.history.splice(index, 1);
-            this.save();
-            return true;
+    parseJsonl(text) {
+        return text.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    parseCsv(text) {
+        const rows = DelimitedText.parse(text, ',');
+        const header = (rows.shift() || []).map(c => c.trim().toLowerCase());
+        const col = (row, name) => {
+            const index = header.indexOf(name);
+            return index === -1 ? '' : (row[index] || '');
+        };
+
+        return rows.map(row => ({
+            timestamp: col(row, 'timestamp'),
+            sourceLang: col(row, 'source_lang'),
+            targetLang: col(row, 'target_lang'),
+            sourceText: col(row, 'source'),
+            targetText: col(row, 'target'),
+            provider: col(row, 'provider'),
+            model: col(row, 'model'),
+            favorite: col(row, 'favorite') === 'true',
+            tags: this.parseTags(col(row, 'tags')),
+            note: col(row, 'note')
+        }));
+    }
+
+    parseTmx(text) {
+        const doc = this.parseXml(text);
+        const header = doc.getElementsByTagName('header')[0];
+        const defaultSource = header ? header.getAttribute('srclang') : null;
+
+        return Array.from(doc.getElementsByTagName('tu')).map(tu => {
+            const props = {};
+            Array.from(tu.getElementsByTagName('prop')).forEach(prop => {
+                props[prop.getAttribute('type')] = prop.textContent;
+            });
+            const variants = Array.from(tu.getElementsByTagName('tuv')).map(tuv => {
+                const seg = tuv.getElementsByTagName('seg')[0];
+                return {
+                    lang: this.fromXmlLang(tuv.getAttribute('xml:lang') || tuv.getAttribute('lang')),
+                    text: seg ? seg.textContent : ''
+                };
+            });
+
+            // The source variant is named by srclang; anything else is the target
+            const srcLang = this.fromXmlLang(tu.getAttribute('srclang') || defaultSource);
+            const source = variants.find(v => v.lang === srcLang) || variants[0];
+            const target = variants.find(v => v !== source);
+            if (!source || !target) return null;
+
+            const note = tu.getElementsByTagName('note')[0];
+            return {
+                id: tu.getAttribute('tuid'),
+                timestamp: this.fromTmxDate(tu.getAttribute('creationdate')),
+                sourceLang: source.lang,
+                targetLang: target.lang,
+                sourceText: source.text,
+                targetText: target.text,
+                provider: props['x-provider'] || '',
+                model: props['x-model'] || '',
+                favorite: props['x-favorite'] === 'true',
+                tags: this.parseTags(props['x-tags'] || ''),
+                note: note ? note.textContent : ''
+            };
+        }).filter(Boolean);
+    }
+
+    parseXliff(text) {
+        const doc = this.parseXml(text);
+        const root = doc.documentElement;
+        const sourceLang = this.fromXmlLang(root.getAttribute('srcLang'));
+        const targetLang = this.fromXmlLang(root.getAttribute('trgLang'));
+
+        return Array.from(doc.getElementsByTagNameNS('*', 'unit')).map(unit => {
+            const meta = {};
+            Array.from(unit.getElementsByTagNameNS('*', 'meta')).forEach(el => {
+                meta[el.getAttribute('type')] = el.textContent;
+            });
+            // A unit may hold several segments; join them back into one entry
+            const segments = Array.from(unit.getElementsByTagNameNS('*', 'segment'));
+            const read = (name) => segments.map(segment => {
+                const el = segment.getElementsByTagNameNS('*', name)[0];
+                return el ? el.textContent : '';
+            }).join('');
+            const notes = Array.from(unit.getElementsByTagNameNS('*', 'note')).map(n => n.textContent);
+
+            return {
+                timestamp: meta.timestamp,
+                sourceLang,
+                targetLang,
+                sourceText: read('source'),
+                targetText: read('target'),
+                provider: meta.provider || '',
+                model: meta.model || '',
+                favorite: meta.favorite === 'true',
+                tags: this.parseTags(meta.tags || ''),
+                note: notes.join('\n')
+            };
+        });
+    }
+
+    parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XML 파일을 해석할 수 없습니다.');
         }
-        return false;
+        return doc;
+    }
+
+    escapeXml(value) {
+        return String(value ?? '')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // 'auto' is not a language tag; map it to a private-use tag and back
+    toXmlLang(code) {
+        return code === 'auto' ? 'x-auto' : code;
+    }
+
+    fromXmlLang(code) {
+        return code === 'x-auto' ? 'auto' : (code || '');
+    }
+
+    // TMX dates use the compact ISO 8601 form YYYYMMDDThhmmssZ
+    toTmxDate(timestamp) {
+        return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    }
+
+    fromTmxDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+        return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}.000Z` : null;
+    }
+
+    download(data, type, filename) {
+        FileHelper.download(data instanceof Blob ? data : new Blob([data], { type }), filename);
     }
 
-    clear() {
-        this.history = [];
-        this.save();
+    // Downloads the whole history; XLIFF holds one language pair per file, so several pairs are
+    // bundled in a ZIP. Resolves to the number of exported entries.
+    async export(format = 'jsonl') {
+        const items = await this.getAll();
+        if (items.length === 0) return 0;
+        const date = new Date().toISOString().split('T')[0];
+        const base = `llm_translator_history_${date}`;
+
+        if (format === 'xliff') {
+            const pairs = new Map();
+            items.forEach(item => {
+                if (!pairs.has(item.pair)) pairs.set(item.pair, []);
+                pairs.get(item.pair).push(item);
+            });
+            if (pairs.size === 1) {
+                const { sourceLang, targetLang } = items[0];
+                this.download(this.toXliff(items, sourceLang, targetLang), 'application/xliff+xml', `${base}.xlf`);
+            } else {
+                // Browsers block all but the first of several downloads started by one click
+                const zip = new ZipArchive();
+                pairs.forEach((pairItems) => {
+                    const { sourceLang, targetLang } = pairItems[0];
+                    zip.add(`${base}_${sourceLang}-${targetLang}.xlf`, this.toXliff(pairItems, sourceLang, targetLang));
+                });
+                this.download(zip.toBlob(), 'application/zip', `${base}_xliff.zip`);
+            }
+        } else if (format === 'tmx') {
+            this.download(this.toTmx(items), 'application/x-tmx+xml', `${base}.tmx`);
+        } else if (format === 'csv') {
+            this.download(this.toCsv(items), 'text/csv', `${base}.csv`);
+        } else {
+            this.download(this.toJsonl(items), 'application/x-ndjson', `${base}.jsonl`);
+        }
+        return items.length;
     }
 
-    search(query) {
-        if (!query || query.trim() === '') {
-            return this.history;
+    // Detects the format from the extension (or content), skips entries that already exist
+    // with the same languages and texts, and resolves to { added, skipped }.
+    async import(file) {
+        const text = await FileHelper.readFileAsText(file);
+
+        const name = file.name.toLowerCase();
+        const head = text.slice(0, 500);
+        let entries;
+        if (name.endsWith('.tmx') || /<tmx[\s>]/.test(head)) {
+            entries = this.parseTmx(text);
+        } else if (/\.xliff?$/.test(name) || /<xliff[\s>]/.test(head)) {
+            entries = this.parseXliff(text);
+        } else if (name.endsWith('.csv')) {
+            entries = this.parseCsv(text);
+        } else {
+            entries = this.parseJsonl(text);
         }
 
-        const lowerQuery = query.toLowerCase();
-        return this.history.filter(item => 
-            item.sourceText.toLowerCase().includes(lowerQuery) ||
-            item.targetText.toLowerCase().includes(lowerQuery)
-        );
+        entries = entries.map(e => this.sanitizeEntry(e)).filter(e => e && e.sourceText && e.targetText);
+        if (entries.length === 0) {
+            throw new Error('유효하지 않은 기록 파일입니다.');
+        }
+
+        const existing = await this.getAll();
+        const dedupeKey = (item) => [item.sourceLang, item.targetLang, item.sourceText, item.targetText].join('\u0000');
+        const seen = new Set(existing.map(dedupeKey));
+
+        const items = [];
+        entries.forEach(entry => {
+            const key = dedupeKey(entry);
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            // Imported ids are never reused; they end up in the page's markup
+            const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+            const date = new Date(entry.timestamp || Date.now());
+            const timestamp = isNaN(date) ? new Date().toISOString() : date.toISOString();
+
+            items.push(this.normalize(this.toExportEntry({ ...entry, id, timestamp })));
+        });
+
+        if (items.length > 0) {
+            await this.withStore('readwrite', store => items.forEach(item => store.put(item)));
+            await this.applyRetention();
+        }
+        return { added: items.length, skipped: entries.length - items.length };
     }
 
-    get(id) {
-        return this.history.find(item => item.id === id);
+    // Imported files are untrusted: only registered language codes, strings and finite numbers
+    // are kept. Returns null for entries whose languages are unknown.
+    sanitizeEntry(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+        const source = LanguageRegistry.get(typeof entry.sourceLang === 'string' ? entry.sourceLang : '');
+        const target = LanguageRegistry.get(typeof entry.targetLang === 'string' ? entry.targetLang : '');
+        if (!source || !target || target.code === 'auto') return null;
+
+        const text = (value) => (typeof value === 'string' ? value : '');
+        const comparison = Array.isArray(entry.comparison)
+            ? entry.comparison.filter(c => c && typeof c === 'object').map(c => ({
+                provider: text(c.provider),
+                model: text(c.model),
+                latencyMs: this.toFiniteNumber(c.latencyMs),
+                chars: this.toFiniteNumber(c.chars),
+                usage: this.sanitizeUsage(c.usage),
+                error: typeof c.error === 'string' ? c.error : null
+            }))
+            : null;
+
+        return {
+            timestamp: typeof entry.timestamp === 'string' ? entry.timestamp : null,
+            sourceLang: source.code,
+            targetLang: target.code,
+            sourceText: text(entry.sourceText),
+            targetText: text(entry.targetText),
+            provider: text(entry.provider),
+            model: text(entry.model),
+            favorite: entry.favorite === true,
+            tags: Array.isArray(entry.tags) ? this.parseTags(entry.tags.filter(t => typeof t === 'string').join(',')) : [],
+            note: text(entry.note),
+            context: text(entry.context),
+            comparison,
+            usage: this.sanitizeUsage(entry.usage)
+        };
+    }
+
+    sanitizeUsage(usage) {
+        if (!usage || typeof usage !== 'object') return null;
+        return {
+            inputTokens: this.toFiniteNumber(usage.inputTokens) || 0,
+            outputTokens: this.toFiniteNumber(usage.outputTokens) || 0,
+            thinkingTokens: this.toFiniteNumber(usage.thinkingTokens) || 0,
+            cost: this.toFiniteNumber(usage.cost)
+        };
     }
 
-    getAll() {
-        return [...this.history];
+    // Numbers and numeric strings; anything else (NaN, Infinity, objects, '') is null
+    toFiniteNumber(value) {
+        if (typeof value !== 'number' && (typeof value !== 'string' || !value.trim())) return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
     }
 
     formatTimeAgo(timestamp) {
@@ -115,24 +679,7 @@ class HistoryManager {
     }
 
     getLanguageLabel(code) {
-        const languages = {
-            'auto': '자동 감지',
-            'ko': '한국어',
-            'en': 'English',
-            'ja': '日本語',
-            'zh': '中文',
-            'es': 'Español',
-            'fr': 'Français',
-            'de': 'Deutsch',
-            'ru': 'Русский',
-            'pt': 'Português',
-            'it': 'Italiano',
-            'vi': 'Tiếng Việt',
-            'th': 'ไทย',
-            'id': 'Bahasa Indonesia',
-            'ar': 'العربية'
-        };
-        return languages[code] || code;
+        return LanguageRegistry.getNativeName(code);
     }
 }
 
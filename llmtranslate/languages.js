@@ -0,0 +1,119 @@
+/**
+ * Language Registry
+ * Languages offered by the app, with English names for prompts and native names for the UI
+ */
+
+class LanguageRegistry {
+    // code: BCP 47 tag, name: English name used in prompts, native: name shown in the UI,
+    // rtl: written right to left. Common languages come first, the rest by English name.
+    static LANGUAGES = [
+        { code: 'ko', name: 'Korean', native: '한국어' },
+        { code: 'en', name: 'English', native: 'English' },
+        { code: 'en-US', name: 'English (US)', native: 'English (US)' },
+        { code: 'en-GB', name: 'English (UK)', native: 'English (UK)' },
+        { code: 'ja', name: 'Japanese', native: '日本語' },
+        { code: 'zh', name: 'Chinese', native: '中文' },
+        { code: 'zh-Hans', name: 'Chinese (Simplified)', native: '简体中文' },
+        { code: 'zh-Hant', name: 'Chinese (Traditional)', native: '繁體中文' },
+        { code: 'es', name: 'Spanish', native: 'Español' },
+        { code: 'es-MX', name: 'Spanish (Mexico)', native: 'Español (México)' },
+        { code: 'fr', name: 'French', native: 'Français' },
+        { code: 'fr-CA', name: 'French (Canada)', native: 'Français (Canada)' },
+        { code: 'de', name: 'German', native: 'Deutsch' },
+        { code: 'ru', name: 'Russian', native: 'Русский' },
+        { code: 'pt', name: 'Portuguese', native: 'Português' },
+        { code: 'pt-BR', name: 'Portuguese (Brazil)', native: 'Português (Brasil)' },
+        { code: 'pt-PT', name: 'Portuguese (Portugal)', native: 'Português (Portugal)' },
+        { code: 'it', name: 'Italian', native: 'Italiano' },
+        { code: 'vi', name: 'Vietnamese', native: 'Tiếng Việt' },
+        { code: 'th', name: 'Thai', native: 'ไทย' },
+        { code: 'id', name: 'Indonesian', native: 'Bahasa Indonesia' },
+        { code: 'ar', name: 'Arabic', native: 'العربية', rtl: true },
+        { code: 'bn', name: 'Bengali', native: 'বাংলা' },
+        { code: 'bg', name: 'Bulgarian', native: 'Български' },
+        { code: 'ca', name: 'Catalan', native: 'Català' },
+        { code: 'hr', name: 'Croatian', native: 'Hrvatski' },
+        { code: 'cs', name: 'Czech', native: 'Čeština' },
+        { code: 'da', name: 'Danish', native: 'Dansk' },
+        { code: 'nl', name: 'Dutch', native: 'Nederlands' },
+        { code: 'et', name: 'Estonian', native: 'Eesti' },
+        { code: 'fil', name: 'Filipino', native: 'Filipino' },
+        { code: 'fi', name: 'Finnish', native: 'Suomi' },
+        { code: 'el', name: 'Greek', native: 'Ελληνικά' },
+        { code: 'gu', name: 'Gujarati', native: 'ગુજરાતી' },
+        { code: 'he', name: 'Hebrew', native: 'עברית', rtl: true },
+        { code: 'hi', name: 'Hindi', native: 'हिन्दी' },
+        { code: 'hu', name: 'Hungarian', native: 'Magyar' },
+        { code: 'kn', name: 'Kannada', native: 'ಕನ್ನಡ' },
+        { code: 'lv', name: 'Latvian', native: 'Latviešu' },
+        { code: 'lt', name: 'Lithuanian', native: 'Lietuvių' },
+        { code: 'ms', name: 'Malay', native: 'Bahasa Melayu' },
+        { code: 'ml', name: 'Malayalam', native: 'മലയാളം' },
+        { code: 'mr', name: 'Marathi', native: 'मराठी' },
+        { code: 'no', name: 'Norwegian', native: 'Norsk' },
+        { code: 'fa', name: 'Persian', native: 'فارسی', rtl: true },
+        { code: 'pl', name: 'Polish', native: 'Polski' },
+        { code: 'ro', name: 'Romanian', native: 'Română' },
+        { code: 'sr', name: 'Serbian', native: 'Српски' },
+        { code: 'sk', name: 'Slovak', native: 'Slovenčina' },
+        { code: 'sl', name: 'Slovenian', native: 'Slovenščina' },
+        { code: 'sw', name: 'Swahili', native: 'Kiswahili' },
+        { code: 'sv', name: 'Swedish', native: 'Svenska' },
+        { code: 'ta', name: 'Tamil', native: 'தமிழ்' },
+        { code: 'te', name: 'Telugu', native: 'తెలుగు' },
+        { code: 'tr', name: 'Turkish', native: 'Türkçe' },
+        { code: 'uk', name: 'Ukrainian', native: 'Українська' },
+        { code: 'ur', name: 'Urdu', native: 'اردو', rtl: true }
+    ];
+
+    static AUTO = { code: 'auto', name: 'auto-detected language', native: '자동 감지' };
+
+    static list() {
+        return LanguageRegistry.LANGUAGES;
+    }
+
+    // 'pt-BR' → 'pt'
+    static baseCode(code) {
+        return (code || '').split(/[-_]/)[0].toLowerCase();
+    }
+
+    // Exact tag (any case, '_' or '-'), then the base language, so 'en-AU' is still English
+    static get(code) {
+        if (!code) return null;
+        if (code === 'auto') return LanguageRegistry.AUTO;
+        const tag = code.replace(/_/g, '-').toLowerCase();
+        return LanguageRegistry.LANGUAGES.find(l => l.code.toLowerCase() === tag)
+            || LanguageRegistry.LANGUAGES.find(l => l.code === LanguageRegistry.baseCode(code))
+            || null;
+    }
+
+    static getName(code) {
+        const language = LanguageRegistry.get(code);
+        return language ? language.name : code;
+    }
+
+    static getNativeName(code) {
+        const language = LanguageRegistry.get(code);
+        return language ? language.native : code;
+    }
+
+    static isRTL(code) {
+        const language = LanguageRegistry.get(code);
+        return !!(language && language.rtl);
+    }
+
+    // supported lists the tags a provider accepts, where a base code covers its variants; null accepts all
+    static isSupported(code, supported) {
+        if (!supported || !code || code === 'auto') return true;
+        return supported.includes(code) || supported.includes(LanguageRegistry.baseCode(code));
+    }
+
+    static matches(language, query) {
+        const q = (query || '').trim().toLowerCase();
+        if (!q) return true;
+        return [language.code, language.name, language.native].some(value => value.toLowerCase().includes(q));
+    }
+}
+
+// Export for use in other modules
+window.LanguageRegistry = LanguageRegistry;
@@ -0,0 +1,827 @@
+/**
+ * Localization File
+ * Reads i18n JSON, gettext .po, Apple .strings, Java .properties and YAML files into
+ * translatable entries and writes the translated values back in the same format. Keys are
+ * never sent to the model, and placeholders travel as ⟦n⟧ markers that are restored after.
+ */
+
+class LocalizationFile {
+    static FORMATS = [
+        { id: 'json', label: 'JSON (i18n)', extensions: ['.json'] },
+        { id: 'po', label: 'gettext PO', extensions: ['.po', '.pot'] },
+        { id: 'strings', label: 'Apple .strings', extensions: ['.strings'] },
+        { id: 'properties', label: 'Java .properties', extensions: ['.properties'] },
+        { id: 'yaml', label: 'YAML', extensions: ['.yml', '.yaml'] }
+    ];
+
+    // {{count}}, ${name}, %{name}, {name}, {0}, %(name)s, %1$s, %s, %d, %.2f, %@, %lld and %%
+    static PLACEHOLDER_PATTERN = /\{\{\s*[\w.-]+\s*\}\}|[$%]\{[\w.-]+\}|\{[\w.-]+\}|%\([\w.-]+\)[sdif]|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?(?:hh|h|ll|l|z|j|t|L|q)?[sdiufFeEgGxXoaAcp@]|%%/g;
+
+    static MARKER_PATTERN = /⟦(\d+)⟧/g;
+
+    static PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+    // gettext Plural-Forms; categories names the CLDR category of msgstr[0], msgstr[1], ...
+    static PLURAL_RULES = [
+        { languages: ['ja', 'ko', 'zh', 'vi', 'th', 'id', 'ms'], categories: ['other'], expression: 'nplurals=1; plural=0;' },
+        { languages: ['fr', 'pt-BR', 'fa'], categories: ['one', 'other'], expression: 'nplurals=2; plural=(n > 1);' },
+        { languages: ['ru', 'uk'], categories: ['one', 'few', 'many'], expression: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);' },
+        { languages: ['hr', 'sr'], categories: ['one', 'few', 'other'], expression: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);' },
+        { languages: ['pl'], categories: ['one', 'few', 'many'], expression: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);' },
+        { languages: ['cs', 'sk'], categories: ['one', 'few', 'other'], expression: 'nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;' },
+        { languages: ['lt'], categories: ['one', 'few', 'other'], expression: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2);' },
+        { languages: ['lv'], categories: ['one', 'other', 'zero'], expression: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2);' },
+        { languages: ['ro'], categories: ['one', 'few', 'other'], expression: 'nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2);' },
+        { languages: ['sl'], categories: ['one', 'two', 'few', 'other'], expression: 'nplurals=4; plural=(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3);' },
+        { languages: ['ar'], categories: ['zero', 'one', 'two', 'few', 'many', 'other'], expression: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);' }
+    ];
+
+    static DEFAULT_PLURAL_RULE = { categories: ['one', 'other'], expression: 'nplurals=2; plural=(n != 1);' };
+
+    // i18next plural keys: 'item_one', 'item_other', ...
+    static JSON_PLURAL_SUFFIX = /^(.+)_(zero|one|two|few|many|other)$/;
+
+    // Sent as context with every request; the model answers with the same JSON object
+    static INSTRUCTIONS = 'The text is a JSON object of user interface strings from a localization file. Translate each value and answer with a JSON object that has exactly the same keys, and nothing else. Never translate the keys. Copy markers such as ⟦0⟧ unchanged: they stand for placeholders that the app fills in. Keys ending in #zero, #one, #two, #few, #many or #other are plural forms: translate them for a count in that plural category of the target language.';
+
+    // Used when a value is retried on its own
+    static SINGLE_INSTRUCTIONS = 'The text is a user interface string from a localization file. Copy markers such as ⟦0⟧ unchanged: they stand for placeholders that the app fills in.';
+
+    constructor(name, text) {
+        this.name = name;
+        this.text = text.replace(/^\uFEFF/, '');
+        this.eol = this.text.includes('\r\n') ? '\r\n' : '\n';
+        this.format = LocalizationFile.detectFormat(name);
+        if (!this.format) {
+            throw new Error('지원하지 않는 파일 형식입니다. (.json, .po, .pot, .strings, .properties, .yml, .yaml)');
+        }
+
+        // [{ id, key, value } | { id, key, plural: { category: text } }] plus format-specific fields
+        this.entries = [];
+        const parsers = {
+            json: this.parseJson,
+            po: this.parsePo,
+            strings: this.parseStrings,
+            properties: this.parseProperties,
+            yaml: this.parseYaml
+        };
+        parsers[this.format].call(this, this.text);
+        this.entries.forEach((entry, i) => {
+            entry.id = String(i + 1);
+        });
+    }
+
+    static async fromFile(file) {
+        return new LocalizationFile(file.name, await FileHelper.readFileAsText(file));
+    }
+
+    static detectFormat(name) {
+        const lower = (name || '').toLowerCase();
+        const format = LocalizationFile.FORMATS.find(f => f.extensions.some(ext => lower.endsWith(ext)));
+        return format ? format.id : null;
+    }
+
+    getFormatLabel() {
+        return LocalizationFile.FORMATS.find(f => f.id === this.format).label;
+    }
+
+    // ===========================================
+    // Plural Forms
+    // ===========================================
+
+    static getPluralRule(lang) {
+        const code = (lang || '').replace(/_/g, '-');
+        return LocalizationFile.PLURAL_RULES.find(rule => rule.languages.includes(code))
+            || LocalizationFile.PLURAL_RULES.find(rule => rule.languages.includes(LanguageRegistry.baseCode(code)))
+            || LocalizationFile.DEFAULT_PLURAL_RULE;
+    }
+
+    // i18next and Rails follow the CLDR categories of the language; gettext uses Plural-Forms
+    getPluralCategories(lang) {
+        if (this.format !== 'po') {
+            try {
+                const categories = new Intl.PluralRules(lang).resolvedOptions().pluralCategories;
+                return LocalizationFile.PLURAL_CATEGORIES.filter(c => categories.includes(c));
+            } catch (e) {
+                // Unknown to Intl: fall back to the gettext table
+            }
+        }
+        return LocalizationFile.getPluralRule(lang).categories;
+    }
+
+    // The source form a target category is translated from
+    getSourceForm(entry, category) {
+        return entry.plural[category] ?? entry.plural.other ?? Object.values(entry.plural)[0];
+    }
+
+    // ===========================================
+    // Placeholders
+    // ===========================================
+
+    static findPlaceholders(text) {
+        return text.match(LocalizationFile.PLACEHOLDER_PATTERN) || [];
+    }
+
+    // Values that are empty or only placeholders, digits and punctuation are copied as they are
+    static isTranslatable(text) {
+        return /\p{L}/u.test(text.replace(LocalizationFile.PLACEHOLDER_PATTERN, ''));
+    }
+
+    static protect(text) {
+        const tokens = [];
+        const protectedText = text.replace(LocalizationFile.PLACEHOLDER_PATTERN, (token) => {
+            tokens.push(token);
+            return `⟦${tokens.length - 1}⟧`;
+        });
+        return { text: protectedText, tokens };
+    }
+
+    static restore(text, tokens) {
+        return text.replace(LocalizationFile.MARKER_PATTERN, (marker, n) => tokens[n] ?? marker);
+    }
+
+    // Problems (in Korean) when the translation lost, added or garbled placeholders
+    static checkPlaceholders(source, translation) {
+        const count = (tokens) => tokens.reduce((map, t) => map.set(t, (map.get(t) || 0) + 1), new Map());
+        const expected = count(LocalizationFile.findPlaceholders(source));
+        const actual = count(LocalizationFile.findPlaceholders(translation));
+        const missing = [...expected].filter(([token, n]) => (actual.get(token) || 0) < n).map(([token]) => token);
+        const extra = [...actual].filter(([token, n]) => (expected.get(token) || 0) < n).map(([token]) => token);
+        const markers = translation.match(LocalizationFile.MARKER_PATTERN) || [];
+
+        const problems = [];
+        if (missing.length > 0) problems.push(`빠진 자리표시자: ${missing.join(' ')}`);
+        if (extra.length > 0) problems.push(`추가된 자리표시자: ${extra.join(' ')}`);
+        if (markers.length > 0) problems.push(`복원되지 않은 표시: ${markers.join(' ')}`);
+        return problems;
+    }
+
+    // ===========================================
+    // Translation Requests
+    // ===========================================
+
+    // One unit per value, or per target plural category: [{ id, entry, category, text }].
+    // Ids are '<entry id>' or '<entry id>#<category>'.
+    getUnits(targetLang) {
+        const categories = this.getPluralCategories(targetLang);
+        return this.entries.flatMap(entry => entry.plural
+            ? categories.map(category => ({ id: `${entry.id}#${category}`, entry, category, text: this.getSourceForm(entry, category) }))
+            : [{ id: entry.id, entry, category: null, text: entry.value }]);
+    }
+
+    // Packs translatable units into requests of about maxTokens; each request text is a JSON
+    // object of { unit id: value with ⟦n⟧ markers }
+    buildRequests(units, maxTokens) {
+        const chunker = new TextChunker(maxTokens);
+        const requests = [];
+        let current = null;
+
+        units.filter(unit => LocalizationFile.isTranslatable(unit.text)).forEach(unit => {
+            const { text, tokens } = LocalizationFile.protect(unit.text);
+            const size = chunker.estimateTokens(text) + 8;
+            if (!current || (current.size + size > chunker.maxTokens && current.units.length > 0)) {
+                current = { units: [], size: 0 };
+                requests.push(current);
+            }
+            current.units.push({ ...unit, protectedText: text, tokens });
+            current.size += size;
+        });
+
+        requests.forEach(request => {
+            request.text = JSON.stringify(Object.fromEntries(request.units.map(u => [u.id, u.protectedText])), null, 2);
+        });
+        return requests;
+    }
+
+    // Reads the model's JSON answer into Map<unit id, restored translation>; units missing
+    // from it are left out
+    parseResponse(response, request) {
+        const data = FileHelper.parseJsonAnswer(response);
+        const results = new Map();
+        if (data) {
+            request.units.forEach(unit => {
+                if (typeof data[unit.id] === 'string') {
+                    results.set(unit.id, LocalizationFile.restore(data[unit.id], unit.tokens));
+                }
+            });
+        }
+        return results;
+    }
+
+    // The translated value of a unit; untranslated values keep the source text, except in
+    // .po files where an empty msgstr is what marks a message as untranslated
+    getTranslation(results, entry, category = null) {
+        const source = category ? this.getSourceForm(entry, category) : entry.value;
+        const result = results.get(category ? `${entry.id}#${category}` : entry.id);
+        if (result !== undefined) return result;
+        return this.format === 'po' && LocalizationFile.isTranslatable(source) ? '' : source;
+    }
+
+    // Map<entry id, problems[]> for translated entries whose placeholders do not match
+    validate(results, targetLang) {
+        const problems = new Map();
+        this.getUnits(targetLang).forEach(unit => {
+            if (!results.has(unit.id)) return;
+            const found = LocalizationFile.checkPlaceholders(unit.text, results.get(unit.id));
+            if (found.length === 0) return;
+            const list = problems.get(unit.entry.id) || [];
+            list.push(...found.map(p => (unit.category ? `[${unit.category}] ${p}` : p)));
+            problems.set(unit.entry.id, list);
+        });
+        return problems;
+    }
+
+    // ===========================================
+    // Output
+    // ===========================================
+
+    serialize(results, targetLang) {
+        const writers = {
+            json: this.serializeJson,
+            po: this.serializePo,
+            strings: this.serializeStrings,
+            properties: this.serializeProperties,
+            yaml: this.serializeYaml
+        };
+        return writers[this.format].call(this, results, targetLang);
+    }
+
+    // 'en.json' → 'ko.json', 'messages_en.properties' → 'messages_ko.properties',
+    // 'app.pot' → 'app.ko.po', anything else gets the target code before the extension
+    getOutputName(sourceLang, targetLang) {
+        const dot = this.name.lastIndexOf('.');
+        const base = dot > 0 ? this.name.slice(0, dot) : this.name;
+        const ext = this.format === 'po' ? '.po' : (dot > 0 ? this.name.slice(dot) : '');
+        const isCode = (code) => LanguageRegistry.get(code)?.code.toLowerCase() === code.replace(/_/g, '-').toLowerCase();
+
+        if (isCode(base)) {
+            return `${targetLang}${ext}`;
+        }
+        const match = /^(.+[._-])([A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,4})?)$/.exec(base);
+        if (match && isCode(match[2]) && LanguageRegistry.baseCode(match[2]) === LanguageRegistry.baseCode(sourceLang)) {
+            return `${match[1]}${targetLang}${ext}`;
+        }
+        return `${base}.${targetLang}${ext}`;
+    }
+
+    export(results, sourceLang, targetLang) {
+        const filename = this.getOutputName(sourceLang, targetLang);
+        FileHelper.download(new Blob([this.serialize(results, targetLang)], { type: 'text/plain' }), filename);
+        return filename;
+    }
+
+    // Applies [{ start, end, lines }] line replacements from the bottom up
+    static replaceLines(lines, replacements) {
+        replacements
+            .sort((a, b) => b.start - a.start)
+            .forEach(r => lines.splice(r.start, r.end - r.start, ...r.lines));
+        return lines;
+    }
+
+    // ===========================================
+    // JSON (nested or flat keys, i18next plurals)
+    // ===========================================
+
+    parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`JSON 파일을 읽을 수 없습니다: ${e.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('JSON 파일의 최상위는 객체여야 합니다.');
+        }
+        this.data = data;
+        this.indent = (/\n([ \t]+)\S/.exec(text) || [null, '  '])[1];
+        // JSON path of every translated key → entry
+        this.jsonIndex = new Map();
+        this.walkJson(data, []);
+    }
+
+    walkJson(node, path) {
+        const groups = Array.isArray(node) ? new Map() : this.findJsonPluralGroups(node);
+
+        Object.keys(node).forEach(key => {
+            const value = node[key];
+            const match = LocalizationFile.JSON_PLURAL_SUFFIX.exec(key);
+            const group = match && groups.get(match[1]);
+            if (group) {
+                if (group.keys[0] === key) {
+                    const entry = { key: [...path, match[1]].join('.'), plural: group.forms, base: match[1], sourceKeys: group.keys };
+                    this.entries.push(entry);
+                    group.keys.forEach(k => this.jsonIndex.set(JSON.stringify([...path, k]), entry));
+                }
+            } else if (typeof value === 'string') {
+                const entry = { key: [...path, key].join('.'), value };
+                this.entries.push(entry);
+                this.jsonIndex.set(JSON.stringify([...path, key]), entry);
+            } else if (value && typeof value === 'object') {
+                this.walkJson(value, [...path, key]);
+            }
+        });
+    }
+
+    // Sibling string keys sharing a base with an '_other' form
+    findJsonPluralGroups(node) {
+        const groups = new Map();
+        Object.keys(node).forEach(key => {
+            const match = LocalizationFile.JSON_PLURAL_SUFFIX.exec(key);
+            if (!match || typeof node[key] !== 'string') return;
+            if (!groups.has(match[1])) groups.set(match[1], { keys: [], forms: {} });
+            groups.get(match[1]).keys.push(key);
+            groups.get(match[1]).forms[match[2]] = node[key];
+        });
+        groups.forEach((group, base) => {
+            if (group.forms.other === undefined) groups.delete(base);
+        });
+        return groups;
+    }
+
+    serializeJson(results, targetLang) {
+        const categories = this.getPluralCategories(targetLang);
+
+        const build = (node, path) => {
+            if (Array.isArray(node)) {
+                return node.map((value, i) => build(value, [...path, String(i)]));
+            }
+            if (!node || typeof node !== 'object') {
+                const entry = this.jsonIndex.get(JSON.stringify(path));
+                return entry && typeof node === 'string' ? this.getTranslation(results, entry) : node;
+            }
+
+            const output = {};
+            Object.keys(node).forEach(key => {
+                const entry = this.jsonIndex.get(JSON.stringify([...path, key]));
+                if (entry && entry.plural) {
+                    // The whole group is rewritten with the target language's categories
+                    if (entry.sourceKeys[0] === key) {
+                        categories.forEach(category => {
+                            output[`${entry.base}_${category}`] = this.getTranslation(results, entry, category);
+                        });
+                    }
+                } else {
+                    output[key] = build(node[key], [...path, key]);
+                }
+            });
+            return output;
+        };
+
+        const trailing = /\n$/.test(this.text) ? this.eol : '';
+        return JSON.stringify(build(this.data, []), null, this.indent).replace(/\n/g, this.eol) + trailing;
+    }
+
+    // ===========================================
+    // gettext .po / .pot
+    // ===========================================
+
+    static unescapePo(value) {
+        const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+        return value.replace(/\\(.)/g, (match, c) => escapes[c] ?? c);
+    }
+
+    static escapePo(value) {
+        return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+    }
+
+    // Multi-line values are written the way gettext tools do: an empty first line, then one
+    // string per line
+    static formatPoString(keyword, value) {
+        const parts = value.split(/(?<=\n)/);
+        if (parts.length <= 1) {
+            return [`${keyword} "${LocalizationFile.escapePo(value)}"`];
+        }
+        return [`${keyword} ""`, ...parts.map(part => `"${LocalizationFile.escapePo(part)}"`)];
+    }
+
+    // Messages keep every line except their msgstr lines, which are rewritten on output
+    parsePo(text) {
+        const lines = text.split(/\r?\n/);
+        let message = null;
+        let field = null;
+
+        const finish = (end) => {
+            if (message && message.fields.msgid !== undefined) {
+                const range = { start: message.msgstrStart ?? end, end: message.msgstrEnd ?? end };
+                const { msgctxt, msgid, msgid_plural: msgidPlural } = message.fields;
+                if (msgid === '' && msgctxt === undefined) {
+                    this.poHeader = { ...range, value: message.fields.msgstr || '' };
+                } else {
+                    const key = msgctxt ? `[${msgctxt}] ${msgid}` : msgid;
+                    this.entries.push(msgidPlural !== undefined
+                        ? { key, plural: { one: msgid, other: msgidPlural }, range }
+                        : { key, value: msgid, range });
+                }
+            }
+            message = null;
+            field = null;
+        };
+
+        lines.forEach((line, i) => {
+            const trimmed = line.trim();
+            const keyword = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/.exec(trimmed);
+            const continuation = /^"(.*)"$/.exec(trimmed);
+
+            if (!trimmed) {
+                finish(i);
+            } else if (trimmed.startsWith('#~')) {
+                // Obsolete messages are kept as they are
+            } else if (trimmed.startsWith('#')) {
+                if (message && message.msgstrStart !== undefined) finish(i);
+            } else if (keyword) {
+                const name = keyword[1];
+                if ((name === 'msgctxt' || name === 'msgid') && message && message.msgstrStart !== undefined) {
+                    finish(i);
+                }
+                if (!message) message = { fields: {} };
+                field = name;
+                message.fields[field] = LocalizationFile.unescapePo(keyword[2]);
+                if (name.startsWith('msgstr')) {
+                    if (message.msgstrStart === undefined) message.msgstrStart = i;
+                    message.msgstrEnd = i + 1;
+                }
+            } else if (continuation && message && field) {
+                message.fields[field] += LocalizationFile.unescapePo(continuation[1]);
+                if (field.startsWith('msgstr')) {
+                    message.msgstrEnd = i + 1;
+                }
+            } else {
+                throw new Error(`.po 파일 ${i + 1}번째 줄을 읽을 수 없습니다.`);
+            }
+        });
+        finish(lines.length);
+    }
+
+    // Sets the Language and Plural-Forms header fields for the target language
+    updatePoHeader(header, targetLang) {
+        const set = (text, name, value) => {
+            const pattern = new RegExp(`^${name}:.*$`, 'm');
+            const line = `${name}: ${value}`;
+            if (pattern.test(text)) return text.replace(pattern, line);
+            return `${text}${text && !text.endsWith('\n') ? '\n' : ''}${line}\n`;
+        };
+        const withLanguage = set(header, 'Language', targetLang.replace(/-/g, '_'));
+        return set(withLanguage, 'Plural-Forms', LocalizationFile.getPluralRule(targetLang).expression);
+    }
+
+    serializePo(results, targetLang) {
+        const lines = this.text.split(/\r?\n/);
+        const categories = this.getPluralCategories(targetLang);
+        const replacements = this.entries.map(entry => ({
+            ...entry.range,
+            lines: entry.plural
+                ? categories.flatMap((category, i) => LocalizationFile.formatPoString(`msgstr[${i}]`, this.getTranslation(results, entry, category)))
+                : LocalizationFile.formatPoString('msgstr', this.getTranslation(results, entry))
+        }));
+        if (this.poHeader) {
+            replacements.push({
+                start: this.poHeader.start,
+                end: this.poHeader.end,
+                lines: LocalizationFile.formatPoString('msgstr', this.updatePoHeader(this.poHeader.value, targetLang))
+            });
+        }
+        return LocalizationFile.replaceLines(lines, replacements).join(this.eol);
+    }
+
+    // ===========================================
+    // Apple .strings
+    // ===========================================
+
+    static unescapeStrings(value) {
+        const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', "'": "'", '\\': '\\' };
+        return value.replace(/\\(U[0-9a-fA-F]{4}|u[0-9a-fA-F]{4}|.)/g, (match, c) =>
+            c.length === 5 ? String.fromCharCode(parseInt(c.slice(1), 16)) : (escapes[c] ?? c));
+    }
+
+    static escapeStrings(value) {
+        return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+    }
+
+    // "key" = "value"; pairs with /* */ and // comments; value spans are kept for output
+    parseStrings(text) {
+        let i = 0;
+        const fail = () => new Error(`.strings 파일 ${text.slice(0, i).split('\n').length}번째 줄을 읽을 수 없습니다.`);
+
+        const skip = () => {
+            for (;;) {
+                while (i < text.length && /\s/.test(text[i])) i++;
+                if (text.startsWith('/*', i)) {
+                    const end = text.indexOf('*/', i + 2);
+                    if (end === -1) throw fail();
+                    i = end + 2;
+                } else if (text.startsWith('//', i)) {
+                    const end = text.indexOf('\n', i);
+                    i = end === -1 ? text.length : end + 1;
+                } else {
+                    return;
+                }
+            }
+        };
+
+        const readToken = () => {
+            if (text[i] === '"') {
+                const start = i + 1;
+                let j = start;
+                while (j < text.length && text[j] !== '"') {
+                    j += text[j] === '\\' ? 2 : 1;
+                }
+                if (j >= text.length) throw fail();
+                i = j + 1;
+                return { start, end: j, raw: text.slice(start, j) };
+            }
+            const match = /^[\w.$-]+/.exec(text.slice(i));
+            if (!match) throw fail();
+            const start = i;
+            i += match[0].length;
+            return { start, end: i, raw: match[0], unquoted: true };
+        };
+
+        for (;;) {
+            skip();
+            if (i >= text.length) break;
+            const key = readToken();
+            skip();
+            if (text[i] !== '=') throw fail();
+            i++;
+            skip();
+            const value = readToken();
+            if (value.unquoted) throw fail();
+            skip();
+            if (text[i] !== ';') throw fail();
+            i++;
+            this.entries.push({
+                key: LocalizationFile.unescapeStrings(key.raw),
+                value: LocalizationFile.unescapeStrings(value.raw),
+                span: [value.start, value.end]
+            });
+        }
+    }
+
+    serializeStrings(results) {
+        let output = this.text;
+        [...this.entries]
+            .sort((a, b) => b.span[0] - a.span[0])
+            .forEach(entry => {
+                const value = LocalizationFile.escapeStrings(this.getTranslation(results, entry));
+                output = output.slice(0, entry.span[0]) + value + output.slice(entry.span[1]);
+            });
+        return output;
+    }
+
+    // ===========================================
+    // Java .properties
+    // ===========================================
+
+    static unescapeProperties(value) {
+        const escapes = { n: '\n', t: '\t', r: '\r', f: '\f' };
+        return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, c) =>
+            c.length === 5 ? String.fromCharCode(parseInt(c.slice(1), 16)) : (escapes[c] ?? c));
+    }
+
+    // Non-ASCII characters are written as \uXXXX when the source file did so (ISO-8859-1 bundles)
+    escapeProperties(value) {
+        let escaped = value
+            .replace(/\\/g, '\\\\')
+            .replace(/\n/g, '\\n')
+            .replace(/\t/g, '\\t')
+            .replace(/\r/g, '\\r')
+            .replace(/\f/g, '\\f')
+            .replace(/^ /, '\\ ');
+        if (this.unicodeEscapes) {
+            escaped = escaped.replace(/[^\x00-\x7f]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+        }
+        return escaped;
+    }
+
+    // Logical lines (joined at trailing backslashes) are rewritten as one physical line
+    parseProperties(text) {
+        const lines = text.split(/\r?\n/);
+        this.unicodeEscapes = /\\u[0-9a-fA-F]{4}/.test(text);
+
+        for (let i = 0; i < lines.length; i++) {
+            const first = i;
+            const indent = /^\s*/.exec(lines[i])[0];
+            let line = lines[i].slice(indent.length);
+            if (!line || line[0] === '#' || line[0] === '!') continue;
+
+            // An odd number of trailing backslashes continues the line
+            while (/(?:^|[^\\])(?:\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+                line = line.slice(0, -1) + lines[++i].replace(/^\s+/, '');
+            }
+
+            const match = /^((?:\\.|[^\\=:\s])*)(\s*[=:]\s*|\s+|$)([\s\S]*)$/.exec(line);
+            this.entries.push({
+                key: LocalizationFile.unescapeProperties(match[1]),
+                value: LocalizationFile.unescapeProperties(match[3]),
+                range: { start: first, end: i + 1 },
+                prefix: indent + match[1] + match[2]
+            });
+        }
+    }
+
+    serializeProperties(results) {
+        const lines = this.text.split(/\r?\n/);
+        const replacements = this.entries.map(entry => ({
+            ...entry.range,
+            lines: [entry.prefix + this.escapeProperties(this.getTranslation(results, entry))]
+        }));
+        return LocalizationFile.replaceLines(lines, replacements).join(this.eol);
+    }
+
+    // ===========================================
+    // YAML (block mappings and scalar lists, Rails-style plurals)
+    // ===========================================
+
+    static YAML_NON_STRING = /^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?)$/i;
+
+    static unquoteYamlKey(key) {
+        if (key.startsWith('"')) return LocalizationFile.unescapeYaml(key.slice(1, -1));
+        if (key.startsWith("'")) return key.slice(1, -1).replace(/''/g, "'");
+        return key.trim();
+    }
+
+    static unescapeYaml(value) {
+        const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '/': '/', '\\': '\\', ' ': ' ' };
+        return value.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, c) =>
+            c.length > 1 ? String.fromCodePoint(parseInt(c.slice(1), 16)) : (escapes[c] ?? c));
+    }
+
+    static isPlainYaml(value) {
+        return value !== '' &&
+            !/^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+            !/\s$/.test(value) &&
+            !/: |\s#|:$|\n/.test(value) &&
+            !LocalizationFile.YAML_NON_STRING.test(value);
+    }
+
+    static formatYamlScalar(value, style) {
+        if (style === 'single' && !value.includes('\n')) {
+            return `'${value.replace(/'/g, "''")}'`;
+        }
+        if (style === 'plain' && LocalizationFile.isPlainYaml(value)) {
+            return value;
+        }
+        const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+        return `"${escaped}"`;
+    }
+
+    parseYaml(text) {
+        const lines = text.split(/\r?\n/);
+        const fail = (i, reason = '읽을 수 없습니다') => new Error(`YAML 파일 ${i + 1}번째 줄을 ${reason}.`);
+        const root = { indent: -1, path: [], children: [], items: 0 };
+        const mappings = [root];
+        const stack = [root];
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (!line.trim() || /^\s*#/.test(line) || /^(---|\.\.\.)(\s|$)/.test(line) || /^%/.test(line)) continue;
+
+            const indent = /^ */.exec(line)[0].length;
+            if (line[indent] === '\t') throw fail(i, '읽을 수 없습니다 (탭 들여쓰기)');
+            let rest = line.slice(indent);
+            const item = /^-(\s+|$)/.exec(rest);
+
+            // List items may sit at the same indentation as their parent key
+            while (stack.length > 1 && (item ? stack[stack.length - 1].indent > indent : stack[stack.length - 1].indent >= indent)) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1];
+
+            let key;
+            let valueColumn;
+            if (item) {
+                key = String(parent.items++);
+                valueColumn = indent + item[0].length;
+                rest = rest.slice(item[0].length);
+                if (/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"-][^#]*?)\s*:(\s|$)/.test(rest) || rest.startsWith('- ')) {
+                    throw fail(i, '지원하지 않습니다 (목록 안의 매핑)');
+                }
+            } else {
+                const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"][^#]*?)\s*:(\s+|$)/.exec(rest);
+                if (!match) throw fail(i);
+                key = LocalizationFile.unquoteYamlKey(match[1]);
+                valueColumn = indent + match[0].length;
+                rest = rest.slice(match[0].length);
+            }
+
+            const path = [...parent.path, key];
+            const child = { key, line: i, lastLine: i, indent, entry: null };
+            parent.children.push(child);
+
+            if (!rest.trim() || rest.startsWith('#')) {
+                // A nested mapping or list follows
+                const frame = { indent, path, children: [], items: 0, child };
+                mappings.push(frame);
+                stack.push(frame);
+                continue;
+            }
+
+            let entry = null;
+            const block = /^([|>])([+-]?)\d*([+-]?)\s*(#.*)?$/.exec(rest);
+            if (block) {
+                let end = i;
+                let blockIndent = null;
+                for (let j = i + 1; j < lines.length; j++) {
+                    if (!lines[j].trim()) continue;
+                    const lineIndent = /^ */.exec(lines[j])[0].length;
+                    if (lineIndent <= indent) break;
+                    if (blockIndent === null) blockIndent = lineIndent;
+                    end = j;
+                }
+                const content = lines.slice(i + 1, end + 1).map(l => l.slice(blockIndent || 0));
+                const value = block[1] === '|'
+                    ? content.join('\n')
+                    : content.join('\n').split(/\n{2,}/).map(p => p.replace(/\n/g, ' ')).join('\n');
+                entry = { value, style: 'block', indicator: block[1] + (block[2] || block[3]), line: i, blockEnd: end, blockIndent: blockIndent || indent + 2 };
+                child.lastLine = end;
+                i = end;
+            } else if (rest[0] === '"' || rest[0] === "'") {
+                const pattern = rest[0] === '"' ? /^"((?:[^"\\]|\\.)*)"/ : /^'((?:[^']|'')*)'/;
+                const match = pattern.exec(rest);
+                if (!match) throw fail(i, '지원하지 않습니다 (여러 줄 문자열)');
+                entry = {
+                    value: rest[0] === '"' ? LocalizationFile.unescapeYaml(match[1]) : match[1].replace(/''/g, "'"),
+                    style: rest[0] === '"' ? 'double' : 'single',
+                    line: i,
+                    span: [valueColumn, valueColumn + match[0].length]
+                };
+            } else if (!/^[&*![{]/.test(rest)) {
+                // Anchors, aliases, tags and flow collections are left untouched
+                const value = rest.replace(/\s+#.*$/, '').trimEnd();
+                if (!LocalizationFile.YAML_NON_STRING.test(value)) {
+                    entry = { value, style: 'plain', line: i, span: [valueColumn, valueColumn + value.length] };
+                }
+            }
+
+            if (entry) {
+                entry.key = path.join('.');
+                child.entry = entry;
+                this.entries.push(entry);
+            }
+        }
+
+        // Mappings of plural categories (one:, other:, ...) become one plural entry
+        mappings.forEach(frame => {
+            const { children } = frame;
+            const plural = frame.child && children.length > 0 &&
+                children.every(c => c.entry && c.entry.style !== 'block' && LocalizationFile.PLURAL_CATEGORIES.includes(c.key)) &&
+                children.some(c => c.key === 'other');
+            if (!plural) return;
+
+            const entry = {
+                key: frame.path.join('.'),
+                plural: Object.fromEntries(children.map(c => [c.key, c.entry.value])),
+                style: (children.find(c => c.key === 'other')).entry.style,
+                range: { start: children[0].line, end: children[children.length - 1].lastLine + 1 },
+                childIndent: children[0].indent
+            };
+            const first = this.entries.indexOf(children[0].entry);
+            this.entries = this.entries.filter(e => !children.some(c => c.entry === e));
+            this.entries.splice(first, 0, entry);
+        });
+
+        // Rails keeps a whole locale under its code ('en:'), which is renamed on output
+        const top = root.children;
+        if (top.length === 1 && !top[0].entry && LanguageRegistry.get(top[0].key)?.code.toLowerCase() === top[0].key.replace(/_/g, '-').toLowerCase()) {
+            this.yamlLocaleLine = top[0].line;
+        }
+    }
+
+    serializeYaml(results, targetLang) {
+        const lines = this.text.split(/\r?\n/);
+        const categories = this.getPluralCategories(targetLang);
+        const replacements = [];
+
+        this.entries.forEach(entry => {
+            if (entry.plural) {
+                const pad = ' '.repeat(entry.childIndent);
+                replacements.push({
+                    ...entry.range,
+                    lines: categories.map(category =>
+                        `${pad}${category}: ${LocalizationFile.formatYamlScalar(this.getTranslation(results, entry, category), entry.style)}`)
+                });
+            } else if (entry.style === 'block') {
+                const pad = ' '.repeat(entry.blockIndent);
+                const value = this.getTranslation(results, entry);
+                // Folded blocks separate paragraphs with a blank line
+                const body = entry.indicator[0] === '|'
+                    ? value.split('\n')
+                    : value.split('\n').flatMap((paragraph, i) => (i > 0 ? ['', paragraph] : [paragraph]));
+                replacements.push({ start: entry.line + 1, end: entry.blockEnd + 1, lines: body.map(l => (l ? pad + l : '')) });
+            } else {
+                // Same line count, so scalars are replaced in place before the ranges move
+                const line = lines[entry.line];
+                const value = LocalizationFile.formatYamlScalar(this.getTranslation(results, entry), entry.style);
+                lines[entry.line] = line.slice(0, entry.span[0]) + value + line.slice(entry.span[1]);
+            }
+        });
+
+        if (this.yamlLocaleLine !== undefined) {
+            lines[this.yamlLocaleLine] = lines[this.yamlLocaleLine].replace(/^(\s*)(["']?)[^"':]+\2/, `$1$2${targetLang}$2`);
+        }
+        return LocalizationFile.replaceLines(lines, replacements).join(this.eol);
+    }
+}
+
+// Export for use in other modules
+window.LocalizationFile = LocalizationFile;
@@ -0,0 +1,179 @@
+/**
+ * Translation Memory
+ * Stores segment-level source/target pairs in IndexedDB and finds exact and fuzzy matches
+ */
+
+class TranslationMemory {
+    constructor() {
+        this.DB_NAME = 'llm_translator_tm';
+        this.STORE = 'segments';
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('pair', 'pair');
+                    store.createIndex('pairKey', ['pair', 'key'], { unique: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async withStore(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const result = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    normalize(text) {
+        return text.trim().replace(/\s+/g, ' ');
+    }
+
+    pairKey(sourceLang, targetLang) {
+        return `${sourceLang}>${targetLang}`;
+    }
+
+    // Breaks a translated text into segments. Paragraphs are stored separately when
+    // source and target have the same paragraph count; otherwise the pair is kept whole.
+    segment(source, target) {
+        const sourceParas = source.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+        const targetParas = target.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+        if (sourceParas.length > 1 && sourceParas.length === targetParas.length) {
+            return sourceParas.map((p, i) => ({ source: p, target: targetParas[i] }));
+        }
+        return [{ source: source.trim(), target: target.trim() }];
+    }
+
+    // pairs: [{ source, target }], e.g. one per translated chunk. variant identifies the settings
+    // the text was translated with, so that exact hits are only reused under the same settings.
+    async record(pairs, { sourceLang, targetLang, provider, model, variant = '' }) {
+        const pair = this.pairKey(sourceLang, targetLang);
+        const segments = pairs
+            .flatMap(p => this.segment(p.source, p.target))
+            .filter(s => s.source && s.target);
+        if (segments.length === 0) return 0;
+
+        const timestamp = new Date().toISOString();
+        await this.withStore('readwrite', (store) => {
+            const index = store.index('pairKey');
+            segments.forEach(segment => {
+                const key = this.normalize(segment.source);
+                const lookup = index.get([pair, key]);
+                lookup.onsuccess = () => {
+                    const existing = lookup.result;
+                    store.put({
+                        ...(existing || {}),
+                        pair,
+                        key,
+                        sourceLang,
+                        targetLang,
+                        source: segment.source,
+                        target: segment.target,
+                        provider,
+                        model,
+                        variant,
+                        timestamp
+                    });
+                };
+            });
+        });
+        return segments.length;
+    }
+
+    // Returns the stored translation for the text, or null. Multi-paragraph text is also
+    // a hit when every paragraph has an exact match. Segments recorded with another variant
+    // (entries from before variants were stored count as '') are not hits.
+    async lookupExact(text, sourceLang, targetLang, variant = '') {
+        const pair = this.pairKey(sourceLang, targetLang);
+        const matches = (segment) => segment && (segment.variant || '') === variant;
+        const whole = await this.withStore('readonly', store => store.index('pairKey').get([pair, this.normalize(text)]));
+        if (matches(whole)) return whole.target;
+
+        const parts = text.split(/(\n\s*\n)/);
+        if (parts.length < 3) return null;
+
+        let output = '';
+        for (let i = 0; i < parts.length; i++) {
+            if (i % 2 === 1 || !parts[i].trim()) {
+                output += parts[i];
+                continue;
+            }
+            const hit = await this.withStore('readonly', store => store.index('pairKey').get([pair, this.normalize(parts[i])]));
+            if (!matches(hit)) return null;
+            output += hit.target;
+        }
+        return output;
+    }
+
+    // Finds the most similar stored segments (by edit-distance score) for the paragraphs of the text
+    async findFuzzy(text, sourceLang, targetLang, { threshold = 0.75, limit = 3 } = {}) {
+        const pair = this.pairKey(sourceLang, targetLang);
+        const segments = await this.withStore('readonly', store => store.index('pair').getAll(pair));
+        if (!segments || segments.length === 0) return [];
+
+        const queries = text.split(/\n\s*\n/).map(p => this.normalize(p)).filter(Boolean).slice(0, 20);
+        const best = new Map();
+
+        queries.forEach(query => {
+            segments.forEach(segment => {
+                const lengthRatio = Math.min(query.length, segment.key.length) / Math.max(query.length, segment.key.length);
+                if (lengthRatio < threshold) return;
+
+                const score = this.similarity(query, segment.key, threshold);
+                if (score >= threshold && score < 1 && (best.get(segment.id)?.score || 0) < score) {
+                    best.set(segment.id, { source: segment.source, target: segment.target, score });
+                }
+            });
+        });
+
+        return [...best.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    // 1 - (Levenshtein distance / longer length); bails out early once below the threshold
+    similarity(a, b, threshold = 0) {
+        if (a === b) return 1;
+        const longest = Math.max(a.length, b.length);
+        if (longest === 0) return 1;
+        const maxDistance = Math.floor(longest * (1 - threshold));
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return 0;
+            previous = current;
+        }
+        return 1 - previous[b.length] / longest;
+    }
+
+    async count() {
+        return this.withStore('readonly', store => store.count());
+    }
+
+    async clear() {
+        return this.withStore('readwrite', store => store.clear());
+    }
+}
+
+// Export for use in other modules
+window.TranslationMemory = TranslationMemory;
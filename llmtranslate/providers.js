@@ -3,8 +3,86 @@
  * Handles API calls to different LLM providers with streaming support
  */
 
+// Error raised for a failed HTTP request; status, retryAfterMs and network (the server could
+// not be reached) drive retries and fallback
+class ProviderError extends Error {
+    constructor(message, { status = null, retryAfterMs = null, network = false } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.network = network;
+    }
+
+    // Runs fetch() and turns its own rejection (a TypeError when the server cannot be reached)
+    // into a network error; aborts pass through unchanged
+    static async fetch(url, init) {
+        try {
+            return await fetch(url, init);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new ProviderError(error.message, { network: true });
+        }
+    }
+}
+
 // Base Provider Class
+// Subclasses describe themselves with static metadata and are added with ProviderFactory.register():
+//   id, label          - settings key / dropdown value and display name
+//   description        - optional help text shown on the API settings card
+//   capabilities       - streaming: real translateStream(), reasoning: can stream reasoning text
+//                        through onReasoning, modelListing: fetchModels() queries the server,
+//                        prompt: false when the provider sends the text without the prompt templates
+//                        (and so ignores glossary, context and style controls)
+//   supportedLanguages - language tags the model handles (a base code such as 'pt' covers 'pt-BR'),
+//                        null for any language in LanguageRegistry
+//   configSchema       - [{ key, label, type, default, section, ... }] settings fields; type is
+//                        'text', 'password', 'number', 'range', 'checkbox' or 'select' (with options),
+//                        number/range take min/max/step, and section is 'api' (API tab), 'model'
+//                        (model tab) or 'advanced' (only sent when advanced settings are enabled)
+// plus static getDefaultModels() returning [{ value, label }], and static fetchModels(config) when
+// modelListing is set.
 class BaseProvider {
+    static id = null;
+    static label = null;
+    static description = '';
+    static capabilities = { streaming: false, reasoning: false, modelListing: false };
+    static supportedLanguages = null;
+    static configSchema = [];
+
+    static REASONING_EFFORTS = [
+        { value: '', label: '모델 기본값' },
+        { value: 'none', label: '끄기 (최소)' },
+        { value: 'low', label: '낮음' },
+        { value: 'medium', label: '보통' },
+        { value: 'high', label: '높음' }
+    ];
+
+    // Toolbar style controls; instruction is what the prompt asks for through {tone}
+    static STYLE_OPTIONS = {
+        formality: [
+            { value: '', label: '격식 자동' },
+            { value: 'formal', label: '격식체', instruction: 'Use a formal, polite register: 존댓말 (합쇼체/해요체) in Korean, です/ます forms in Japanese, Sie in German, vous in French.' },
+            { value: 'informal', label: '비격식체', instruction: 'Use a casual, informal register: 반말 in Korean, plain forms in Japanese, du in German, tu in French.' },
+            { value: 'honorific', label: '높임말', instruction: 'Use the most respectful register, with honorific and humble forms where the language has them: 하십시오체 and 높임말 in Korean, 尊敬語/謙譲語 in Japanese, the most formal address elsewhere.' }
+        ],
+        tone: [
+            { value: '', label: '어조 자동' },
+            { value: 'neutral', label: '중립적', instruction: 'Keep the tone neutral and objective.' },
+            { value: 'friendly', label: '친근한', instruction: 'Use a warm, friendly tone.' },
+            { value: 'professional', label: '전문적인', instruction: 'Use a precise, professional tone.' },
+            { value: 'humorous', label: '유머러스한', instruction: 'Keep the tone light and humorous, and carry jokes and wordplay over where possible.' },
+            { value: 'literary', label: '문학적인', instruction: 'Use an expressive, literary style that reads naturally as prose.' }
+        ],
+        audience: [
+            { value: '', label: '대상 자동' },
+            { value: 'general', label: '일반 독자', instruction: 'Write for a general audience and avoid jargon.' },
+            { value: 'children', label: '어린이', instruction: 'Write for children, with simple words and short sentences.' },
+            { value: 'experts', label: '전문가', instruction: 'Write for domain experts; keep technical terms precise and do not simplify.' },
+            { value: 'customers', label: '고객', instruction: 'Write for customers; be clear, courteous and helpful.' }
+        ]
+    };
+
     constructor(config) {
         this.config = config;
     }
@@ -21,6 +99,7 @@ class BaseProvider {
             const result = await this.translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options);
             if (callbacks.onContent) callbacks.onContent(result);
             if (callbacks.onDone) callbacks.onDone(result);
+            return result;
         } catch (error) {
             if (callbacks.onError) callbacks.onError(error);
             throw error;
@@ -31,147 +110,317 @@ class BaseProvider {
         throw new Error('fetchModels method must be implemented');
     }
 
+    // Every request of translate() and translateStream() goes through here, so that custom
+    // endpoints can put their own auth and headers on the request a dialect builds
+    sendRequest(url, init) {
+        return ProviderError.fetch(url, init);
+    }
+
+    // Throws when a setting needed for a request is missing
+    validateConfig() {}
+
+    // Whether a streamed translation will send reasoning through onReasoning; providers narrow
+    // the class capability down by model and settings
+    reasoningRequested() {
+        return this.constructor.capabilities.reasoning;
+    }
+
+    // Reasoning deltas of OpenAI-style streams: `reasoning_content` from DeepSeek, vLLM and
+    // llama.cpp, `reasoning` from OpenRouter and newer vLLM builds
+    readReasoningDelta(delta) {
+        return delta?.reasoning_content || delta?.reasoning || '';
+    }
+
+    httpError(response, message) {
+        return new ProviderError(message, {
+            status: response.status,
+            retryAfterMs: this.parseRetryAfter(response.headers)
+        });
+    }
+
+    // Retry-After is either delay seconds or an HTTP date; OpenAI also sends retry-after-ms
+    parseRetryAfter(headers) {
+        if (!headers) return null;
+        const ms = parseFloat(headers.get('retry-after-ms'));
+        if (!isNaN(ms)) return ms;
+
+        const value = headers.get('retry-after');
+        if (!value) return null;
+        const seconds = parseFloat(value);
+        if (!isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    reportUsage(options, usage) {
+        if (usage && options.onUsage) {
+            options.onUsage(usage);
+        }
+    }
+
+    // OpenAI-style usage block, also sent by llama.cpp and most OpenAI compatible servers
+    readOpenAIUsage(usage) {
+        if (!usage) return null;
+        return {
+            inputTokens: usage.prompt_tokens || 0,
+            outputTokens: usage.completion_tokens || 0,
+            thinkingTokens: usage.completion_tokens_details?.reasoning_tokens || 0
+        };
+    }
+
     static getDefaultModels() {
         return [];
     }
 
-    buildPrompt(text, sourceLang, targetLang, userPrompt) {
-        const sourceLangName = this.getLanguageName(sourceLang);
-        const targetLangName = this.getLanguageName(targetLang);
-        
-        return userPrompt
-            .replace(/{source_lang}/g, sourceLangName)
-            .replace(/{target_lang}/g, targetLangName)
-            .replace(/{text}/g, text);
+    // llama.cpp /completion reports counts on the final (stop) response
+    readCompletionUsage(data) {
+        const inputTokens = data.tokens_evaluated ?? data.timings?.prompt_n;
+        const outputTokens = data.tokens_predicted ?? data.timings?.predicted_n;
+        if (inputTokens === undefined && outputTokens === undefined) return null;
+        return {
+            inputTokens: inputTokens || 0,
+            outputTokens: outputTokens || 0,
+            thinkingTokens: 0
+        };
     }
 
-    getLanguageName(code) {
-        const languages = {
-            'auto': 'auto-detected language',
-            'ko': 'Korean',
-            'en': 'English',
-            'ja': 'Japanese',
-            'zh': 'Chinese',
-            'es': 'Spanish',
-            'fr': 'French',
-            'de': 'German',
-            'ru': 'Russian',
-            'pt': 'Portuguese',
-            'it': 'Italian',
-            'vi': 'Vietnamese',
-            'th': 'Thai',
-            'id': 'Indonesian',
-            'ar': 'Arabic'
+    // options.previousTranslation: translation of the preceding chunk when a document is split
+    // options.glossary: [{ source, target }] terms found in the text, injected via {glossary}
+    // options.tmExamples: [{ source, target }] fuzzy translation memory matches, injected via {tm_examples}
+    // options.style: { formality, tone, audience } values of STYLE_OPTIONS, injected via {tone}
+    // options.context: notes about the text (genre, speakers, audience) and options.references:
+    //   [{ source, target }] recent translations, injected together via {context}
+    // options.variables: { name: value } user-defined template variables
+    // options.partialTranslation: output kept from an interrupted run, which the model continues
+    // options.signal: AbortSignal passed to fetch so that stopping cancels the request
+    // options.onUsage({ inputTokens, outputTokens, thinkingTokens }): token counts reported by the API
+    //   once the request completes; outputTokens includes thinking, which is billed as output
+    buildPrompt(text, sourceLang, targetLang, userPrompt, options = {}) {
+        const variables = this.getPromptVariables(text, sourceLang, targetLang, options);
+
+        // Prompts saved before these placeholders existed still get the blocks, appended at the end
+        let source = userPrompt || '';
+        const template = new PromptTemplate(source);
+        if (variables.glossary && !template.uses('glossary')) {
+            source += '\n{glossary}';
+        }
+        if (variables.tm_examples && !template.uses('tm_examples')) {
+            source += '\n{tm_examples}';
+        }
+        if (variables.context && !template.uses('context')) {
+            source += '\n{context}';
+        }
+        if (variables.tone && !template.uses('tone')) {
+            source += '\n{tone}';
+        }
+
+        let prompt = new PromptTemplate(source).render(variables);
+
+        if (options.partialTranslation) {
+            prompt += `
+
+The translation of this text was interrupted. This is the part already translated:
+
+${options.partialTranslation}
+
+Continue the translation from exactly where it stops. Output only the remaining part, without repeating the part above.`;
+        }
+
+        if (!options.previousTranslation) {
+            return prompt;
+        }
+
+        return `The preceding part of this document was translated as follows. Use it only as context for consistent terminology and tone; do not translate or repeat it.
+
+${options.previousTranslation}
+
+${prompt}`;
+    }
+
+    // User-defined variables cannot shadow the built-in ones
+    getPromptVariables(text, sourceLang, targetLang, options = {}) {
+        return {
+            ...options.variables,
+            source_lang: this.getLanguageName(sourceLang),
+            target_lang: this.getLanguageName(targetLang),
+            source_lang_code: sourceLang,
+            target_lang_code: targetLang,
+            text,
+            glossary: this.formatGlossary(options.glossary),
+            tm_examples: this.formatTmExamples(options.tmExamples),
+            tone: this.formatStyle(options.style),
+            context: this.formatContext(options.context, options.references),
+            date: PromptTemplate.today()
         };
-        return languages[code] || code;
+    }
+
+    formatGlossary(terms) {
+        if (!terms || terms.length === 0) return '';
+        const lines = terms.map(t => `- ${t.source} → ${t.target}`).join('\n');
+        return `\nAlways translate these terms exactly as given in this glossary:\n${lines}\n`;
+    }
+
+    formatTmExamples(examples) {
+        if (!examples || examples.length === 0) return '';
+        const pairs = examples.map(e => `Source: ${e.source}\nTranslation: ${e.target}`).join('\n\n');
+        return `\nSimilar sentences were translated like this before. Use them as reference for wording and style:\n${pairs}\n`;
+    }
+
+    formatStyle(style) {
+        if (!style) return '';
+        const instructions = Object.entries(BaseProvider.STYLE_OPTIONS)
+            .map(([key, choices]) => choices.find(c => c.value && c.value === style[key]))
+            .filter(Boolean)
+            .map(choice => `- ${choice.instruction}`);
+        if (instructions.length === 0) return '';
+        return `\nStyle of the translation:\n${instructions.join('\n')}\n`;
+    }
+
+    formatContext(notes, references) {
+        let block = '';
+        if (notes && notes.trim()) {
+            block += `\nBackground for this translation. Follow it for register and word choice, but do not translate it:\n${notes.trim()}\n`;
+        }
+        if (references && references.length > 0) {
+            const pairs = references.map(r => `Source: ${r.source}\nTranslation: ${r.target}`).join('\n\n');
+            block += `\nRecent translations from the same work. Keep names, terms and tone consistent with them:\n${pairs}\n`;
+        }
+        return block;
+    }
+
+    getLanguageName(code) {
+        return LanguageRegistry.getName(code);
     }
 }
 
 // OpenAI Provider
+// Chat Completions only reports the number of reasoning tokens, never the reasoning text
 class OpenAIProvider extends BaseProvider {
+    static id = 'openai';
+    static label = 'OpenAI';
+    static capabilities = { streaming: true, reasoning: false, modelListing: true };
+    static configSchema = [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'sk-...', section: 'api' },
+        { key: 'baseUrl', label: 'Base URL (선택)', type: 'text', default: '', placeholder: 'https://api.openai.com/v1', section: 'api' },
+        {
+            key: 'reasoningEffort', label: '추론 강도', type: 'select', default: '', options: BaseProvider.REASONING_EFFORTS, section: 'model',
+            help: 'o 시리즈와 GPT-5 모델에만 적용됩니다. OpenAI API는 추론 과정을 보내주지 않아 토큰 수만 표시됩니다.'
+        },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 2, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 1.0, min: 0, max: 1, step: 0.05, section: 'advanced' },
+        { key: 'presence_penalty', label: 'Presence Penalty', type: 'range', default: 0.0, min: -2, max: 2, step: 0.1, section: 'advanced' },
+        { key: 'frequency_penalty', label: 'Frequency Penalty', type: 'range', default: 0.0, min: -2, max: 2, step: 0.1, section: 'advanced' }
+    ];
+
+    // o-series and GPT-5 models take reasoning_effort and reject the sampling parameters
+    static isReasoningModel(model) {
+        return /^(o\d|gpt-5)/.test(model || '');
+    }
+
+    buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, stream) {
+        const model = this.config.model || 'gpt-4o-mini';
+        const body = {
+            model: model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
+            ]
+        };
+
+        if (OpenAIProvider.isReasoningModel(model)) {
+            const effort = this.config.reasoningEffort;
+            if (effort) {
+                // Reasoning cannot be turned off; GPT-5 goes down to 'minimal', o-series to 'low'
+                body.reasoning_effort = effort === 'none' ? (model.startsWith('gpt-5') ? 'minimal' : 'low') : effort;
+            }
+        } else {
+            body.temperature = this.config.temperature;
+            body.top_p = this.config.top_p;
+            body.presence_penalty = this.config.presence_penalty;
+            body.frequency_penalty = this.config.frequency_penalty;
+        }
+
+        if (stream) {
+            body.stream = true;
+            // The last chunk then carries the token counts
+            body.stream_options = { include_usage: true };
+        }
+        return body;
+    }
+
     async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
         const apiKey = this.config.apiKey;
         const baseUrl = this.config.baseUrl || 'https://api.openai.com/v1';
-        const model = this.config.model || 'gpt-4o-mini';
 
         if (!apiKey) {
             throw new Error('OpenAI API Key가 설정되지 않았습니다.');
         }
 
-        const response = await fetch(`${baseUrl}/chat/completions`, {
+        const response = await this.sendRequest(`${baseUrl}/chat/completions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${apiKey}`
             },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
-                ],
-                temperature: this.config.temperature,
-                top_p: this.config.top_p,
-                presence_penalty: this.config.presence_penalty,
-                frequency_penalty: this.config.frequency_penalty
-            })
+            body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, false)),
+            signal: options.signal
         });
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `OpenAI API 오류: ${response.status}`);
+            throw this.httpError(response, error.error?.message || `OpenAI API 오류: ${response.status}`);
         }
 
         const data = await response.json();
+        this.reportUsage(options, this.readOpenAIUsage(data.usage));
         return data.choices[0].message.content.trim();
     }
 
-    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks) {
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
         const apiKey = this.config.apiKey;
         const baseUrl = this.config.baseUrl || 'https://api.openai.com/v1';
-        const model = this.config.model || 'gpt-4o-mini';
 
         if (!apiKey) {
             throw new Error('OpenAI API Key가 설정되지 않았습니다.');
         }
 
         try {
-            const response = await fetch(`${baseUrl}/chat/completions`, {
+            const response = await this.sendRequest(`${baseUrl}/chat/completions`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${apiKey}`
                 },
-                body: JSON.stringify({
-                    model: model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
-                    ],
-                    temperature: this.config.temperature,
-                    top_p: this.config.top_p,
-                    presence_penalty: this.config.presence_penalty,
-                    frequency_penalty: this.config.frequency_penalty,
-                    stream: true
-                })
+                body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, true)),
+                signal: options.signal
             });
 
             if (!response.ok) {
                 const error = await response.json().catch(() => ({}));
-                throw new Error(error.error?.message || `OpenAI API 오류: ${response.status}`);
+                throw this.httpError(response, error.error?.message || `OpenAI API 오류: ${response.status}`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
             let fullContent = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            const delta = parsed.choices?.[0]?.delta?.content;
-                            if (delta) {
-                                fullContent += delta;
-                                if (callbacks.onContent) callbacks.onContent(fullContent);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
-                    }
+            let fullReasoning = '';
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response)) {
+                const delta = json.choices?.[0]?.delta;
+                // Only gateways configured as the Base URL send reasoning text
+                const reasoning = this.readReasoningDelta(delta);
+                if (reasoning) {
+                    fullReasoning += reasoning;
+                    if (callbacks.onReasoning) callbacks.onReasoning(fullReasoning);
+                }
+                if (delta?.content) {
+                    fullContent += delta.content;
+                    if (callbacks.onContent) callbacks.onContent(fullContent);
                 }
+                if (json.usage) usage = this.readOpenAIUsage(json.usage);
             }
 
-            if (callbacks.onDone) callbacks.onDone(fullContent.trim());
+            this.reportUsage(options, usage);
+            if (callbacks.onDone) callbacks.onDone(fullContent.trim(), fullReasoning);
             return fullContent.trim();
         } catch (error) {
             if (callbacks.onError) callbacks.onError(error);
@@ -201,7 +450,7 @@ class OpenAIProvider extends BaseProvider {
 
             const data = await response.json();
             const chatModels = data.data
-                .filter(m => m.id.includes('gpt') && !m.id.includes('instruct') && !m.id.includes('realtime') && !m.id.includes('audio'))
+                .filter(m => (m.id.includes('gpt') || OpenAIProvider.isReasoningModel(m.id)) && !m.id.includes('instruct') && !m.id.includes('realtime') && !m.id.includes('audio'))
                 .sort((a, b) => b.id.localeCompare(a.id))
                 .map(m => ({ value: m.id, label: m.id }));
 
@@ -225,134 +474,161 @@ class OpenAIProvider extends BaseProvider {
 
 // Claude Provider
 class ClaudeProvider extends BaseProvider {
-    async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
-        const apiKey = this.config.apiKey;
+    static id = 'claude';
+    static label = 'Claude';
+    // There is no models endpoint reachable from the browser
+    static capabilities = { streaming: true, reasoning: true, modelListing: false };
+    static configSchema = [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'sk-ant-...', section: 'api' },
+        {
+            key: 'thinking', label: '확장 사고 (Extended Thinking) 사용', type: 'checkbox', default: false, section: 'model',
+            help: 'Claude 3.7 Sonnet 이후 모델에서만 요청하며, 지원하지 않는 모델에는 보내지 않습니다. 사고 중에는 Temperature와 Top K 설정이 적용되지 않습니다.'
+        },
+        { key: 'thinkingBudget', label: '사고 예산 (토큰, 최소 1024)', type: 'number', default: 8000, min: 1024, step: 1024, section: 'model' },
+        {
+            key: 'maxTokens', label: '최대 출력 토큰', type: 'number', default: 8192, min: 1, step: 1024, section: 'model',
+            help: '사고 토큰도 최대 출력 토큰에 포함되므로, 최대 출력 토큰이 사고 예산 + 1024보다 작으면 답변할 여유가 생기도록 늘려서 요청합니다.'
+        },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 1, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 1.0, min: 0, max: 1, step: 0.05, section: 'advanced' },
+        { key: 'top_k', label: 'Top K', type: 'number', default: 0, min: 0, placeholder: '0 (disabled)', section: 'advanced' }
+    ];
+
+    // Extended thinking arrived with Claude 3.7; older models reject the `thinking` parameter
+    static supportsThinking(model) {
+        return !/^claude-(instant|2|3-(opus|sonnet|haiku)|3-5-)/.test(model || '');
+    }
+
+    usesThinking() {
         const model = this.config.model || 'claude-3-5-sonnet-20241022';
+        return !!this.config.thinking && ClaudeProvider.supportsThinking(model);
+    }
 
-        if (!apiKey) {
+    reasoningRequested() {
+        return this.usesThinking();
+    }
+
+    // Shared by translate() and translateStream() so both send the same thinking settings
+    buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, stream) {
+        const maxTokens = this.config.maxTokens || 8192;
+        const body = {
+            model: this.config.model || 'claude-3-5-sonnet-20241022',
+            max_tokens: maxTokens,
+            system: systemPrompt,
+            messages: [
+                { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
+            ],
+            temperature: this.config.temperature,
+            top_p: this.config.top_p,
+            top_k: this.config.top_k
+        };
+
+        if (this.usesThinking()) {
+            // The API needs a budget of at least 1024 tokens below max_tokens, which leaves room
+            // for the answer; temperature and top_k cannot be changed while thinking
+            const budget = Math.max(1024, this.config.thinkingBudget || 8000);
+            body.thinking = { type: 'enabled', budget_tokens: budget };
+            body.max_tokens = Math.max(maxTokens, budget + 1024);
+            delete body.temperature;
+            delete body.top_k;
+            if (body.top_p !== undefined && body.top_p < 0.95) delete body.top_p;
+        }
+
+        if (stream) body.stream = true;
+        return body;
+    }
+
+    validateConfig() {
+        if (!this.config.apiKey) {
             throw new Error('Claude API Key가 설정되지 않았습니다.');
         }
+    }
 
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
+    // Base URL is only set by custom endpoints that speak the Messages API
+    getMessagesUrl() {
+        return `${this.config.baseUrl || 'https://api.anthropic.com/v1'}/messages`;
+    }
+
+    async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
+        this.validateConfig();
+
+        const response = await this.sendRequest(this.getMessagesUrl(), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'x-api-key': apiKey,
+                'x-api-key': this.config.apiKey,
                 'anthropic-version': '2023-06-01',
                 'anthropic-dangerous-direct-browser-access': 'true'
             },
-            body: JSON.stringify({
-                model: model,
-                max_tokens: 4096,
-                system: systemPrompt,
-                messages: [
-                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
-                ],
-                temperature: this.config.temperature,
-                top_p: this.config.top_p,
-                top_k: this.config.top_k
-            })
+            body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, false)),
+            signal: options.signal
         });
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `Claude API 오류: ${response.status}`);
+            throw this.httpError(response, error.error?.message || `Claude API 오류: ${response.status}`);
         }
 
         const data = await response.json();
-        return data.content[0].text.trim();
+        this.reportUsage(options, this.readClaudeUsage(data.usage));
+        // With thinking enabled the answer follows one or more thinking blocks
+        return data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('')
+            .trim();
     }
 
-    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks) {
-        const apiKey = this.config.apiKey;
-        const model = this.config.model || 'claude-3-5-sonnet-20241022';
-
-        if (!apiKey) {
-            throw new Error('Claude API Key가 설정되지 않았습니다.');
-        }
-
-        // Always enable extended thinking for all Claude models
-        const requestBody = {
-            model: model,
-            max_tokens: 16000,
-            system: systemPrompt,
-            messages: [
-                { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
-            ],
-            stream: true,
-            thinking: {
-                type: 'enabled',
-                budget_tokens: 8000
-            },
-            temperature: this.config.temperature,
-            top_p: this.config.top_p,
-            top_k: this.config.top_k
-        };
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
+        this.validateConfig();
 
         try {
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
+            const response = await this.sendRequest(this.getMessagesUrl(), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'x-api-key': apiKey,
+                    'x-api-key': this.config.apiKey,
                     'anthropic-version': '2023-06-01',
                     'anthropic-dangerous-direct-browser-access': 'true'
                 },
-                body: JSON.stringify(requestBody)
+                body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, true)),
+                signal: options.signal
             });
 
             if (!response.ok) {
                 const error = await response.json().catch(() => ({}));
-                throw new Error(error.error?.message || `Claude API 오류: ${response.status}`);
+                throw this.httpError(response, error.error?.message || `Claude API 오류: ${response.status}`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
             let fullContent = '';
             let fullThinking = '';
-            let currentBlockType = null;
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (!data || data === '[DONE]') continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            
-                            // Handle content block start
-                            if (parsed.type === 'content_block_start') {
-                                currentBlockType = parsed.content_block?.type;
-                            }
-                            
-                            // Handle content block delta
-                            if (parsed.type === 'content_block_delta') {
-                                const delta = parsed.delta;
-                                
-                                if (delta?.type === 'thinking_delta' && delta.thinking) {
-                                    fullThinking += delta.thinking;
-                                    if (callbacks.onReasoning) callbacks.onReasoning(fullThinking);
-                                }
-                                
-                                if (delta?.type === 'text_delta' && delta.text) {
-                                    fullContent += delta.text;
-                                    if (callbacks.onContent) callbacks.onContent(fullContent);
-                                }
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response)) {
+                // Input tokens arrive with message_start, the output total with message_delta
+                if (json.type === 'message_start') {
+                    usage = this.readClaudeUsage(json.message?.usage);
+                } else if (json.type === 'message_delta' && json.usage && usage) {
+                    usage.outputTokens = json.usage.output_tokens || usage.outputTokens;
+                }
+
+                // Handle content block delta
+                if (json.type === 'content_block_delta') {
+                    const delta = json.delta;
+
+                    if (delta?.type === 'thinking_delta' && delta.thinking) {
+                        fullThinking += delta.thinking;
+                        if (callbacks.onReasoning) callbacks.onReasoning(fullThinking);
+                    }
+
+                    if (delta?.type === 'text_delta' && delta.text) {
+                        fullContent += delta.text;
+                        if (callbacks.onContent) callbacks.onContent(fullContent);
                     }
                 }
             }
 
+            this.reportUsage(options, usage);
             if (callbacks.onDone) callbacks.onDone(fullContent.trim(), fullThinking);
             return fullContent.trim();
         } catch (error) {
@@ -361,6 +637,16 @@ class ClaudeProvider extends BaseProvider {
         }
     }
 
+    // Claude bills thinking as output tokens and does not report it separately
+    readClaudeUsage(usage) {
+        if (!usage) return null;
+        return {
+            inputTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+            outputTokens: usage.output_tokens || 0,
+            thinkingTokens: 0
+        };
+    }
+
     static async fetchModels(config) {
         // Claude doesn't have a public models endpoint accessible from browser
         // Return default models
@@ -384,6 +670,68 @@ class ClaudeProvider extends BaseProvider {
 
 // Gemini Provider
 class GeminiProvider extends BaseProvider {
+    static id = 'gemini';
+    static label = 'Gemini';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+    static configSchema = [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'AIza...', section: 'api' },
+        {
+            key: 'reasoningEffort', label: '추론 강도', type: 'select', default: '', options: BaseProvider.REASONING_EFFORTS, section: 'model',
+            help: 'Gemini 2.5 이후 모델에만 적용됩니다.'
+        },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 2, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 0.95, min: 0, max: 1, step: 0.05, section: 'advanced' },
+        { key: 'top_k', label: 'Top K', type: 'number', default: 40, min: 0, section: 'advanced' }
+    ];
+
+    // Gemini 2.5 and later think; thought summaries are only returned with includeThoughts
+    static supportsThinking(model) {
+        return /^gemini-(2\.5|[3-9])/.test(model || '');
+    }
+
+    reasoningRequested() {
+        return GeminiProvider.supportsThinking(this.config.model || 'gemini-2.0-flash-exp') && this.config.reasoningEffort !== 'none';
+    }
+
+    // Gemini 2.5 takes a token budget, Gemini 3 a thinking level
+    buildThinkingConfig(model) {
+        if (!GeminiProvider.supportsThinking(model)) return undefined;
+        const effort = this.config.reasoningEffort;
+        const usesBudget = model.startsWith('gemini-2.5');
+
+        if (effort === 'none') {
+            // Pro models cannot turn thinking off; 128 tokens is their minimum budget
+            if (!usesBudget) return { thinkingLevel: 'low' };
+            return { thinkingBudget: model.includes('pro') ? 128 : 0 };
+        }
+
+        const thinkingConfig = { includeThoughts: true };
+        if (effort && usesBudget) {
+            thinkingConfig.thinkingBudget = { low: 1024, medium: 8192, high: 24576 }[effort];
+        } else if (effort) {
+            thinkingConfig.thinkingLevel = effort === 'low' ? 'low' : 'high';
+        }
+        return thinkingConfig;
+    }
+
+    buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options) {
+        const model = this.config.model || 'gemini-2.0-flash-exp';
+        return {
+            system_instruction: {
+                parts: [{ text: systemPrompt }]
+            },
+            contents: [{
+                parts: [{ text: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }]
+            }],
+            generationConfig: {
+                temperature: this.config.temperature,
+                topP: this.config.top_p,
+                topK: this.config.top_k,
+                thinkingConfig: this.buildThinkingConfig(model)
+            }
+        };
+    }
+
     async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
         const apiKey = this.config.apiKey;
         const model = this.config.model || 'gemini-2.0-flash-exp';
@@ -392,37 +740,31 @@ class GeminiProvider extends BaseProvider {
             throw new Error('Gemini API Key가 설정되지 않았습니다.');
         }
 
-        const response = await fetch(
+        const response = await this.sendRequest(
             `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
             {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    system_instruction: {
-                        parts: [{ text: systemPrompt }]
-                    },
-                    contents: [{
-                        parts: [{ text: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }]
-                    }],
-                    generationConfig: {
-                        temperature: this.config.temperature,
-                        topP: this.config.top_p,
-                        topK: this.config.top_k
-                    }
-                }),
+                body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options)),
                 signal: options.signal
             }
         );
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `Gemini API 오류: ${response.status}`);
+            throw this.httpError(response, error.error?.message || `Gemini API 오류: ${response.status}`);
         }
 
         const data = await response.json();
-        return data.candidates[0].content.parts[0].text.trim();
+        this.reportUsage(options, this.readGeminiUsage(data.usageMetadata));
+        // Thought summaries come as separate parts flagged with `thought`
+        return data.candidates[0].content.parts
+            .filter(part => !part.thought)
+            .map(part => part.text || '')
+            .join('')
+            .trim();
     }
 
     async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
@@ -434,66 +776,44 @@ class GeminiProvider extends BaseProvider {
         }
 
         try {
-            const response = await fetch(
+            const response = await this.sendRequest(
                 `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?key=${apiKey}&alt=sse`,
                 {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
                     },
-                    body: JSON.stringify({
-                        system_instruction: {
-                            parts: [{ text: systemPrompt }]
-                        },
-                        contents: [{
-                            parts: [{ text: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }]
-                        }],
-                        generationConfig: {
-                            temperature: this.config.temperature,
-                            topP: this.config.top_p,
-                            topK: this.config.top_k
-                        }
-                    }),
+                    body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options)),
                     signal: options.signal
                 }
             );
 
             if (!response.ok) {
                 const error = await response.json().catch(() => ({}));
-                throw new Error(error.error?.message || `Gemini API 오류: ${response.status}`);
+                throw this.httpError(response, error.error?.message || `Gemini API 오류: ${response.status}`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
             let fullContent = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (!data) continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            const text = parsed.candidates?.[0]?.content?.parts?.[0]?.text;
-                            if (text) {
-                                fullContent += text;
-                                if (callbacks.onContent) callbacks.onContent(fullContent);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
+            let fullThinking = '';
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response)) {
+                for (const part of json.candidates?.[0]?.content?.parts || []) {
+                    if (!part.text) continue;
+                    if (part.thought) {
+                        fullThinking += part.text;
+                        if (callbacks.onReasoning) callbacks.onReasoning(fullThinking);
+                    } else {
+                        fullContent += part.text;
+                        if (callbacks.onContent) callbacks.onContent(fullContent);
                     }
                 }
+                // Every chunk carries running totals; the last one is final
+                if (json.usageMetadata) usage = this.readGeminiUsage(json.usageMetadata);
             }
 
-            if (callbacks.onDone) callbacks.onDone(fullContent.trim());
+            this.reportUsage(options, usage);
+            if (callbacks.onDone) callbacks.onDone(fullContent.trim(), fullThinking);
             return fullContent.trim();
         } catch (error) {
             if (callbacks.onError) callbacks.onError(error);
@@ -501,6 +821,17 @@ class GeminiProvider extends BaseProvider {
         }
     }
 
+    // candidatesTokenCount excludes thoughts, which are billed as output as well
+    readGeminiUsage(metadata) {
+        if (!metadata) return null;
+        const thinkingTokens = metadata.thoughtsTokenCount || 0;
+        return {
+            inputTokens: metadata.promptTokenCount || 0,
+            outputTokens: (metadata.candidatesTokenCount || 0) + thinkingTokens,
+            thinkingTokens
+        };
+    }
+
     static async fetchModels(config) {
         const apiKey = config.apiKey;
 
@@ -549,11 +880,39 @@ class GeminiProvider extends BaseProvider {
 
 // Ollama Provider
 class OllamaProvider extends BaseProvider {
+    static id = 'ollama';
+    static label = 'Ollama';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+    static configSchema = [
+        { key: 'baseUrl', label: 'Server URL', type: 'text', default: 'http://localhost:11434', placeholder: 'http://localhost:11434', section: 'api' },
+        {
+            key: 'reasoningEffort', label: '추론 강도', type: 'select', default: '', options: BaseProvider.REASONING_EFFORTS, section: 'model',
+            help: '사고 모델에 think 옵션으로 전달됩니다.'
+        },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 1, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 0.9, min: 0, max: 1, step: 0.05, section: 'advanced' },
+        { key: 'top_k', label: 'Top K', type: 'number', default: 40, min: 0, section: 'advanced' },
+        { key: 'repeat_penalty', label: 'Repeat Penalty', type: 'range', default: 1.1, min: 1, max: 2, step: 0.05, section: 'advanced' }
+    ];
+
+    reasoningRequested() {
+        const effort = this.config.reasoningEffort;
+        return !!effort && effort !== 'none';
+    }
+
+    // `think` is true/false, except for gpt-oss which only accepts a level; unset keeps the model default
+    buildThinkParam(model) {
+        const effort = this.config.reasoningEffort;
+        if (!effort) return undefined;
+        if (effort === 'none') return false;
+        return model.startsWith('gpt-oss') ? effort : true;
+    }
+
     async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
         const baseUrl = this.config.baseUrl || 'http://localhost:11434';
         const model = this.config.model || 'llama3.2';
 
-        const response = await fetch(`${baseUrl}/api/chat`, {
+        const response = await this.sendRequest(`${baseUrl}/api/chat`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -562,33 +921,36 @@ class OllamaProvider extends BaseProvider {
                 model: model,
                 messages: [
                     { role: 'system', content: systemPrompt },
-                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
+                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
                 ],
                 stream: false,
+                think: this.buildThinkParam(model),
                 options: {
                     temperature: this.config.temperature,
                     top_p: this.config.top_p,
                     top_k: this.config.top_k,
-                    repeat_penalty: this.config.repeat_penalty
+                    repeat_penalty: this.config.repeat_penalty,
+                    num_predict: this.config.maxTokens
                 }
             }),
             signal: options.signal
         });
 
         if (!response.ok) {
-            throw new Error(`Ollama 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
+            throw this.httpError(response, `Ollama 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
         }
 
         const data = await response.json();
+        this.reportUsage(options, this.readOllamaUsage(data));
         return data.message.content.trim();
     }
 
-    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks) {
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
         const baseUrl = this.config.baseUrl || 'http://localhost:11434';
         const model = this.config.model || 'llama3.2';
 
         try {
-            const response = await fetch(`${baseUrl}/api/chat`, {
+            const response = await this.sendRequest(`${baseUrl}/api/chat`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -597,51 +959,46 @@ class OllamaProvider extends BaseProvider {
                     model: model,
                     messages: [
                         { role: 'system', content: systemPrompt },
-                        { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
+                        { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
                     ],
                     stream: true,
+                    think: this.buildThinkParam(model),
                     options: {
                         temperature: this.config.temperature,
                         top_p: this.config.top_p,
                         top_k: this.config.top_k,
-                        repeat_penalty: this.config.repeat_penalty
+                        repeat_penalty: this.config.repeat_penalty,
+                        num_predict: this.config.maxTokens
                     }
                 }),
                 signal: options.signal
             });
 
             if (!response.ok) {
-                throw new Error(`Ollama 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
+                throw this.httpError(response, `Ollama 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
             let fullContent = '';
+            let fullThinking = '';
+            let usage = null;
 
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (!line.trim()) continue;
-
-                    try {
-                        const parsed = JSON.parse(line);
-                        const content = parsed.message?.content;
-                        if (content) {
-                            fullContent += content;
-                            if (callbacks.onContent) callbacks.onContent(fullContent);
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON
-                    }
+            for await (const { json } of StreamParser.parse(response, { format: 'ndjson' })) {
+                const thinking = json.message?.thinking;
+                if (thinking) {
+                    fullThinking += thinking;
+                    if (callbacks.onReasoning) callbacks.onReasoning(fullThinking);
                 }
+                const content = json.message?.content;
+                if (content) {
+                    fullContent += content;
+                    if (callbacks.onContent) callbacks.onContent(fullContent);
+                }
+                // The final `done` line carries the token counts
+                if (json.done) usage = this.readOllamaUsage(json);
             }
 
-            if (callbacks.onDone) callbacks.onDone(fullContent.trim());
+            this.reportUsage(options, usage);
+            if (callbacks.onDone) callbacks.onDone(fullContent.trim(), fullThinking);
             return fullContent.trim();
         } catch (error) {
             if (callbacks.onError) callbacks.onError(error);
@@ -649,6 +1006,15 @@ class OllamaProvider extends BaseProvider {
         }
     }
 
+    readOllamaUsage(data) {
+        if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+        return {
+            inputTokens: data.prompt_eval_count || 0,
+            outputTokens: data.eval_count || 0,
+            thinkingTokens: 0
+        };
+    }
+
     static async fetchModels(config) {
         const baseUrl = config.baseUrl || 'http://localhost:11434';
 
@@ -686,11 +1052,23 @@ class OllamaProvider extends BaseProvider {
 }
 
 // llama.cpp Provider
+// Reasoning models served by llama.cpp may think at any time; there is no switch to ask
 class LlamaCppProvider extends BaseProvider {
+    static id = 'llamacpp';
+    static label = 'llama.cpp';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+    static configSchema = [
+        { key: 'baseUrl', label: 'Server URL', type: 'text', default: 'http://localhost:8080', placeholder: 'http://localhost:8080', section: 'api' },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 1, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 0.95, min: 0, max: 1, step: 0.05, section: 'advanced' },
+        { key: 'top_k', label: 'Top K', type: 'number', default: 40, min: 0, section: 'advanced' },
+        { key: 'repeat_penalty', label: 'Repeat Penalty', type: 'range', default: 1.1, min: 1, max: 2, step: 0.05, section: 'advanced' }
+    ];
+
     async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
         const baseUrl = this.config.baseUrl || 'http://localhost:8080';
 
-        const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+        const response = await this.sendRequest(`${baseUrl}/v1/chat/completions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -698,20 +1076,22 @@ class LlamaCppProvider extends BaseProvider {
             body: JSON.stringify({
                 messages: [
                     { role: 'system', content: systemPrompt },
-                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
+                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
                 ],
                 temperature: this.config.temperature,
                 top_p: this.config.top_p,
                 top_k: this.config.top_k,
                 repeat_penalty: this.config.repeat_penalty
-            })
+            }),
+            signal: options.signal
         });
 
         if (!response.ok) {
-            throw new Error(`llama.cpp 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
+            throw this.httpError(response, `llama.cpp 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
         }
 
         const data = await response.json();
+        this.reportUsage(options, this.readOpenAIUsage(data.usage));
         const rawContent = data.choices[0].message.content;
         
         // Filter out thinking blocks
@@ -725,11 +1105,11 @@ class LlamaCppProvider extends BaseProvider {
         return output;
     }
 
-    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks) {
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
         const baseUrl = this.config.baseUrl || 'http://localhost:8080';
 
         try {
-            const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+            const response = await this.sendRequest(`${baseUrl}/v1/chat/completions`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -737,86 +1117,69 @@ class LlamaCppProvider extends BaseProvider {
                 body: JSON.stringify({
                 messages: [
                     { role: 'system', content: systemPrompt },
-                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
+                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
                 ],
                 temperature: this.config.temperature,
                 top_p: this.config.top_p,
                 top_k: this.config.top_k,
                 repeat_penalty: this.config.repeat_penalty,
                 stream: true
-            })
+            }),
+                signal: options.signal
             });
 
             if (!response.ok) {
-                throw new Error(`llama.cpp 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
+                throw this.httpError(response, `llama.cpp 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            
             let fullText = '';
             let fullReasoning = '';
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response)) {
+                const delta = json.choices?.[0]?.delta;
+                if (json.usage) usage = this.readOpenAIUsage(json.usage);
+
+                // Handle reasoning_content from llama.cpp --reasoning-format
+                const reasoning = this.readReasoningDelta(delta);
+                if (reasoning) {
+                    fullReasoning += reasoning;
+                    if (callbacks.onReasoning) {
+                        callbacks.onReasoning(fullReasoning);
+                    }
+                }
 
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            const delta = parsed.choices?.[0]?.delta;
-                            
-                            // Handle reasoning_content from llama.cpp --reasoning-format
-                            if (delta?.reasoning_content) {
-                                fullReasoning += delta.reasoning_content;
-                                if (callbacks.onReasoning) {
-                                    callbacks.onReasoning(fullReasoning);
-                                }
-                            }
-                            
-                            // Handle regular content
-                            if (delta?.content) {
-                                fullText += delta.content;
-                                
-                                // Also check for <think> tags in content (fallback)
-                                let thinking = fullReasoning;
-                                let output = fullText;
-                                
-                                // Check for <think> tag in content
-                                const thinkStart = fullText.indexOf('<think>');
-                                if (thinkStart !== -1) {
-                                    const thinkEnd = fullText.indexOf('</think>');
-                                    
-                                    if (thinkEnd !== -1) {
-                                        thinking = fullText.substring(thinkStart + 7, thinkEnd);
-                                        output = fullText.substring(0, thinkStart) + fullText.substring(thinkEnd + 8);
-                                    } else {
-                                        thinking = fullText.substring(thinkStart + 7);
-                                        output = fullText.substring(0, thinkStart);
-                                    }
-                                    
-                                    output = output.replace(/<\/?think>/g, '').trim();
-                                    thinking = thinking.replace(/<\/?think>/g, '').trim();
-                                    
-                                    if (thinking && callbacks.onReasoning) {
-                                        callbacks.onReasoning(thinking);
-                                    }
-                                }
-                                
-                                if (callbacks.onContent) {
-                                    callbacks.onContent(output);
-                                }
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
+                // Handle regular content
+                if (delta?.content) {
+                    fullText += delta.content;
+
+                    // Also check for <think> tags in content (fallback)
+                    let thinking = fullReasoning;
+                    let output = fullText;
+
+                    // Check for <think> tag in content
+                    const thinkStart = fullText.indexOf('<think>');
+                    if (thinkStart !== -1) {
+                        const thinkEnd = fullText.indexOf('</think>');
+
+                        if (thinkEnd !== -1) {
+                            thinking = fullText.substring(thinkStart + 7, thinkEnd);
+                            output = fullText.substring(0, thinkStart) + fullText.substring(thinkEnd + 8);
+                        } else {
+                            thinking = fullText.substring(thinkStart + 7);
+                            output = fullText.substring(0, thinkStart);
                         }
+
+                        output = output.replace(/<\/?think>/g, '').trim();
+                        thinking = thinking.replace(/<\/?think>/g, '').trim();
+
+                        if (thinking && callbacks.onReasoning) {
+                            callbacks.onReasoning(thinking);
+                        }
+                    }
+
+                    if (callbacks.onContent) {
+                        callbacks.onContent(output);
                     }
                 }
             }
@@ -841,6 +1204,7 @@ class LlamaCppProvider extends BaseProvider {
             finalOutput = finalOutput.replace(/<\/?think>/g, '').trim();
             finalThinking = finalThinking.replace(/<\/?think>/g, '').trim();
             
+            this.reportUsage(options, usage);
             if (callbacks.onDone) callbacks.onDone(finalOutput, finalThinking);
             return finalOutput;
         } catch (error) {
@@ -922,8 +1286,20 @@ class LlamaCppProvider extends BaseProvider {
 // TranslateGemma Provider (for llama.cpp with TranslateGemma model)
 // Uses Gemma 3 chat template special tokens for direct translation
 class TranslateGemmaProvider extends BaseProvider {
+    static id = 'translategemma';
+    static label = 'TranslateGemma';
+    static description = 'llama.cpp 서버에서 TranslateGemma 모델을 사용합니다. Gemma 3 채팅 템플릿 형식으로 번역합니다. 프롬프트를 사용하지 않으므로 용어집, 참고 정보, 격식/어조/대상 설정은 적용되지 않습니다.';
+    static capabilities = { streaming: true, reasoning: false, modelListing: true, prompt: false };
+    static configSchema = [
+        { key: 'baseUrl', label: 'Server URL', type: 'text', default: 'http://localhost:8080', placeholder: 'http://localhost:8080', section: 'api' },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.3, min: 0, max: 1, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 0.95, min: 0, max: 1, step: 0.05, section: 'advanced' },
+        { key: 'top_k', label: 'Top K', type: 'number', default: 40, min: 0, section: 'advanced' },
+        { key: 'repeat_penalty', label: 'Repeat Penalty', type: 'range', default: 1.0, min: 1, max: 2, step: 0.05, section: 'advanced' }
+    ];
+
     // TranslateGemma supported language codes (ISO 639-1)
-    static SUPPORTED_LANGS = [
+    static supportedLanguages = [
         'ar', 'bn', 'cs', 'da', 'de', 'el', 'en', 'es', 'fa', 'fi',
         'fr', 'gu', 'he', 'hi', 'hr', 'hu', 'id', 'it', 'ja', 'kn',
         'ko', 'ml', 'mr', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'sk',
@@ -942,10 +1318,10 @@ class TranslateGemmaProvider extends BaseProvider {
         const tgtLang = this.normalizeLanguageCode(targetLang);
 
         // Validate language codes
-        if (srcLang !== 'auto' && !TranslateGemmaProvider.SUPPORTED_LANGS.includes(srcLang.split(/[-_]/)[0])) {
+        if (!LanguageRegistry.isSupported(srcLang, TranslateGemmaProvider.supportedLanguages)) {
             console.warn(`Source language '${srcLang}' may not be supported by TranslateGemma`);
         }
-        if (!TranslateGemmaProvider.SUPPORTED_LANGS.includes(tgtLang.split(/[-_]/)[0])) {
+        if (!LanguageRegistry.isSupported(tgtLang, TranslateGemmaProvider.supportedLanguages)) {
             console.warn(`Target language '${tgtLang}' may not be supported by TranslateGemma`);
         }
 
@@ -980,7 +1356,7 @@ ${contentJson}<end_of_turn>
         const prompt = this.buildTranslateGemmaPrompt(text, sourceLang, targetLang);
 
         // Use /completion endpoint for raw prompt (not chat completions)
-        const response = await fetch(`${baseUrl}/completion`, {
+        const response = await this.sendRequest(`${baseUrl}/completion`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -999,10 +1375,11 @@ ${contentJson}<end_of_turn>
         });
 
         if (!response.ok) {
-            throw new Error(`TranslateGemma 연결 오류: ${response.status}. llama.cpp 서버가 TranslateGemma 모델과 함께 실행 중인지 확인하세요.`);
+            throw this.httpError(response, `TranslateGemma 연결 오류: ${response.status}. llama.cpp 서버가 TranslateGemma 모델과 함께 실행 중인지 확인하세요.`);
         }
 
         const data = await response.json();
+        this.reportUsage(options, this.readCompletionUsage(data));
         const content = data.content || data.response || '';
         
         // Clean up any trailing special tokens
@@ -1016,7 +1393,7 @@ ${contentJson}<end_of_turn>
         const prompt = this.buildTranslateGemmaPrompt(text, sourceLang, targetLang);
 
         try {
-            const response = await fetch(`${baseUrl}/completion`, {
+            const response = await this.sendRequest(`${baseUrl}/completion`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1034,64 +1411,30 @@ ${contentJson}<end_of_turn>
             });
 
             if (!response.ok) {
-                throw new Error(`TranslateGemma 연결 오류: ${response.status}. llama.cpp 서버가 TranslateGemma 모델과 함께 실행 중인지 확인하세요.`);
+                throw this.httpError(response, `TranslateGemma 연결 오류: ${response.status}. llama.cpp 서버가 TranslateGemma 모델과 함께 실행 중인지 확인하세요.`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
             let fullContent = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            const content = parsed.content;
-                            if (content) {
-                                // Check for stop tokens
-                                if (content.includes('<end_of_turn>') || content.includes('<eos>')) {
-                                    const cleaned = content.replace(/<end_of_turn>|<eos>/g, '');
-                                    fullContent += cleaned;
-                                    break;
-                                }
-                                fullContent += content;
-                                if (callbacks.onContent) callbacks.onContent(fullContent);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
-                    } else if (line.trim() && !line.startsWith('event:')) {
-                        // Try parsing non-SSE format (llama.cpp default streaming)
-                        try {
-                            const parsed = JSON.parse(line);
-                            const content = parsed.content;
-                            if (content) {
-                                if (content.includes('<end_of_turn>') || content.includes('<eos>')) {
-                                    const cleaned = content.replace(/<end_of_turn>|<eos>/g, '');
-                                    fullContent += cleaned;
-                                    break;
-                                }
-                                fullContent += content;
-                                if (callbacks.onContent) callbacks.onContent(fullContent);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
+            let usage = null;
+
+            // llama.cpp /completion streams SSE, older builds plain NDJSON
+            for await (const { json } of StreamParser.parse(response, { format: 'auto' })) {
+                if (json.stop) usage = this.readCompletionUsage(json);
+                const content = json.content;
+                if (content) {
+                    // Check for stop tokens
+                    if (content.includes('<end_of_turn>') || content.includes('<eos>')) {
+                        fullContent += content.replace(/<end_of_turn>|<eos>/g, '');
+                        break;
                     }
+                    fullContent += content;
+                    if (callbacks.onContent) callbacks.onContent(fullContent);
                 }
             }
 
             // Final cleanup
             const finalOutput = fullContent.replace(/<end_of_turn>|<eos>/g, '').trim();
+            this.reportUsage(options, usage);
             if (callbacks.onDone) callbacks.onDone(finalOutput);
             return finalOutput;
         } catch (error) {
@@ -1129,54 +1472,74 @@ ${contentJson}<end_of_turn>
 }
 
 // OpenAI Compatible Provider
+// The OpenAI Chat Completions dialect for custom endpoints
 class OpenAICompatibleProvider extends BaseProvider {
-    async translate(text, sourceLang, targetLang, systemPrompt, userPrompt) {
-        const baseUrl = this.config.baseUrl;
-        const apiKey = this.config.apiKey;
-        const model = this.config.model || 'default';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
 
-        if (!baseUrl) {
+    reasoningRequested() {
+        const effort = this.config.reasoningEffort;
+        return !!effort && effort !== 'none';
+    }
+
+    validateConfig() {
+        if (!this.config.baseUrl) {
             throw new Error('OpenAI 호환 API의 Base URL이 설정되지 않았습니다.');
         }
+    }
 
-        const headers = {
-            'Content-Type': 'application/json'
+    // Sent as-is, since each server documents its own accepted reasoning_effort values;
+    // top_k is not part of the OpenAI API but vLLM and llama.cpp accept it
+    buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, stream) {
+        const body = {
+            model: this.config.model || 'default',
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
+            ],
+            temperature: this.config.temperature ?? 0.3,
+            top_p: this.config.top_p,
+            top_k: this.config.top_k,
+            max_tokens: this.config.maxTokens
         };
+        if (this.config.reasoningEffort) body.reasoning_effort = this.config.reasoningEffort;
+        if (stream) body.stream = true;
+        return body;
+    }
 
-        if (apiKey) {
-            headers['Authorization'] = `Bearer ${apiKey}`;
+    async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
+        const baseUrl = this.config.baseUrl;
+        const apiKey = this.config.apiKey;
+        this.validateConfig();
+
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
         }
 
-        const response = await fetch(`${baseUrl}/chat/completions`, {
+        const response = await this.sendRequest(`${baseUrl}/chat/completions`, {
             method: 'POST',
             headers: headers,
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
-                ],
-                temperature: 0.3
-            })
+            body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, false)),
+            signal: options.signal
         });
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `API 오류: ${response.status}`);
+            throw this.httpError(response, error.error?.message || `API 오류: ${response.status}`);
         }
 
         const data = await response.json();
+        this.reportUsage(options, this.readOpenAIUsage(data.usage));
         return data.choices[0].message.content.trim();
     }
 
-    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks) {
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
         const baseUrl = this.config.baseUrl;
         const apiKey = this.config.apiKey;
-        const model = this.config.model || 'default';
-
-        if (!baseUrl) {
-            throw new Error('OpenAI 호환 API의 Base URL이 설정되지 않았습니다.');
-        }
+        this.validateConfig();
 
         const headers = {
             'Content-Type': 'application/json'
@@ -1187,56 +1550,39 @@ class OpenAICompatibleProvider extends BaseProvider {
         }
 
         try {
-            const response = await fetch(`${baseUrl}/chat/completions`, {
+            const response = await this.sendRequest(`${baseUrl}/chat/completions`, {
                 method: 'POST',
                 headers: headers,
-                body: JSON.stringify({
-                    model: model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt) }
-                    ],
-                    temperature: 0.3,
-                    stream: true
-                })
+                body: JSON.stringify(this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, true)),
+                signal: options.signal
             });
 
             if (!response.ok) {
                 const error = await response.json().catch(() => ({}));
-                throw new Error(error.error?.message || `API 오류: ${response.status}`);
+                throw this.httpError(response, error.error?.message || `API 오류: ${response.status}`);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
             let fullContent = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                const chunk = decoder.decode(value, { stream: true });
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            const delta = parsed.choices?.[0]?.delta?.content;
-                            if (delta) {
-                                fullContent += delta;
-                                if (callbacks.onContent) callbacks.onContent(fullContent);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
-                    }
+            let fullReasoning = '';
+            // Not every server supports stream_options, so usage is only read when sent anyway
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response)) {
+                const delta = json.choices?.[0]?.delta;
+                const reasoning = this.readReasoningDelta(delta);
+                if (reasoning) {
+                    fullReasoning += reasoning;
+                    if (callbacks.onReasoning) callbacks.onReasoning(fullReasoning);
+                }
+                if (delta?.content) {
+                    fullContent += delta.content;
+                    if (callbacks.onContent) callbacks.onContent(fullContent);
                 }
+                if (json.usage) usage = this.readOpenAIUsage(json.usage);
             }
 
-            if (callbacks.onDone) callbacks.onDone(fullContent.trim());
+            this.reportUsage(options, usage);
+            if (callbacks.onDone) callbacks.onDone(fullContent.trim(), fullReasoning);
             return fullContent.trim();
         } catch (error) {
             if (callbacks.onError) callbacks.onError(error);
@@ -1286,71 +1632,1021 @@ class OpenAICompatibleProvider extends BaseProvider {
     }
 }
 
+// OpenAI Responses Dialect
+// The /responses API for custom endpoints: instructions and input instead of messages, typed
+// stream events, and reasoning summaries as the only reasoning text
+class OpenAIResponsesProvider extends BaseProvider {
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+
+    reasoningRequested() {
+        const effort = this.config.reasoningEffort;
+        return !!effort && effort !== 'none';
+    }
+
+    validateConfig() {
+        if (!this.config.baseUrl) {
+            throw new Error('OpenAI 호환 API의 Base URL이 설정되지 않았습니다.');
+        }
+    }
+
+    buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, stream) {
+        const body = {
+            model: this.config.model || 'default',
+            instructions: systemPrompt,
+            input: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options),
+            temperature: this.config.temperature,
+            top_p: this.config.top_p,
+            max_output_tokens: this.config.maxTokens,
+            store: false
+        };
+        const effort = this.config.reasoningEffort;
+        if (effort) {
+            body.reasoning = effort === 'none' ? { effort } : { effort, summary: 'auto' };
+        }
+        if (stream) body.stream = true;
+        return body;
+    }
+
+    async request(body, signal) {
+        this.validateConfig();
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+        }
+
+        const response = await this.sendRequest(`${this.config.baseUrl}/responses`, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw this.httpError(response, error.error?.message || `API 오류: ${response.status}`);
+        }
+        return response;
+    }
+
+    readResponsesUsage(usage) {
+        if (!usage) return null;
+        return {
+            inputTokens: usage.input_tokens || 0,
+            outputTokens: usage.output_tokens || 0,
+            thinkingTokens: usage.output_tokens_details?.reasoning_tokens || 0
+        };
+    }
+
+    // Text of the message items in `output`; reasoning items are skipped
+    readOutputText(data) {
+        return (data.output || [])
+            .filter(item => item.type === 'message')
+            .flatMap(item => item.content || [])
+            .filter(part => part.type === 'output_text')
+            .map(part => part.text)
+            .join('');
+    }
+
+    async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
+        const body = this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, false);
+        const response = await this.request(body, options.signal);
+
+        const data = await response.json();
+        this.reportUsage(options, this.readResponsesUsage(data.usage));
+        return this.readOutputText(data).trim();
+    }
+
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
+        try {
+            const body = this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, true);
+            const response = await this.request(body, options.signal);
+
+            let fullContent = '';
+            let fullReasoning = '';
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response)) {
+                if (json.type === 'response.output_text.delta') {
+                    fullContent += json.delta || '';
+                    if (callbacks.onContent) callbacks.onContent(fullContent);
+                } else if (json.type === 'response.reasoning_summary_part.added' && fullReasoning) {
+                    fullReasoning += '\n\n';
+                } else if (json.type === 'response.reasoning_summary_text.delta') {
+                    fullReasoning += json.delta || '';
+                    if (callbacks.onReasoning) callbacks.onReasoning(fullReasoning);
+                } else if (json.type === 'response.completed') {
+                    usage = this.readResponsesUsage(json.response?.usage);
+                } else if (json.type === 'response.failed' || json.type === 'response.incomplete') {
+                    const reason = json.response?.error?.message || json.response?.incomplete_details?.reason;
+                    throw new Error(reason ? `응답이 중단되었습니다: ${reason}` : '응답이 중단되었습니다.');
+                }
+            }
+
+            this.reportUsage(options, usage);
+            if (callbacks.onDone) callbacks.onDone(fullContent.trim(), fullReasoning);
+            return fullContent.trim();
+        } catch (error) {
+            if (callbacks.onError) callbacks.onError(error);
+            throw error;
+        }
+    }
+}
+
+// llama.cpp Completion Dialect
+// Raw /completion for custom endpoints: the server applies no chat template, so the system and
+// user prompts are sent as plain text for the model to continue
+class LlamaCppCompletionProvider extends BaseProvider {
+    static capabilities = { streaming: true, reasoning: false, modelListing: true };
+
+    validateConfig() {
+        if (!this.config.baseUrl) {
+            throw new Error('llama.cpp 서버 URL이 설정되지 않았습니다.');
+        }
+    }
+
+    buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, stream) {
+        return {
+            prompt: `${systemPrompt}\n\n${this.buildPrompt(text, sourceLang, targetLang, userPrompt, options)}\n\n`,
+            temperature: this.config.temperature,
+            top_p: this.config.top_p,
+            top_k: this.config.top_k,
+            n_predict: this.config.maxTokens,
+            cache_prompt: true,
+            stream: stream
+        };
+    }
+
+    async request(body, signal) {
+        this.validateConfig();
+
+        const response = await this.sendRequest(`${this.config.baseUrl}/completion`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw this.httpError(response, error.error?.message || `llama.cpp 연결 오류: ${response.status}. 서버가 실행 중인지 확인하세요.`);
+        }
+        return response;
+    }
+
+    async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
+        const body = this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, false);
+        const response = await this.request(body, options.signal);
+
+        const data = await response.json();
+        this.reportUsage(options, this.readCompletionUsage(data));
+        return (data.content || '').trim();
+    }
+
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
+        try {
+            const body = this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, true);
+            const response = await this.request(body, options.signal);
+
+            let fullContent = '';
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response, { format: 'auto' })) {
+                if (json.stop) usage = this.readCompletionUsage(json);
+                if (json.content) {
+                    fullContent += json.content;
+                    if (callbacks.onContent) callbacks.onContent(fullContent);
+                }
+            }
+
+            this.reportUsage(options, usage);
+            if (callbacks.onDone) callbacks.onDone(fullContent.trim());
+            return fullContent.trim();
+        } catch (error) {
+            if (callbacks.onError) callbacks.onError(error);
+            throw error;
+        }
+    }
+}
+
+// Custom Endpoint Provider
+// Runs a custom endpoint (provider value `custom-{id}`) through the dialect class of the API it
+// speaks, and swaps the dialect's auth for the endpoint's own scheme and extra headers
+class CustomEndpointProvider extends BaseProvider {
+    static id = 'custom';
+    static label = '커스텀 엔드포인트';
+    static hidden = true;
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+
+    // auth/authName: how the API key is sent when the endpoint keeps the dialect's default
+    static DIALECTS = {
+        'openai-chat': {
+            label: 'OpenAI Chat Completions', provider: OpenAICompatibleProvider, auth: 'bearer', modelsPath: '/models'
+        },
+        'openai-responses': {
+            label: 'OpenAI Responses', provider: OpenAIResponsesProvider, auth: 'bearer', modelsPath: '/models'
+        },
+        'anthropic': {
+            label: 'Anthropic Messages', provider: ClaudeProvider, auth: 'header', authName: 'x-api-key', modelsPath: '/models',
+            modelsHeaders: { 'anthropic-version': '2023-06-01', 'anthropic-dangerous-direct-browser-access': 'true' }
+        },
+        'ollama': {
+            label: 'Ollama Chat', provider: OllamaProvider, auth: 'bearer', modelsPath: '/api/tags'
+        },
+        'llamacpp-completion': {
+            label: 'llama.cpp /completion', provider: LlamaCppCompletionProvider, auth: 'bearer', modelsPath: '/v1/models'
+        }
+    };
+
+    static AUTH_TYPES = [
+        { value: '', label: 'API 형식 기본값' },
+        { value: 'bearer', label: 'Authorization: Bearer' },
+        { value: 'header', label: '사용자 지정 헤더' },
+        { value: 'query', label: '쿼리 문자열' },
+        { value: 'none', label: '인증 없음' }
+    ];
+
+    // Extended thinking budget per reasoning effort for Anthropic Messages endpoints
+    static THINKING_BUDGETS = { low: 2048, medium: 8192, high: 24576 };
+
+    constructor(config) {
+        super(config);
+        const dialect = CustomEndpointProvider.getDialect(config.dialect);
+        this.dialect = new dialect.provider(CustomEndpointProvider.buildDialectConfig(config));
+        // The dialect builds and parses the requests; auth, headers and validation are the endpoint's
+        this.dialect.sendRequest = (url, init) => this.sendRequest(url, init);
+        this.dialect.validateConfig = () => this.validateConfig();
+    }
+
+    static getDialect(dialect) {
+        return this.DIALECTS[dialect] || this.DIALECTS['openai-chat'];
+    }
+
+    // Empty sampling fields are stored as null and left out of the request
+    static buildDialectConfig(config) {
+        const effort = config.reasoningEffort || '';
+        return {
+            baseUrl: (config.baseUrl || '').replace(/\/+$/, ''),
+            apiKey: config.apiKey,
+            model: config.model,
+            reasoningEffort: effort,
+            temperature: config.temperature ?? undefined,
+            top_p: config.top_p ?? undefined,
+            top_k: config.top_k ?? undefined,
+            maxTokens: config.maxTokens ?? undefined,
+            thinking: !!this.THINKING_BUDGETS[effort],
+            thinkingBudget: this.THINKING_BUDGETS[effort]
+        };
+    }
+
+    validateConfig() {
+        if (!this.config.baseUrl) {
+            throw new Error('커스텀 엔드포인트의 Base URL이 설정되지 않았습니다.');
+        }
+    }
+
+    reasoningRequested() {
+        return this.dialect.reasoningRequested();
+    }
+
+    translate(...args) {
+        return this.dialect.translate(...args);
+    }
+
+    translateStream(...args) {
+        return this.dialect.translateStream(...args);
+    }
+
+    sendRequest(url, init = {}) {
+        const request = CustomEndpointProvider.authorize(this.config, url, init.headers);
+        return ProviderError.fetch(request.url, { ...init, headers: request.headers });
+    }
+
+    // Replaces the auth header a dialect sets with the endpoint's scheme, then adds the extra headers
+    static authorize(config, url, headers = {}) {
+        const dialect = this.getDialect(config.dialect);
+        const authType = config.authType || dialect.auth;
+        const authName = config.authName || dialect.authName;
+        const apiKey = config.apiKey;
+
+        const result = { ...headers };
+        delete result['Authorization'];
+        delete result['x-api-key'];
+
+        if (apiKey && authType === 'bearer') {
+            result['Authorization'] = `Bearer ${apiKey}`;
+        } else if (apiKey && authType === 'header') {
+            result[authName || 'x-api-key'] = apiKey;
+        } else if (apiKey && authType === 'query') {
+            url += `${url.includes('?') ? '&' : '?'}${encodeURIComponent(authName || 'key')}=${encodeURIComponent(apiKey)}`;
+        }
+
+        return { url, headers: { ...result, ...this.parseHeaders(config.headers) } };
+    }
+
+    // One `Name: value` per line; lines without a name are ignored
+    static parseHeaders(text) {
+        const headers = {};
+        (text || '').split('\n').forEach(line => {
+            const colon = line.indexOf(':');
+            const name = colon > 0 ? line.slice(0, colon).trim() : '';
+            if (name) headers[name] = line.slice(colon + 1).trim();
+        });
+        return headers;
+    }
+
+    // Throws when the server cannot be reached or refuses the request
+    static async listModels(config) {
+        if (!config.baseUrl) {
+            throw new Error('커스텀 엔드포인트의 Base URL이 설정되지 않았습니다.');
+        }
+
+        const dialect = this.getDialect(config.dialect);
+        const baseUrl = config.baseUrl.replace(/\/+$/, '');
+        const request = this.authorize(config, `${baseUrl}${dialect.modelsPath}`, { ...dialect.modelsHeaders });
+        const response = await fetch(request.url, { method: 'GET', headers: request.headers });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            const message = error.error?.message || (typeof error.error === 'string' && error.error);
+            throw new ProviderError(message || `모델 목록 요청 실패: ${response.status}`, { status: response.status });
+        }
+
+        // Ollama lists { models: [{ name }] }, the others { data: [{ id }] }
+        const data = await response.json();
+        return (data.data || data.models || [])
+            .map(m => m.id || m.name || m.model)
+            .filter(Boolean)
+            .sort((a, b) => a.localeCompare(b))
+            .map(id => ({ value: id, label: id }));
+    }
+
+    // { latencyMs, models } of a model list request, for the test connection button
+    static async testConnection(config) {
+        const started = performance.now();
+        const models = await this.listModels(config);
+        return { latencyMs: Math.round(performance.now() - started), models };
+    }
+
+    static async fetchModels(config) {
+        try {
+            const models = await this.listModels(config);
+            return models.length > 0 ? models : this.getDefaultModels();
+        } catch (e) {
+            console.error('Failed to fetch custom endpoint models:', e);
+            return this.getDefaultModels();
+        }
+    }
+
+    static getDefaultModels() {
+        return [
+            { value: 'default', label: '기본 모델' }
+        ];
+    }
+}
+
+// Chat Completions Provider
+// Shared base for hosted APIs that speak the OpenAI Chat Completions format but differ in URLs,
+// auth headers, reasoning fields and model listing; subclasses override the hooks they need
+class ChatCompletionsProvider extends BaseProvider {
+    static defaultBaseUrl = '';
+    static defaultModel = 'default';
+    // Whether the API accepts stream_options; the others append usage to the stream on their own
+    static streamUsageOption = true;
+    // Whether listing models needs the API key
+    static modelsNeedApiKey = true;
+
+    getBaseUrl() {
+        return (this.config.baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+    }
+
+    getModel() {
+        return this.config.model || this.constructor.defaultModel;
+    }
+
+    getChatUrl() {
+        return `${this.getBaseUrl()}/chat/completions`;
+    }
+
+    getModelsUrl() {
+        return `${this.getBaseUrl()}/models`;
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.config.apiKey}`
+        };
+    }
+
+    validateConfig() {
+        if (!this.config.apiKey) {
+            throw new Error(`${this.constructor.label} API Key가 설정되지 않았습니다.`);
+        }
+    }
+
+    reasoningRequested() {
+        const effort = this.config.reasoningEffort;
+        return this.constructor.capabilities.reasoning && !!effort && effort !== 'none';
+    }
+
+    buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, stream) {
+        // Sampling parameters are only set with advanced settings on; undefined ones are not sent
+        const body = {
+            model: this.getModel(),
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: this.buildPrompt(text, sourceLang, targetLang, userPrompt, options) }
+            ],
+            temperature: this.config.temperature,
+            top_p: this.config.top_p
+        };
+        this.applyReasoning(body);
+
+        if (stream) {
+            body.stream = true;
+            if (this.constructor.streamUsageOption) {
+                body.stream_options = { include_usage: true };
+            }
+        }
+        return body;
+    }
+
+    // Adds the provider's reasoning switches to the request body
+    applyReasoning(body) {}
+
+    // { content, reasoning } text carried by one stream delta
+    readDelta(delta) {
+        return { content: delta?.content || '', reasoning: this.readReasoningDelta(delta) };
+    }
+
+    readMessage(message) {
+        return message?.content || '';
+    }
+
+    readUsage(json) {
+        return this.readOpenAIUsage(json.usage);
+    }
+
+    async request(body, signal) {
+        this.validateConfig();
+
+        const response = await this.sendRequest(this.getChatUrl(), {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            const message = error.error?.message || (typeof error.message === 'string' && error.message);
+            throw this.httpError(response, message || `${this.constructor.label} API 오류: ${response.status}`);
+        }
+        return response;
+    }
+
+    async translate(text, sourceLang, targetLang, systemPrompt, userPrompt, options = {}) {
+        const body = this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, false);
+        const response = await this.request(body, options.signal);
+
+        const data = await response.json();
+        this.reportUsage(options, this.readUsage(data));
+        return this.readMessage(data.choices[0].message).trim();
+    }
+
+    async translateStream(text, sourceLang, targetLang, systemPrompt, userPrompt, callbacks, options = {}) {
+        try {
+            const body = this.buildRequestBody(text, sourceLang, targetLang, systemPrompt, userPrompt, options, true);
+            const response = await this.request(body, options.signal);
+
+            let fullContent = '';
+            let fullReasoning = '';
+            let usage = null;
+
+            for await (const { json } of StreamParser.parse(response)) {
+                const { content, reasoning } = this.readDelta(json.choices?.[0]?.delta);
+                if (reasoning) {
+                    fullReasoning += reasoning;
+                    if (callbacks.onReasoning) callbacks.onReasoning(fullReasoning);
+                }
+                if (content) {
+                    fullContent += content;
+                    if (callbacks.onContent) callbacks.onContent(fullContent);
+                }
+                usage = this.readUsage(json) || usage;
+            }
+
+            this.reportUsage(options, usage);
+            if (callbacks.onDone) callbacks.onDone(fullContent.trim(), fullReasoning);
+            return fullContent.trim();
+        } catch (error) {
+            if (callbacks.onError) callbacks.onError(error);
+            throw error;
+        }
+    }
+
+    static async fetchModels(config) {
+        const provider = new this(config);
+        if (this.modelsNeedApiKey && !config.apiKey) {
+            return this.getDefaultModels(config);
+        }
+
+        try {
+            const headers = provider.getHeaders();
+            delete headers['Content-Type'];
+            const response = await fetch(provider.getModelsUrl(), { method: 'GET', headers });
+
+            if (!response.ok) {
+                return this.getDefaultModels(config);
+            }
+
+            const models = this.parseModels(await response.json());
+            return models.length > 0 ? models : this.getDefaultModels(config);
+        } catch (e) {
+            console.error(`Failed to fetch ${this.label} models:`, e);
+            return this.getDefaultModels(config);
+        }
+    }
+
+    // [{ value, label }] from the models endpoint response
+    static parseModels(data) {
+        return (data.data || [])
+            .map(m => ({ value: m.id, label: m.id }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+}
+
+// Mistral Provider
+// Magistral models stream their reasoning as 'thinking' chunks inside delta.content
+class MistralProvider extends ChatCompletionsProvider {
+    static id = 'mistral';
+    static label = 'Mistral';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+    static configSchema = [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'API Key', section: 'api' },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 1.5, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 1.0, min: 0, max: 1, step: 0.05, section: 'advanced' }
+    ];
+    static defaultBaseUrl = 'https://api.mistral.ai/v1';
+    static defaultModel = 'mistral-small-latest';
+    // Mistral rejects unknown fields and sends usage with the last chunk anyway
+    static streamUsageOption = false;
+
+    reasoningRequested() {
+        return this.getModel().startsWith('magistral');
+    }
+
+    readDelta(delta) {
+        if (!Array.isArray(delta?.content)) return super.readDelta(delta);
+        return this.readContentChunks(delta.content);
+    }
+
+    readMessage(message) {
+        if (!Array.isArray(message?.content)) return super.readMessage(message);
+        return this.readContentChunks(message.content).content;
+    }
+
+    // [{ type: 'text', text }, { type: 'thinking', thinking: [{ type: 'text', text }] }]
+    readContentChunks(chunks) {
+        let content = '';
+        let reasoning = '';
+        chunks.forEach(chunk => {
+            if (chunk.type === 'thinking') {
+                reasoning += (chunk.thinking || []).map(part => part.text || '').join('');
+            } else if (chunk.type === 'text') {
+                content += chunk.text || '';
+            }
+        });
+        return { content, reasoning };
+    }
+
+    static parseModels(data) {
+        const seen = new Set();
+        return (data.data || [])
+            .filter(m => m.capabilities?.completion_chat !== false && !m.deprecation)
+            .filter(m => !seen.has(m.id) && seen.add(m.id))
+            .map(m => ({ value: m.id, label: m.id }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    static getDefaultModels() {
+        return [
+            { value: 'mistral-large-latest', label: 'Mistral Large' },
+            { value: 'mistral-medium-latest', label: 'Mistral Medium' },
+            { value: 'mistral-small-latest', label: 'Mistral Small' },
+            { value: 'magistral-medium-latest', label: 'Magistral Medium' },
+            { value: 'magistral-small-latest', label: 'Magistral Small' },
+            { value: 'ministral-8b-latest', label: 'Ministral 8B' },
+            { value: 'open-mistral-nemo', label: 'Mistral NeMo' }
+        ];
+    }
+}
+
+// DeepSeek Provider
+// deepseek-reasoner streams its reasoning as delta.reasoning_content and ignores sampling parameters
+class DeepSeekProvider extends ChatCompletionsProvider {
+    static id = 'deepseek';
+    static label = 'DeepSeek';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+    static configSchema = [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'sk-...', section: 'api' },
+        // DeepSeek recommends 1.3 for translation
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 1.3, min: 0, max: 2, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 1.0, min: 0, max: 1, step: 0.05, section: 'advanced' }
+    ];
+    static defaultBaseUrl = 'https://api.deepseek.com';
+    static defaultModel = 'deepseek-chat';
+
+    static isReasoningModel(model) {
+        return (model || '').includes('reasoner');
+    }
+
+    reasoningRequested() {
+        return DeepSeekProvider.isReasoningModel(this.getModel());
+    }
+
+    applyReasoning(body) {
+        if (DeepSeekProvider.isReasoningModel(body.model)) {
+            delete body.temperature;
+            delete body.top_p;
+        }
+    }
+
+    static getDefaultModels() {
+        return [
+            { value: 'deepseek-chat', label: 'deepseek-chat' },
+            { value: 'deepseek-reasoner', label: 'deepseek-reasoner' }
+        ];
+    }
+}
+
+// Groq Provider
+// GPT-OSS takes reasoning_effort; Qwen 3 and R1 distills return parsed reasoning in delta.reasoning
+class GroqProvider extends ChatCompletionsProvider {
+    static id = 'groq';
+    static label = 'Groq';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+    static configSchema = [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'gsk_...', section: 'api' },
+        {
+            key: 'reasoningEffort', label: '추론 강도', type: 'select', default: '', options: BaseProvider.REASONING_EFFORTS, section: 'model',
+            help: 'GPT-OSS 모델에는 추론 강도로, Qwen 3와 DeepSeek R1 계열에는 추론을 끌지 여부로만 전달됩니다.'
+        },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 2, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 1.0, min: 0, max: 1, step: 0.05, section: 'advanced' }
+    ];
+    static defaultBaseUrl = 'https://api.groq.com/openai/v1';
+    static defaultModel = 'llama-3.3-70b-versatile';
+    // Usage arrives in x_groq.usage of the last chunk
+    static streamUsageOption = false;
+
+    static isReasoningModel(model) {
+        return /gpt-oss|qwen3|deepseek-r1/.test(model || '');
+    }
+
+    reasoningRequested() {
+        return GroqProvider.isReasoningModel(this.getModel()) && this.config.reasoningEffort !== 'none';
+    }
+
+    applyReasoning(body) {
+        if (!GroqProvider.isReasoningModel(body.model)) return;
+        const effort = this.config.reasoningEffort;
+
+        if (body.model.includes('gpt-oss')) {
+            // GPT-OSS always reasons; 'low' is the least it does
+            if (effort) body.reasoning_effort = effort === 'none' ? 'low' : effort;
+            return;
+        }
+        if (effort === 'none' && body.model.includes('qwen3')) {
+            body.reasoning_effort = 'none';
+        }
+        // Without 'parsed' the reasoning would arrive inside the content between <think> tags
+        body.reasoning_format = effort === 'none' ? 'hidden' : 'parsed';
+    }
+
+    readUsage(json) {
+        return this.readOpenAIUsage(json.usage || json.x_groq?.usage);
+    }
+
+    static parseModels(data) {
+        return (data.data || [])
+            .filter(m => m.active !== false && !/whisper|tts|guard|playai/.test(m.id))
+            .map(m => ({ value: m.id, label: m.id }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    static getDefaultModels() {
+        return [
+            { value: 'llama-3.3-70b-versatile', label: 'llama-3.3-70b-versatile' },
+            { value: 'llama-3.1-8b-instant', label: 'llama-3.1-8b-instant' },
+            { value: 'openai/gpt-oss-120b', label: 'openai/gpt-oss-120b' },
+            { value: 'openai/gpt-oss-20b', label: 'openai/gpt-oss-20b' },
+            { value: 'qwen/qwen3-32b', label: 'qwen/qwen3-32b' },
+            { value: 'moonshotai/kimi-k2-instruct', label: 'moonshotai/kimi-k2-instruct' }
+        ];
+    }
+}
+
+// OpenRouter Provider
+// Identifies the app with HTTP-Referer/X-Title and uses its unified `reasoning` parameter
+class OpenRouterProvider extends ChatCompletionsProvider {
+    static id = 'openrouter';
+    static label = 'OpenRouter';
+    static capabilities = { streaming: true, reasoning: true, modelListing: true };
+    static configSchema = [
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'sk-or-...', section: 'api' },
+        {
+            key: 'siteUrl', label: '사이트 주소 (HTTP-Referer, 선택)', type: 'text', default: '', placeholder: 'https://example.com', section: 'api',
+            help: 'OpenRouter가 요청을 보낸 앱을 구분하는 데 씁니다. 비워 두면 현재 페이지 주소를 보냅니다.'
+        },
+        {
+            key: 'reasoningEffort', label: '추론 강도', type: 'select', default: '', options: BaseProvider.REASONING_EFFORTS, section: 'model',
+            help: '추론을 지원하는 모델에만 적용됩니다.'
+        },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 2, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 1.0, min: 0, max: 1, step: 0.05, section: 'advanced' }
+    ];
+    static defaultBaseUrl = 'https://openrouter.ai/api/v1';
+    static defaultModel = 'openai/gpt-4o-mini';
+    // Usage is always sent with the last chunk
+    static streamUsageOption = false;
+    static modelsNeedApiKey = false;
+
+    getHeaders() {
+        const headers = super.getHeaders();
+        const origin = window.location.origin;
+        const referer = this.config.siteUrl || (origin.startsWith('http') ? origin : '');
+        if (referer) headers['HTTP-Referer'] = referer;
+        headers['X-Title'] = 'LLM Translator';
+        if (!this.config.apiKey) delete headers['Authorization'];
+        return headers;
+    }
+
+    applyReasoning(body) {
+        const effort = this.config.reasoningEffort;
+        if (effort) {
+            body.reasoning = effort === 'none' ? { enabled: false } : { effort };
+        }
+    }
+
+    // The list covers every vendor, so the label carries the display name and context size
+    static parseModels(data) {
+        return (data.data || [])
+            .filter(m => (m.architecture?.output_modalities || ['text']).includes('text'))
+            .map(m => {
+                const context = m.context_length ? ` · ${Math.round(m.context_length / 1000)}K` : '';
+                return { value: m.id, label: `${m.name || m.id}${context}` };
+            })
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    static getDefaultModels() {
+        return [
+            { value: 'openai/gpt-4o-mini', label: 'OpenAI: GPT-4o-mini' },
+            { value: 'openai/gpt-4o', label: 'OpenAI: GPT-4o' },
+            { value: 'anthropic/claude-sonnet-4.5', label: 'Anthropic: Claude Sonnet 4.5' },
+            { value: 'google/gemini-2.5-flash', label: 'Google: Gemini 2.5 Flash' },
+            { value: 'deepseek/deepseek-chat', label: 'DeepSeek: DeepSeek V3' },
+            { value: 'meta-llama/llama-3.3-70b-instruct', label: 'Meta: Llama 3.3 70B Instruct' },
+            { value: 'mistralai/mistral-small-3.2-24b-instruct', label: 'Mistral: Mistral Small 3.2 24B' }
+        ];
+    }
+}
+
+// Azure OpenAI Provider
+// Requests go to a deployment URL with an api-version query and an api-key header; the model
+// setting holds the deployment name
+class AzureOpenAIProvider extends ChatCompletionsProvider {
+    static id = 'azure';
+    static label = 'Azure OpenAI';
+    static capabilities = { streaming: true, reasoning: false, modelListing: true };
+    static configSchema = [
+        { key: 'baseUrl', label: 'Endpoint', type: 'text', default: '', placeholder: 'https://{resource}.openai.azure.com', section: 'api' },
+        { key: 'apiKey', label: 'API Key', type: 'password', default: '', placeholder: 'API Key', section: 'api' },
+        { key: 'apiVersion', label: 'API Version', type: 'text', default: '2024-10-21', placeholder: '2024-10-21', section: 'api' },
+        {
+            key: 'deployments', label: '배포 이름 (쉼표로 구분, 선택)', type: 'text', default: '', placeholder: 'gpt-4o, gpt-4o-mini', section: 'api',
+            help: '모델 목록에는 배포 이름이 표시됩니다. 리소스에서 배포 목록을 불러오지 못하면 여기에 적은 이름을 사용합니다.'
+        },
+        {
+            key: 'reasoningEffort', label: '추론 강도', type: 'select', default: '', options: BaseProvider.REASONING_EFFORTS, section: 'model',
+            help: 'o 시리즈나 GPT-5 모델을 배포한 경우에만 설정하세요. 설정하면 Temperature와 Top P는 보내지 않습니다.'
+        },
+        { key: 'temperature', label: 'Temperature', type: 'range', default: 0.7, min: 0, max: 2, step: 0.1, section: 'advanced' },
+        { key: 'top_p', label: 'Top P', type: 'range', default: 1.0, min: 0, max: 1, step: 0.05, section: 'advanced' }
+    ];
+    static defaultModel = '';
+
+    getChatUrl() {
+        const deployment = encodeURIComponent(this.getModel());
+        return `${this.getBaseUrl()}/openai/deployments/${deployment}/chat/completions?api-version=${encodeURIComponent(this.getApiVersion())}`;
+    }
+
+    // The deployments listing was dropped from later data-plane versions, so it pins the last one with it
+    getModelsUrl() {
+        return `${this.getBaseUrl()}/openai/deployments?api-version=2022-12-01`;
+    }
+
+    getApiVersion() {
+        return this.config.apiVersion || '2024-10-21';
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'api-key': this.config.apiKey
+        };
+    }
+
+    validateConfig() {
+        if (!this.config.baseUrl) {
+            throw new Error('Azure OpenAI Endpoint가 설정되지 않았습니다.');
+        }
+        super.validateConfig();
+        if (!this.getModel()) {
+            throw new Error('Azure OpenAI 배포 이름이 설정되지 않았습니다.');
+        }
+    }
+
+    // The deployment name does not tell the model, so reasoning_effort is sent only when set
+    applyReasoning(body) {
+        const effort = this.config.reasoningEffort;
+        if (!effort) return;
+        body.reasoning_effort = effort === 'none' ? (body.model.includes('gpt-5') ? 'minimal' : 'low') : effort;
+        delete body.temperature;
+        delete body.top_p;
+    }
+
+    static async fetchModels(config) {
+        if (!config.baseUrl) {
+            return this.getDefaultModels(config);
+        }
+        return super.fetchModels(config);
+    }
+
+    static parseModels(data) {
+        return (data.data || [])
+            .filter(d => !d.status || d.status === 'succeeded')
+            .map(d => ({ value: d.id, label: d.model && d.model !== d.id ? `${d.id} (${d.model})` : d.id }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    static getDefaultModels(config = {}) {
+        const deployments = (config.deployments || '').split(',').map(name => name.trim()).filter(Boolean);
+        if (deployments.length > 0) {
+            return deployments.map(name => ({ value: name, label: name }));
+        }
+        return [
+            { value: 'gpt-4o', label: 'gpt-4o' },
+            { value: 'gpt-4o-mini', label: 'gpt-4o-mini' }
+        ];
+    }
+}
+
 // Provider Factory
+// Also the provider registry: every provider class, including ones from third-party scripts
+// loaded after this file, is added with ProviderFactory.register(ProviderClass)
 class ProviderFactory {
+    static providers = new Map();
+
+    static register(ProviderClass) {
+        if (!(ProviderClass.prototype instanceof BaseProvider)) {
+            throw new Error('Provider must extend BaseProvider');
+        }
+        if (!ProviderClass.id || !ProviderClass.label) {
+            throw new Error('Provider must declare static id and label');
+        }
+        if (ProviderClass.id.startsWith('custom-')) {
+            throw new Error(`Provider id is reserved for custom endpoints: ${ProviderClass.id}`);
+        }
+        this.providers.set(ProviderClass.id, ProviderClass);
+        return ProviderClass;
+    }
+
+    static get(providerType) {
+        return this.providers.get(providerType) || null;
+    }
+
+    // Providers offered in the dropdown and settings, in registration order
+    static list({ includeHidden = false } = {}) {
+        return [...this.providers.values()].filter(P => includeHidden || !P.hidden);
+    }
+
     static create(providerType, config) {
-        switch (providerType) {
-            case 'openai':
-                return new OpenAIProvider(config);
-            case 'claude':
-                return new ClaudeProvider(config);
-            case 'gemini':
-                return new GeminiProvider(config);
-            case 'ollama':
-                return new OllamaProvider(config);
-            case 'llamacpp':
-                return new LlamaCppProvider(config);
-            case 'translategemma':
-                return new TranslateGemmaProvider(config);
-            case 'openai-compatible':
-                return new OpenAICompatibleProvider(config);
-            default:
-                throw new Error(`Unknown provider: ${providerType}`);
+        const ProviderClass = this.get(providerType);
+        if (!ProviderClass) {
+            throw new Error(`Unknown provider: ${providerType}`);
         }
+        return new ProviderClass(config);
     }
 
     static async fetchModels(providerType, config) {
-        switch (providerType) {
-            case 'openai':
-                return OpenAIProvider.fetchModels(config);
-            case 'claude':
-                return ClaudeProvider.fetchModels(config);
-            case 'gemini':
-                return GeminiProvider.fetchModels(config);
-            case 'ollama':
-                return OllamaProvider.fetchModels(config);
-            case 'llamacpp':
-                return LlamaCppProvider.fetchModels(config);
-            case 'translategemma':
-                return TranslateGemmaProvider.fetchModels(config);
-            case 'openai-compatible':
-                return OpenAICompatibleProvider.fetchModels(config);
-            default:
-                return [];
+        const ProviderClass = this.get(providerType);
+        if (!ProviderClass) return [];
+        if (!ProviderClass.capabilities.modelListing) {
+            return ProviderClass.getDefaultModels();
         }
+        return ProviderClass.fetchModels(config);
     }
 
-    static getDefaultModels(providerType) {
-        switch (providerType) {
-            case 'openai':
-                return OpenAIProvider.getDefaultModels();
-            case 'claude':
-                return ClaudeProvider.getDefaultModels();
-            case 'gemini':
-                return GeminiProvider.getDefaultModels();
-            case 'ollama':
-                return OllamaProvider.getDefaultModels();
-            case 'llamacpp':
-                return LlamaCppProvider.getDefaultModels();
-            case 'translategemma':
-                return TranslateGemmaProvider.getDefaultModels();
-            case 'openai-compatible':
-                return OpenAICompatibleProvider.getDefaultModels();
-            default:
-                return [];
+    static isRetryable(error) {
+        if (error.name === 'AbortError') return false;
+        // Only a request that never reached the server; a TypeError from reading an unexpected
+        // response body is a bug and fails right away
+        if (error.network) return true;
+        return [408, 409, 425, 429, 500, 502, 503, 504, 529].includes(error.status);
+    }
+
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    // Calls run() until it succeeds, waiting with exponential backoff (plus jitter) between
+    // retryable failures. A Retry-After longer than maxDelayMs gives up instead of waiting.
+    // onRetry({ attempt, maxRetries, delayMs, error }) is called before each wait.
+    static async withRetry(run, { maxRetries = 2, baseDelayMs = 1000, maxDelayMs = 30000, signal, onRetry } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await run();
+            } catch (error) {
+                if (attempt >= maxRetries || !this.isRetryable(error)) throw error;
+
+                let delayMs = error.retryAfterMs;
+                if (delayMs === null || delayMs === undefined) {
+                    delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (1 + Math.random() * 0.25);
+                } else if (delayMs > maxDelayMs) {
+                    throw error;
+                }
+
+                if (onRetry) onRetry({ attempt: attempt + 1, maxRetries, delayMs, error });
+                await this.sleep(delayMs, signal);
+            }
+        }
+    }
+
+    // Walks chain ([{ providerType, config, ... }]) in order, retrying each entry, until one
+    // succeeds. Resolves to { result, entry }; when every entry fails the last error is thrown.
+    // onFallback({ entry, error }) is called before moving on to the next entry.
+    static async runWithFallback(chain, run, { retry = {}, signal, onRetry, onFallback } = {}) {
+        let lastError = null;
+        for (let i = 0; i < chain.length; i++) {
+            const entry = chain[i];
+            try {
+                const provider = this.create(entry.providerType, entry.config);
+                const result = await this.withRetry(() => run(provider, entry), {
+                    ...retry,
+                    signal,
+                    onRetry: onRetry ? (info) => onRetry({ ...info, entry }) : null
+                });
+                return { result, entry };
+            } catch (error) {
+                if (error.name === 'AbortError' || signal?.aborted) throw error;
+                lastError = error;
+                if (i < chain.length - 1 && onFallback) {
+                    onFallback({ entry: chain[i + 1], error });
+                }
+            }
         }
+        throw lastError;
+    }
+
+    static getDefaultModels(providerType) {
+        const ProviderClass = this.get(providerType);
+        return ProviderClass ? ProviderClass.getDefaultModels() : [];
     }
 }
 
+[
+    OpenAIProvider,
+    ClaudeProvider,
+    GeminiProvider,
+    OllamaProvider,
+    LlamaCppProvider,
+    TranslateGemmaProvider,
+    MistralProvider,
+    DeepSeekProvider,
+    GroqProvider,
+    OpenRouterProvider,
+    AzureOpenAIProvider,
+    CustomEndpointProvider
+].forEach(ProviderClass => ProviderFactory.register(ProviderClass));
+
 // Export for use in other modules
 window.ProviderFactory = ProviderFactory;
+window.ProviderError = ProviderError;
+window.BaseProvider = BaseProvider;
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+window.CustomEndpointProvider = CustomEndpointProvider;
@@ -7,53 +7,86 @@ class SettingsManager {
     constructor() {
         this.STORAGE_KEY = 'llm_translator_settings';
         this.defaults = {
+            ...SettingsManager.providerDefaults(),
             theme: 'light',
             provider: 'openai',
             model: 'gpt-4o-mini',
             sourceLang: 'auto',
             targetLang: 'en',
+            // Most recently used language codes, newest first
+            recentLanguages: [],
             stream: true,
             enableAdvancedSettings: false,
-            openai: {
-                apiKey: '',
-                baseUrl: '',
-                temperature: 0.7,
-                top_p: 1.0,
-                presence_penalty: 0.0,
-                frequency_penalty: 0.0
+            // Long documents are split into chunks of roughly this many tokens
+            chunking: {
+                enabled: true,
+                maxTokens: 1500
             },
-            claude: {
-                apiKey: '',
-                temperature: 0.7,
-                top_p: 1.0,
-                top_k: 0
+            // Retries for rate limits, server errors and unreachable servers
+            retry: {
+                maxRetries: 2,
+                baseDelayMs: 1000,
+                maxDelayMs: 30000
             },
-            gemini: {
-                apiKey: '',
-                temperature: 0.7,
-                top_p: 0.95,
-                top_k: 40
+            // Providers tried in order when the selected one keeps failing: [{ provider, model }]
+            fallback: {
+                enabled: false,
+                chain: []
             },
-            ollama: {
-                baseUrl: 'http://localhost:11434',
-                temperature: 0.7,
-                top_p: 0.9,
-                top_k: 40,
-                repeat_penalty: 1.1
+            // Translation memory: exact hits skip the API, fuzzy hits become {tm_examples}
+            translationMemory: {
+                enabled: true,
+                fuzzyThreshold: 0.75,
+                maxExamples: 3
             },
-            llamacpp: {
-                baseUrl: 'http://localhost:8080',
-                temperature: 0.7,
-                top_p: 0.95,
-                top_k: 40,
-                repeat_penalty: 1.1
+            // Record every completed translation without pressing the save button
+            historyAutoSave: true,
+            // History retention limits, 0 = unlimited
+            historyRetention: {
+                maxItems: 0,
+                maxDays: 0
             },
-            translategemma: {
-                baseUrl: 'http://localhost:8080',
-                temperature: 0.3,
-                top_p: 0.95,
-                top_k: 40,
-                repeat_penalty: 1.0
+            // USD per 1M tokens, matched against model names by longest prefix
+            pricing: [
+                { model: 'gpt-4o', input: 2.5, output: 10 },
+                { model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+                { model: 'gpt-4-turbo', input: 10, output: 30 },
+                { model: 'gpt-4', input: 30, output: 60 },
+                { model: 'gpt-3.5-turbo', input: 0.5, output: 1.5 },
+                { model: 'claude-opus-4-5', input: 5, output: 25 },
+                { model: 'claude-opus-4', input: 15, output: 75 },
+                { model: 'claude-sonnet-4', input: 3, output: 15 },
+                { model: 'claude-haiku-4-5', input: 1, output: 5 },
+                { model: 'claude-3-7-sonnet', input: 3, output: 15 },
+                { model: 'claude-3-5-sonnet', input: 3, output: 15 },
+                { model: 'claude-3-5-haiku', input: 0.8, output: 4 },
+                { model: 'gemini-2.5-pro', input: 1.25, output: 10 },
+                { model: 'gemini-2.5-flash', input: 0.3, output: 2.5 },
+                { model: 'gemini-2.5-flash-lite', input: 0.1, output: 0.4 },
+                { model: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+                { model: 'gemini-1.5-pro', input: 1.25, output: 5 },
+                { model: 'gemini-1.5-flash', input: 0.075, output: 0.3 }
+            ],
+            // Monthly spending limit in USD, 0 = no warnings; warnAt is the fraction that triggers the first warning
+            budget: {
+                monthlyLimit: 0,
+                warnAt: 0.8
+            },
+            // Provider/model combinations used by compare mode
+            compare: {
+                slots: [
+                    { provider: 'openai', model: 'gpt-4o-mini' },
+                    { provider: 'claude', model: 'claude-sonnet-4-5-20250929' }
+                ]
+            },
+            // Batch mode: number of items translated at the same time
+            batch: {
+                concurrency: 2
+            },
+            // Subtitle files: cues per request and neighbouring cues sent along as context
+            subtitles: {
+                batchSize: 20,
+                contextCues: 3
             },
             // Custom endpoints - array of custom OpenAI-compatible endpoints
             customEndpoints: [],
@@ -62,14 +95,84 @@ class SettingsManager {
             prompts: {
                 system: 'You are a professional translator. Translate the given text accurately while preserving the original meaning and tone.',
                 user: `Translate the following text from {source_lang} to {target_lang}. Only output the translation, nothing else.
-
+{glossary}{tm_examples}
 Text to translate:
 {text}`
+            },
+            // Named prompt presets besides the default one kept in `prompts`: [{ id, name, system, user }]
+            promptPresets: SettingsManager.PROMPT_PRESETS.map(preset => ({ ...preset })),
+            // Preset chosen in the toolbar when no binding matches
+            activePreset: 'default',
+            // [{ sourceLang, targetLang, provider, preset }]; an empty field matches anything
+            presetBindings: [],
+            // User-defined prompt template variables: [{ name, value }]
+            promptVariables: [],
+            // Toolbar style controls, values of BaseProvider.STYLE_OPTIONS ('' = automatic)
+            style: {
+                formality: '',
+                tone: '',
+                audience: ''
+            },
+            // Context panel: also send the last historyCount history entries of the language pair
+            context: {
+                includeHistory: false,
+                historyCount: 3
             }
         };
         this.settings = this.load();
     }
 
+    static PROMPT_PRESETS = [
+        {
+            id: 'literal',
+            name: '직역',
+            system: 'You are a precise translator. Translate as literally as the target language allows, keeping the sentence structure, the order of information and the terminology of the original. Do not paraphrase, summarize or add explanations.',
+            user: `Translate the following text from {source_lang} to {target_lang} as literally as possible. Only output the translation, nothing else.
+{glossary}{tm_examples}
+Text to translate:
+{text}`
+        },
+        {
+            id: 'game',
+            name: '게임 현지화',
+            system: 'You are a game localization specialist. Adapt the text for players who speak the target language: use natural, idiomatic wording, localize jokes, idioms and cultural references, and keep each character\'s voice. Keep placeholders such as {0}, %s, <tags> and [brackets] exactly as they are, and keep UI strings short.',
+            user: `Localize the following game text from {source_lang} to {target_lang}. Only output the localized text, nothing else.
+{glossary}{tm_examples}
+Text to localize:
+{text}`
+        },
+        {
+            id: 'business',
+            name: '격식체 비즈니스',
+            system: 'You are a professional business translator. Translate into the formal, polite register expected in business correspondence and official documents of the target language. Keep terminology consistent and preserve names, numbers, dates and amounts exactly.',
+            user: `Translate the following business text from {source_lang} to {target_lang} in a formal tone. Only output the translation, nothing else.
+{glossary}{tm_examples}
+Text to translate:
+{text}`
+        },
+        {
+            id: 'subtitle',
+            name: '자막',
+            system: 'You are a subtitle translator. Translate line by line and keep exactly the same number of lines as the original; never merge or split lines. Keep each line short enough to read at a glance and prefer natural spoken language over literal wording.',
+            user: `Translate the following subtitle lines from {source_lang} to {target_lang}. Output one translated line for each source line, nothing else.
+{glossary}{tm_examples}
+Subtitle lines:
+{text}`
+        }
+    ];
+
+    // { [providerId]: { [field]: default } } from the config schemas of the registered providers
+    static providerDefaults() {
+        const defaults = {};
+        ProviderFactory.list({ includeHidden: true }).forEach(ProviderClass => {
+            if (ProviderClass.configSchema.length === 0) return;
+            defaults[ProviderClass.id] = Object.fromEntries(
+                ProviderClass.configSchema.map(field => [field.key, field.default])
+            );
+        });
+        return defaults;
+    }
+
     load() {
         try {
             const stored = localStorage.getItem(this.STORAGE_KEY);
@@ -122,39 +225,92 @@ Text to translate:
 
     export() {
         const data = JSON.stringify(this.settings, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `llm_translator_settings_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        FileHelper.download(
+            new Blob([data], { type: 'application/json' }),
+            `llm_translator_settings_${new Date().toISOString().split('T')[0]}.json`
+        );
     }
 
     async import(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const imported = JSON.parse(e.target.result);
-                    this.settings = this.mergeDeep(this.defaults, imported);
-                    this.save();
-                    resolve(true);
-                } catch (err) {
-                    reject(new Error('유효하지 않은 설정 파일입니다.'));
-                }
-            };
-            reader.onerror = () => reject(new Error('파일을 읽을 수 없습니다.'));
-            reader.readAsText(file);
-        });
+        const text = await FileHelper.readFileAsText(file);
+        let imported;
+        try {
+            imported = JSON.parse(text);
+        } catch (err) {
+            throw new Error('유효하지 않은 설정 파일입니다.');
+        }
+        this.settings = this.mergeDeep(this.defaults, imported);
+        this.save();
+        return true;
     }
 
-    resetPrompts() {
-        this.settings.prompts = { ...this.defaults.prompts };
-        this.save();
+    // Prompt Presets
+    // The 'default' preset is the original `prompts` pair, so older settings keep their prompt
+    getPromptPresets() {
+        return [
+            { id: 'default', name: '기본', ...this.settings.prompts },
+            ...(this.settings.promptPresets || [])
+        ];
+    }
+
+    getPromptPreset(id) {
+        const presets = this.getPromptPresets();
+        return presets.find(p => p.id === id) || presets[0];
+    }
+
+    // Replaces the whole library; bindings and the active preset pointing at removed presets are dropped
+    setPromptPresets(presets) {
+        const defaultPreset = presets.find(p => p.id === 'default');
+        if (defaultPreset) {
+            this.settings.prompts = { system: defaultPreset.system, user: defaultPreset.user };
+        }
+        this.settings.promptPresets = presets
+            .filter(p => p.id !== 'default')
+            .map(({ id, name, system, user }) => ({ id, name, system, user }));
+
+        const ids = new Set(this.getPromptPresets().map(p => p.id));
+        this.settings.presetBindings = (this.settings.presetBindings || []).filter(b => ids.has(b.preset));
+        if (!ids.has(this.settings.activePreset)) {
+            this.settings.activePreset = 'default';
+        }
+    }
+
+    // User-defined template variables as { name: value }; invalid and built-in names are skipped
+    getPromptVariables() {
+        const builtins = new Set(PromptTemplate.VARIABLES.map(v => v.name));
+        return Object.fromEntries((this.settings.promptVariables || [])
+            .filter(v => PromptTemplate.NAME_PATTERN.test(v.name) && !builtins.has(v.name))
+            .map(v => [v.name, v.value]));
+    }
+
+    createPromptPresetId() {
+        return 'preset-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+
+    // Shipped text of a built-in preset, null for presets the user created
+    getDefaultPrompts(id) {
+        if (id === 'default') return { ...this.defaults.prompts };
+        const builtin = SettingsManager.PROMPT_PRESETS.find(p => p.id === id);
+        return builtin ? { system: builtin.system, user: builtin.user } : null;
+    }
+
+    // Preset bound to the language pair / provider; the binding with the most fields set wins
+    findBoundPreset(sourceLang, targetLang, provider) {
+        const ids = new Set(this.getPromptPresets().map(p => p.id));
+        let match = null;
+        let matchScore = -1;
+        (this.settings.presetBindings || []).forEach(binding => {
+            if (!ids.has(binding.preset)) return;
+            if (binding.sourceLang && binding.sourceLang !== sourceLang) return;
+            if (binding.targetLang && binding.targetLang !== targetLang) return;
+            if (binding.provider && binding.provider !== provider) return;
+            const score = [binding.sourceLang, binding.targetLang, binding.provider].filter(Boolean).length;
+            if (score > matchScore) {
+                match = binding.preset;
+                matchScore = score;
+            }
+        });
+        return match;
     }
 
     // Custom Endpoint Management
@@ -169,6 +325,19 @@ Text to translate:
             baseUrl: endpoint.baseUrl || '',
             apiKey: endpoint.apiKey || '',
             model: endpoint.model || '',
+            reasoningEffort: endpoint.reasoningEffort || '',
+            // API format: 'openai-chat', 'openai-responses', 'anthropic', 'ollama' or 'llamacpp-completion'
+            dialect: endpoint.dialect || 'openai-chat',
+            // '' keeps the dialect's scheme; 'bearer', 'header' or 'query' (named by authName), or 'none'
+            authType: endpoint.authType || '',
+            authName: endpoint.authName || '',
+            // Extra request headers, one `Name: value` per line
+            headers: endpoint.headers || '',
+            // Sampling parameters; null leaves them to the server
+            temperature: endpoint.temperature ?? null,
+            top_p: endpoint.top_p ?? null,
+            top_k: endpoint.top_k ?? null,
+            maxTokens: endpoint.maxTokens ?? null,
             createdAt: new Date().toISOString()
         };
         
@@ -239,103 +408,34 @@ Text to translate:
                 return {
                     baseUrl: endpoint.baseUrl,
                     apiKey: endpoint.apiKey,
-                    model: endpoint.model || this.get('model')
+                    model: endpoint.model || this.get('model'),
+                    reasoningEffort: endpoint.reasoningEffort || '',
+                    dialect: endpoint.dialect || 'openai-chat',
+                    authType: endpoint.authType || '',
+                    authName: endpoint.authName || '',
+                    headers: endpoint.headers || '',
+                    temperature: endpoint.temperature ?? null,
+                    top_p: endpoint.top_p ?? null,
+                    top_k: endpoint.top_k ?? null,
+                    maxTokens: endpoint.maxTokens ?? null
                 };
             }
             return {};
         }
 
-        switch (provider) {
-            case 'openai':
-                const baseOpenAIConfig = {
-                    apiKey: this.get('openai.apiKey'),
-                    baseUrl: this.get('openai.baseUrl'),
-                    model: this.get('model')
-                };
-                if (this.get('enableAdvancedSettings')) {
-                    return {
-                        ...baseOpenAIConfig,
-                        temperature: this.get('openai.temperature'),
-                        top_p: this.get('openai.top_p'),
-                        presence_penalty: this.get('openai.presence_penalty'),
-                        frequency_penalty: this.get('openai.frequency_penalty')
-                    };
-                }
-                return baseOpenAIConfig;
-            case 'claude':
-                const baseClaudeConfig = {
-                    apiKey: this.get('claude.apiKey'),
-                    model: this.get('model')
-                };
-                if (this.get('enableAdvancedSettings')) {
-                    return {
-                        ...baseClaudeConfig,
-                        temperature: this.get('claude.temperature'),
-                        top_p: this.get('claude.top_p'),
-                        top_k: this.get('claude.top_k')
-                    };
-                }
-                return baseClaudeConfig;
-            case 'gemini':
-                const baseGeminiConfig = {
-                    apiKey: this.get('gemini.apiKey'),
-                    model: this.get('model')
-                };
-                if (this.get('enableAdvancedSettings')) {
-                    return {
-                        ...baseGeminiConfig,
-                        temperature: this.get('gemini.temperature'),
-                        top_p: this.get('gemini.top_p'),
-                        top_k: this.get('gemini.top_k')
-                    };
-                }
-                return baseGeminiConfig;
-            case 'ollama':
-                const baseOllamaConfig = {
-                    baseUrl: this.get('ollama.baseUrl'),
-                    model: this.get('model')
-                };
-                if (this.get('enableAdvancedSettings')) {
-                    return {
-                        ...baseOllamaConfig,
-                        temperature: this.get('ollama.temperature'),
-                        top_p: this.get('ollama.top_p'),
-                        top_k: this.get('ollama.top_k'),
-                        repeat_penalty: this.get('ollama.repeat_penalty')
-                    };
-                }
-                return baseOllamaConfig;
-            case 'llamacpp':
-                const baseLlamaCppConfig = {
-                    baseUrl: this.get('llamacpp.baseUrl')
-                };
-                if (this.get('enableAdvancedSettings')) {
-                    return {
-                        ...baseLlamaCppConfig,
-                        temperature: this.get('llamacpp.temperature'),
-                        top_p: this.get('llamacpp.top_p'),
-                        top_k: this.get('llamacpp.top_k'),
-                        repeat_penalty: this.get('llamacpp.repeat_penalty')
-                    };
-                }
-                return baseLlamaCppConfig;
-            case 'translategemma':
-                const baseTranslateGemmaConfig = {
-                    baseUrl: this.get('translategemma.baseUrl')
-                };
-                if (this.get('enableAdvancedSettings')) {
-                    return {
-                        ...baseTranslateGemmaConfig,
-                        temperature: this.get('translategemma.temperature'),
-                        top_p: this.get('translategemma.top_p'),
-                        top_k: this.get('translategemma.top_k'),
-                        repeat_penalty: this.get('translategemma.repeat_penalty')
-                    };
-                }
-                return baseTranslateGemmaConfig;
-            default:
-                return {};
+        const ProviderClass = ProviderFactory.get(provider);
+        if (!ProviderClass) {
+            return {};
         }
+
+        // Advanced fields are left out so that the provider's own defaults apply
+        const advanced = this.get('enableAdvancedSettings');
+        const config = { model: this.get('model') };
+        ProviderClass.configSchema.forEach(field => {
+            if (field.section === 'advanced' && !advanced) return;
+            config[field.key] = this.get(`${provider}.${field.key}`);
+        });
+        return config;
     }
 
     mergeDeep(target, source) {
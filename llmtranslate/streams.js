@@ -0,0 +1,124 @@
+/**
+ * Stream Parser
+ * Buffered decoder for streaming responses: Server-Sent Events and newline-delimited JSON
+ */
+
+class StreamParser {
+    // Yields { event, data, json } for every SSE event or NDJSON line of the response body.
+    // format: 'sse', 'ndjson', or 'auto' to decide from the first non-empty line.
+    // Lines split across network chunks are buffered until complete; a `[DONE]` payload ends
+    // the stream and error payloads sent mid-stream are thrown.
+    static async *parse(response, { format = 'sse' } = {}) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let mode = format === 'auto' ? null : format;
+        let pending = StreamParser.emptyEvent();
+        let finished = false;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+                // At the end of the body the last line needs no terminating newline. A \r that
+                // ends a chunk may be the first half of \r\n, so it waits for the next read.
+                const carry = !done && buffer.endsWith('\r') ? '\r' : '';
+                const lines = (carry ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+                buffer = done ? '' : lines.pop() + carry;
+
+                for (const line of lines) {
+                    if (!mode) {
+                        if (!line.trim()) continue;
+                        mode = /^(data|event|id|retry)?:/.test(line) ? 'sse' : 'ndjson';
+                    }
+
+                    let event = null;
+                    if (mode === 'ndjson') {
+                        if (line.trim()) event = { event: 'message', data: line.trim() };
+                    } else if (line === '') {
+                        // A blank line dispatches the event collected so far
+                        if (pending.data.length > 0) {
+                            event = { event: pending.event, data: pending.data.join('\n') };
+                        }
+                        pending = StreamParser.emptyEvent();
+                    } else {
+                        StreamParser.readField(line, pending);
+                    }
+
+                    if (event) {
+                        if (event.data === '[DONE]') {
+                            finished = true;
+                            return;
+                        }
+                        yield StreamParser.decodeEvent(event);
+                    }
+                }
+
+                if (done) break;
+            }
+
+            // Servers may close the connection without the final blank line
+            if (pending.data.length > 0) {
+                const data = pending.data.join('\n');
+                if (data !== '[DONE]') {
+                    yield StreamParser.decodeEvent({ event: pending.event, data });
+                }
+            }
+            finished = true;
+        } finally {
+            // Stop the download when the consumer breaks out early or an error is thrown
+            if (!finished) {
+                reader.cancel().catch(() => {});
+            }
+        }
+    }
+
+    static emptyEvent() {
+        return { event: 'message', data: [] };
+    }
+
+    // Applies one `field: value` SSE line; comments (`:`) and id/retry are ignored
+    static readField(line, pending) {
+        if (line.startsWith(':')) return;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') {
+            pending.data.push(value);
+        } else if (field === 'event') {
+            pending.event = value;
+        }
+    }
+
+    static decodeEvent({ event, data }) {
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch (e) {
+            throw new Error(`스트림 응답을 해석할 수 없습니다: ${data.slice(0, 200)}`);
+        }
+
+        const message = StreamParser.errorMessage(event, json);
+        if (message) {
+            throw new Error(message);
+        }
+        return { event, data, json };
+    }
+
+    // Error shapes: OpenAI/Gemini { error: { message } }, Ollama { error: '...' },
+    // Anthropic `event: error` with { type: 'error', error: { message } }
+    static errorMessage(event, json) {
+        if (!json || typeof json !== 'object') return null;
+        if (event !== 'error' && json.type !== 'error' && !json.error) return null;
+
+        const error = json.error;
+        if (typeof error === 'string') return error;
+        return error?.message || json.message || '스트리밍 중 오류가 발생했습니다.';
+    }
+}
+
+// Export for use in other modules
+window.StreamParser = StreamParser;
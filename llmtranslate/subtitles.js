@@ -0,0 +1,301 @@
+/**
+ * Subtitle File
+ * Reads SRT, WebVTT and ASS/SSA subtitles into cues and writes translated cue text back.
+ * Everything outside the cue text (numbers, timestamps, headers, styles) is copied from the
+ * source file, and styling tags inside the text travel as ⟦n⟧ markers while translating.
+ */
+
+class SubtitleFile {
+    static FORMATS = [
+        { id: 'srt', label: 'SubRip (SRT)', extensions: ['.srt'] },
+        { id: 'vtt', label: 'WebVTT', extensions: ['.vtt'] },
+        { id: 'ass', label: 'Advanced SubStation (ASS)', extensions: ['.ass', '.ssa'] }
+    ];
+
+    // <i>, </font>, <v Speaker>, <00:00:01.000> and {\an8} in SRT/WebVTT; override blocks, \h and \n in ASS
+    static TAG_PATTERNS = {
+        srt: /<[^>\n]+>|\{\\[^}]*\}/g,
+        vtt: /<[^>\n]+>|\{\\[^}]*\}/g,
+        ass: /\{[^}]*\}|\\[hn]/g
+    };
+
+    static MARKER_PATTERN = /⟦(\d+)⟧/g;
+
+    static ASS_DEFAULT_FORMAT = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+    // Sent as context with every request, followed by the neighbouring cues
+    static INSTRUCTIONS = 'The text is a JSON object of consecutive subtitle cues, keyed by cue number. Translate each cue and answer with a JSON object that has exactly the same keys, and nothing else. Translate the cues as one continuous dialogue, keep line breaks inside a cue where they fit and keep the lines short enough to read on screen. Copy markers such as ⟦0⟧ unchanged: they stand for styling tags.';
+
+    constructor(name, text) {
+        this.name = name;
+        this.text = text.replace(/^\uFEFF/, '');
+        this.eol = this.text.includes('\r\n') ? '\r\n' : '\n';
+        this.format = SubtitleFile.detectFormat(name);
+        if (!this.format) {
+            throw new Error('지원하지 않는 자막 형식입니다. (.srt, .vtt, .ass, .ssa)');
+        }
+
+        // [{ id, start, end, speaker, text }] plus where the text sits in the file
+        this.cues = [];
+        if (this.format === 'ass') {
+            this.parseAss(this.text);
+        } else {
+            this.parseCues(this.text);
+        }
+        if (this.cues.length === 0) {
+            throw new Error('자막 파일에서 대사를 찾지 못했습니다.');
+        }
+        this.cues.forEach((cue, i) => {
+            cue.id = String(i + 1);
+        });
+    }
+
+    static async fromFile(file) {
+        return new SubtitleFile(file.name, await FileHelper.readFileAsText(file));
+    }
+
+    static detectFormat(name) {
+        const lower = (name || '').toLowerCase();
+        const format = SubtitleFile.FORMATS.find(f => f.extensions.some(ext => lower.endsWith(ext)));
+        return format ? format.id : null;
+    }
+
+    getFormatLabel() {
+        return SubtitleFile.FORMATS.find(f => f.id === this.format).label;
+    }
+
+    // ===========================================
+    // Parsing
+    // ===========================================
+
+    // SRT and WebVTT: a timing line with '-->' starts a cue whose text runs to the next blank
+    // line. Cue numbers, identifiers, NOTE and STYLE blocks are never touched.
+    parseCues(text) {
+        const lines = text.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            const timing = /^\s*(\S+)\s+-->\s+(\S+)/.exec(lines[i]);
+            if (!timing) continue;
+
+            let end = i + 1;
+            while (end < lines.length && lines[end].trim() !== '') end++;
+            this.cues.push({
+                start: timing[1],
+                end: timing[2],
+                speaker: '',
+                text: lines.slice(i + 1, end).join('\n'),
+                range: { start: i + 1, end }
+            });
+            i = end;
+        }
+    }
+
+    // ASS: Dialogue lines of the [Events] section; the text is the last field and may contain
+    // commas, and \N is a line break
+    parseAss(text) {
+        const lines = text.split(/\r?\n/);
+        let section = '';
+        let format = SubtitleFile.ASS_DEFAULT_FORMAT;
+
+        lines.forEach((line, i) => {
+            const header = /^\s*\[(.+)\]\s*$/.exec(line);
+            if (header) {
+                section = header[1].trim().toLowerCase();
+                return;
+            }
+            if (section !== 'events') return;
+
+            const match = /^\s*(Format|Dialogue)\s*:\s*(.*)$/i.exec(line);
+            if (!match) return;
+            if (match[1].toLowerCase() === 'format') {
+                format = match[2].split(',').map(field => field.trim().toLowerCase());
+                return;
+            }
+
+            let rest = match[2];
+            const values = [];
+            for (let f = 0; f < format.length - 1; f++) {
+                const comma = rest.indexOf(',');
+                if (comma === -1) return;
+                values.push(rest.slice(0, comma).trim());
+                rest = rest.slice(comma + 1);
+            }
+            const field = (name) => values[format.indexOf(name)] || '';
+            this.cues.push({
+                start: field('start'),
+                end: field('end'),
+                speaker: field('name'),
+                text: rest.replace(/\\N/g, '\n'),
+                line: i,
+                prefix: line.slice(0, line.length - rest.length)
+            });
+        });
+    }
+
+    // ===========================================
+    // Tags
+    // ===========================================
+
+    getTagPattern() {
+        return new RegExp(SubtitleFile.TAG_PATTERNS[this.format]);
+    }
+
+    stripTags(text) {
+        return text.replace(this.getTagPattern(), '');
+    }
+
+    // Cues that are only tags, music notes or punctuation are copied as they are
+    isTranslatable(text) {
+        return /\p{L}/u.test(this.stripTags(text));
+    }
+
+    protect(text) {
+        const tokens = [];
+        const protectedText = text.replace(this.getTagPattern(), (tag) => {
+            tokens.push(tag);
+            return `⟦${tokens.length - 1}⟧`;
+        });
+        return { text: protectedText, tokens };
+    }
+
+    static restore(text, tokens) {
+        return text.replace(SubtitleFile.MARKER_PATTERN, (marker, n) => tokens[n] ?? marker);
+    }
+
+    // Problems (in Korean) when styling tags were lost, added or left as markers
+    checkTags(source, translation) {
+        const count = (text) => (text.match(this.getTagPattern()) || []).reduce((map, t) => map.set(t, (map.get(t) || 0) + 1), new Map());
+        const expected = count(source);
+        const actual = count(translation);
+        const missing = [...expected].filter(([tag, n]) => (actual.get(tag) || 0) < n).map(([tag]) => tag);
+        const extra = [...actual].filter(([tag, n]) => (expected.get(tag) || 0) < n).map(([tag]) => tag);
+        const markers = translation.match(SubtitleFile.MARKER_PATTERN) || [];
+
+        const problems = [];
+        if (missing.length > 0) problems.push(`빠진 태그: ${missing.join(' ')}`);
+        if (extra.length > 0) problems.push(`추가된 태그: ${extra.join(' ')}`);
+        if (markers.length > 0) problems.push(`복원되지 않은 표시: ${markers.join(' ')}`);
+        return problems;
+    }
+
+    // ===========================================
+    // Translation Requests
+    // ===========================================
+
+    // Packs consecutive cues into requests of at most batchSize cues and about maxTokens;
+    // each request text is a JSON object of { cue id: text with ⟦n⟧ markers }
+    buildRequests(cues, { batchSize = 20, maxTokens = 1500 } = {}) {
+        const chunker = new TextChunker(maxTokens);
+        const requests = [];
+        let current = null;
+        let previousIndex = null;
+
+        cues.forEach(cue => {
+            const index = this.cues.indexOf(cue);
+            const { text, tokens } = this.protect(cue.text);
+            const size = chunker.estimateTokens(text) + 8;
+            const full = current && (current.cues.length >= batchSize || current.size + size > chunker.maxTokens);
+            // A gap (already translated cues in between) starts a new request
+            if (!current || full || index !== previousIndex + 1) {
+                current = { cues: [], size: 0 };
+                requests.push(current);
+            }
+            current.cues.push({ cue, protectedText: text, tokens });
+            current.size += size;
+            previousIndex = index;
+        });
+
+        requests.forEach(request => {
+            request.text = JSON.stringify(Object.fromEntries(request.cues.map(c => [c.cue.id, c.protectedText])), null, 2);
+        });
+        return requests;
+    }
+
+    // The cues around a request (with their translations so far) and the speakers, for context
+    getContext(request, results, contextCues) {
+        const first = this.cues.indexOf(request.cues[0].cue);
+        const last = this.cues.indexOf(request.cues[request.cues.length - 1].cue);
+        const line = (cue, text) => `${cue.id}: ${cue.speaker ? `(${cue.speaker}) ` : ''}${this.stripTags(text).replace(/\n/g, ' / ')}`;
+
+        const parts = [];
+        const before = this.cues.slice(Math.max(0, first - contextCues), first);
+        if (before.length > 0) {
+            parts.push('Earlier cues, for context only:');
+            before.forEach(cue => {
+                parts.push(line(cue, cue.text));
+                if (results.has(cue.id) && results.get(cue.id) !== cue.text) parts.push(`   → ${this.stripTags(results.get(cue.id)).replace(/\n/g, ' / ')}`);
+            });
+        }
+        const after = this.cues.slice(last + 1, last + 1 + contextCues);
+        if (after.length > 0) {
+            parts.push('Later cues, for context only:');
+            after.forEach(cue => parts.push(line(cue, cue.text)));
+        }
+        const speakers = request.cues.filter(c => c.cue.speaker).map(c => `${c.cue.id} = ${c.cue.speaker}`);
+        if (speakers.length > 0) {
+            parts.push(`Speakers: ${speakers.join(', ')}`);
+        }
+        return parts.join('\n');
+    }
+
+    // Reads the model's JSON answer into Map<cue id, translation with tags restored>; cues
+    // missing from it are left out
+    parseResponse(response, request) {
+        const data = FileHelper.parseJsonAnswer(response);
+        const results = new Map();
+        if (data) {
+            request.cues.forEach(({ cue, tokens }) => {
+                if (typeof data[cue.id] === 'string' && data[cue.id].trim()) {
+                    results.set(cue.id, SubtitleFile.restore(data[cue.id].trim(), tokens));
+                }
+            });
+        }
+        return results;
+    }
+
+    // ===========================================
+    // Output
+    // ===========================================
+
+    // Untranslated cues keep their source text; blank lines would end an SRT/WebVTT cue early
+    serialize(results) {
+        const lines = this.text.split(/\r?\n/);
+        const textOf = (cue) => {
+            const value = results.has(cue.id) ? results.get(cue.id) : cue.text;
+            const kept = value.split(/\r?\n/).filter(l => l.trim() !== '');
+            return kept.length > 0 ? kept : cue.text.split('\n');
+        };
+
+        if (this.format === 'ass') {
+            this.cues.forEach(cue => {
+                lines[cue.line] = cue.prefix + textOf(cue).join('\\N');
+            });
+            return lines.join(this.eol);
+        }
+
+        [...this.cues]
+            .sort((a, b) => b.range.start - a.range.start)
+            .forEach(cue => lines.splice(cue.range.start, cue.range.end - cue.range.start, ...textOf(cue)));
+        return lines.join(this.eol);
+    }
+
+    // 'movie.en.srt' → 'movie.ko.srt', anything else gets the target code before the extension
+    getOutputName(sourceLang, targetLang) {
+        const dot = this.name.lastIndexOf('.');
+        const base = dot > 0 ? this.name.slice(0, dot) : this.name;
+        const ext = dot > 0 ? this.name.slice(dot) : '';
+        const match = /^(.+)\.([A-Za-z]{2,3}(?:[-_][A-Za-z0-9]{2,4})?)$/.exec(base);
+        if (match && LanguageRegistry.baseCode(match[2]) === LanguageRegistry.baseCode(sourceLang)) {
+            return `${match[1]}.${targetLang}${ext}`;
+        }
+        return `${base}.${targetLang}${ext}`;
+    }
+
+    export(results, sourceLang, targetLang) {
+        const filename = this.getOutputName(sourceLang, targetLang);
+        FileHelper.download(new Blob([this.serialize(results)], { type: 'text/plain' }), filename);
+        return filename;
+    }
+}
+
+// Export for use in other modules
+window.SubtitleFile = SubtitleFile;
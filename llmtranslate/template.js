@@ -0,0 +1,146 @@
+/**
+ * Prompt Template
+ * Renders prompt templates in a single pass, so text substituted into the prompt is never
+ * scanned for placeholders again.
+ *
+ *   {name}                          - variable; unknown names are kept as written
+ *   {#if name}...{else}...{/if}     - section used when the variable is not empty ({else} optional)
+ *   {#if !name}...{/if}             - section used when the variable is empty
+ *   {{ and }}                       - literal braces
+ */
+
+class PromptTemplate {
+    // Variables filled in by the providers, shown as help in the prompt tab
+    static VARIABLES = [
+        { name: 'source_lang', description: '원문 언어 이름 (예: English)' },
+        { name: 'target_lang', description: '번역 언어 이름' },
+        { name: 'source_lang_code', description: '원문 언어 코드 (예: en, 감지 시 auto)' },
+        { name: 'target_lang_code', description: '번역 언어 코드' },
+        { name: 'text', description: '번역할 텍스트' },
+        { name: 'glossary', description: '텍스트에 나온 용어집 항목' },
+        { name: 'tm_examples', description: '번역 메모리의 비슷한 문장' },
+        { name: 'tone', description: '어조 / 격식 지시' },
+        { name: 'context', description: '번역 참고 정보' },
+        { name: 'date', description: '오늘 날짜 (YYYY-MM-DD)' }
+    ];
+
+    static NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+    static TOKEN_PATTERN = /\{\{|\}\}|\{#if\s+(!?)\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}|\{else\}|\{\/if\}|\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+    constructor(source) {
+        this.source = source || '';
+        this.errors = [];
+        this.nodes = this.parse(this.source);
+    }
+
+    // Nodes are { type: 'text', value }, { type: 'var', name } and { type: 'if', name, negate, then, else }
+    parse(source) {
+        const root = [];
+        const stack = [];
+        let nodes = root;
+        let lastIndex = 0;
+        const pattern = new RegExp(PromptTemplate.TOKEN_PATTERN);
+        let match;
+
+        const pushText = (value) => {
+            if (!value) return;
+            const last = nodes[nodes.length - 1];
+            if (last && last.type === 'text') {
+                last.value += value;
+            } else {
+                nodes.push({ type: 'text', value });
+            }
+        };
+
+        while ((match = pattern.exec(source)) !== null) {
+            pushText(source.slice(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+            const token = match[0];
+
+            if (token === '{{' || token === '}}') {
+                pushText(token[0]);
+            } else if (match[2]) {
+                const node = { type: 'if', name: match[2], negate: match[1] === '!', then: [], else: null };
+                nodes.push(node);
+                stack.push({ node, parent: nodes });
+                nodes = node.then;
+            } else if (token === '{else}') {
+                const open = stack[stack.length - 1];
+                if (!open || open.node.else) {
+                    this.errors.push('{else}가 {#if} 밖에 있습니다.');
+                    pushText(token);
+                } else {
+                    open.node.else = [];
+                    nodes = open.node.else;
+                }
+            } else if (token === '{/if}') {
+                const open = stack.pop();
+                if (!open) {
+                    this.errors.push('짝이 맞지 않는 {/if}가 있습니다.');
+                    pushText(token);
+                } else {
+                    nodes = open.parent;
+                }
+            } else {
+                nodes.push({ type: 'var', name: match[3] });
+            }
+        }
+        pushText(source.slice(lastIndex));
+
+        // Unclosed sections run to the end of the template
+        stack.forEach(open => this.errors.push(`{#if ${open.node.name}}가 {/if}로 닫히지 않았습니다.`));
+        return root;
+    }
+
+    render(variables = {}) {
+        const has = (name) => Object.prototype.hasOwnProperty.call(variables, name);
+        const value = (name) => (has(name) && variables[name] != null ? String(variables[name]) : '');
+
+        const renderNodes = (nodes) => nodes.map(node => {
+            if (node.type === 'text') return node.value;
+            if (node.type === 'var') return has(node.name) ? value(node.name) : `{${node.name}}`;
+            const filled = value(node.name).trim() !== '';
+            return renderNodes((filled !== node.negate ? node.then : node.else) || []);
+        }).join('');
+
+        return renderNodes(this.nodes);
+    }
+
+    // Every variable name used in a placeholder or a condition
+    getVariableNames() {
+        const names = new Set();
+        const walk = (nodes) => nodes.forEach(node => {
+            if (node.type === 'var') names.add(node.name);
+            if (node.type === 'if') {
+                names.add(node.name);
+                walk(node.then);
+                walk(node.else || []);
+            }
+        });
+        walk(this.nodes);
+        return [...names];
+    }
+
+    uses(name) {
+        return this.getVariableNames().includes(name);
+    }
+
+    // Warning messages for syntax errors and names outside knownNames
+    validate(knownNames) {
+        const known = new Set(knownNames);
+        const unknown = this.getVariableNames().filter(name => !known.has(name));
+        const warnings = [...this.errors];
+        if (unknown.length > 0) {
+            warnings.push(`알 수 없는 변수: ${unknown.map(name => `{${name}}`).join(', ')}`);
+        }
+        return warnings;
+    }
+
+    static today(date = new Date()) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+// Export for use in other modules
+window.PromptTemplate = PromptTemplate;
@@ -0,0 +1,46 @@
+/**
+ * TextChunker tests
+ * Chunks joined with their separators must give back the input exactly.
+ * Run with: node --test llmtranslate/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// chunker.js is a browser script that exports through window
+const context = vm.createContext({ window: {} });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'chunker.js'), 'utf8'), context);
+const { TextChunker } = context.window;
+
+function join(chunks) {
+    return chunks.map(chunk => chunk.text + chunk.separator).join('');
+}
+
+const paragraph = (n) => `Paragraph ${n} has a few sentences. ${'Some filler words go here. '.repeat(12)}It ends here.`;
+
+test('round-trips paragraphs, sentences and hard splits', () => {
+    const texts = [
+        [1, 2, 3, 4, 5, 6].map(paragraph).join('\n\n'),
+        [1, 2, 3].map(paragraph).join('\n \n\n') + '\n\n',
+        'word '.repeat(800).trim(),
+        '한국어 문장입니다。'.repeat(150)
+    ];
+    for (const text of texts) {
+        const chunks = new TextChunker(100).split(text);
+        assert.ok(chunks.length > 1);
+        assert.equal(join(chunks), text);
+    }
+});
+
+test('keeps blank lines before the first paragraph', () => {
+    for (const leading of ['\n\n', '\r\n\r\n', '\n  \n\n']) {
+        const text = leading + [1, 2, 3, 4].map(paragraph).join('\n\n');
+        const chunks = new TextChunker(100).split(text);
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks[0].text.startsWith(leading));
+        assert.equal(join(chunks), text);
+    }
+});
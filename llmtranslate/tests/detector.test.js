@@ -0,0 +1,48 @@
+/**
+ * LanguageDetector tests
+ * Sentences that are not part of the samples the profiles are built from.
+ * Run with: node --test llmtranslate/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// detector.js is a browser script that exports through window
+const context = vm.createContext({ window: {} });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'detector.js'), 'utf8'), context);
+const detector = new context.window.LanguageDetector();
+
+test('tells apart languages that share a script', () => {
+    const sentences = {
+        nl: 'Ik moet dit rapport afmaken voor de vergadering van morgenochtend.',
+        pl: 'Gdzie jest najbliższa stacja kolejowa?',
+        sv: 'Klicka på knappen för att spara dina ändringar.',
+        tr: 'Değişikliklerinizi kaydetmek için düğmeye tıklayın.',
+        cs: 'Musím dokončit tuto zprávu před zítřejší ranní schůzkou.',
+        ro: 'Trebuie să termin acest raport înainte de ședința de mâine dimineață.',
+        fi: 'Minun täytyy saada tämä raportti valmiiksi ennen huomisaamun kokousta.',
+        en: 'I need to finish this report before the meeting tomorrow morning.',
+        uk: 'Мені потрібно закінчити цей звіт до завтрашньої зустрічі.',
+        ru: 'Мне нужно закончить этот отчёт до завтрашней встречи.',
+        bg: 'Трябва да завърша този доклад преди утрешната среща.',
+        ar: 'يجب أن أنهي هذا التقرير قبل اجتماع صباح الغد.',
+        fa: 'باید این گزارش را قبل از جلسهٔ فردا صبح تمام کنم.',
+        ur: 'مجھے کل صبح کی میٹنگ سے پہلے یہ رپورٹ مکمل کرنی ہے۔'
+    };
+    for (const [lang, text] of Object.entries(sentences)) {
+        assert.equal(detector.detect(text)?.lang, lang, text);
+    }
+});
+
+test('identifies languages by a script of their own', () => {
+    assert.equal(detector.detect('Το iPhone είναι πολύ ακριβό.')?.lang, 'el');
+    assert.equal(detector.detect('אני צריך לסיים את הדוח הזה לפני הפגישה.')?.lang, 'he');
+    assert.equal(detector.detect('東京駅はどこですか？')?.lang, 'ja');
+});
+
+test('does not guess in a shared script without profiles', () => {
+    assert.equal(detector.detect('मुझे कल सुबह की बैठक से पहले यह रिपोर्ट पूरी करनी है।'), null);
+});
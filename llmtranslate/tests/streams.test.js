@@ -0,0 +1,132 @@
+/**
+ * StreamParser tests
+ * Replays recorded provider streams from fixtures/ in chunks of different sizes.
+ * Run with: node --test llmtranslate/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// streams.js is a browser script that exports through window
+const context = vm.createContext({ window: {}, TextDecoder, TextEncoder });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'streams.js'), 'utf8'), context);
+const { StreamParser } = context.window;
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// A Response-like object whose body delivers the text in chunks of chunkSize bytes, so that
+// lines (and multi-byte characters) are split across reads
+function responseFrom(text, chunkSize) {
+    const bytes = new TextEncoder().encode(text);
+    let offset = 0;
+    return {
+        body: new ReadableStream({
+            pull(controller) {
+                if (offset >= bytes.length) {
+                    controller.close();
+                    return;
+                }
+                controller.enqueue(bytes.slice(offset, offset + chunkSize));
+                offset += chunkSize;
+            }
+        })
+    };
+}
+
+async function collect(text, options, chunkSize) {
+    const events = [];
+    for await (const event of StreamParser.parse(responseFrom(text, chunkSize), options)) {
+        events.push(event);
+    }
+    return events;
+}
+
+// Whole body at once, then byte by byte and a few sizes in between
+const CHUNK_SIZES = [Infinity, 1, 2, 7, 64];
+
+test('joins data: lines split across chunks', async () => {
+    const text = readFixture('openai-chat.sse');
+    for (const size of CHUNK_SIZES) {
+        const events = await collect(text, {}, size);
+        const content = events.map(e => e.json.choices[0]?.delta?.content || '').join('');
+        assert.equal(content, '안녕하세요, 세계!', `chunk size ${size}`);
+        assert.equal(events.length, 7, `chunk size ${size}`);
+        assert.deepEqual({ ...events[6].json.usage }, { prompt_tokens: 31, completion_tokens: 6, total_tokens: 37 });
+    }
+});
+
+test('ends at [DONE] without yielding it', async () => {
+    const text = readFixture('openai-chat.sse') + 'data: {"choices":[{"delta":{"content":"after done"}}]}\n\n';
+    const events = await collect(text, {}, 5);
+    assert.ok(events.every(e => e.data !== '[DONE]'));
+    assert.ok(!events.some(e => e.data.includes('after done')));
+});
+
+test('reports event: types', async () => {
+    const text = readFixture('anthropic-messages.sse');
+    for (const size of CHUNK_SIZES) {
+        const events = await collect(text, {}, size);
+        assert.deepEqual(events.map(e => e.event), [
+            'message_start', 'content_block_start', 'ping', 'content_block_delta',
+            'content_block_delta', 'content_block_stop', 'message_delta', 'message_stop'
+        ], `chunk size ${size}`);
+        const content = events.filter(e => e.event === 'content_block_delta').map(e => e.json.delta.text).join('');
+        assert.equal(content, 'Bonjour le monde');
+    }
+});
+
+test('yields the last event when the body ends without a blank line', async () => {
+    const text = readFixture('anthropic-messages.sse').replace(/\n+$/, '');
+    const events = await collect(text, {}, 3);
+    assert.equal(events[events.length - 1].event, 'message_stop');
+});
+
+test('joins multi-line data: with CRLF line endings, skipping comments and id/retry', async () => {
+    const text = readFixture('multiline-data.sse');
+    for (const size of CHUNK_SIZES) {
+        const events = await collect(text, {}, size);
+        assert.equal(events.length, 2, `chunk size ${size}`);
+        assert.equal(events[0].data, '{"choices":[{"delta":\n{"content":"첫 줄"}}]}');
+        assert.equal(events.map(e => e.json.choices[0].delta.content).join(''), '첫 줄 둘째 줄');
+    }
+});
+
+test('reads NDJSON with a partial last line', async () => {
+    const text = readFixture('ollama-chat.ndjson');
+    assert.ok(!text.endsWith('\n'));
+    for (const format of ['ndjson', 'auto']) {
+        for (const size of CHUNK_SIZES) {
+            const events = await collect(text, { format }, size);
+            assert.equal(events.length, 4, `${format}, chunk size ${size}`);
+            assert.equal(events.map(e => e.json.message.content).join(''), 'Hallo Welt!');
+            assert.equal(events[3].json.done, true);
+        }
+    }
+});
+
+test('throws error events sent mid-stream after the deltas before them', async () => {
+    for (const size of CHUNK_SIZES) {
+        const seen = [];
+        await assert.rejects(async () => {
+            for await (const event of StreamParser.parse(responseFrom(readFixture('anthropic-error.sse'), size))) {
+                seen.push(event.event);
+            }
+        }, { message: 'Overloaded' });
+        assert.deepEqual(seen, ['message_start', 'content_block_start', 'ping', 'content_block_delta']);
+    }
+});
+
+test('throws NDJSON error lines', async () => {
+    const seen = [];
+    await assert.rejects(async () => {
+        for await (const event of StreamParser.parse(responseFrom(readFixture('ollama-error.ndjson'), 4), { format: 'ndjson' })) {
+            seen.push(event.json.message.content);
+        }
+    }, { message: 'model runner has unexpectedly stopped' });
+    assert.deepEqual(seen, ['Hallo']);
+});
@@ -0,0 +1,124 @@
+/**
+ * Usage Tracker
+ * Accumulates token counts per month, provider and model and prices them with the price table
+ */
+
+class UsageTracker {
+    constructor() {
+        this.STORAGE_KEY = 'llm_translator_usage';
+        // { 'YYYY-MM': { 'provider|model': { provider, model, requests, inputTokens, outputTokens, thinkingTokens } } }
+        this.months = this.load();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (stored) {
+                return JSON.parse(stored);
+            }
+        } catch (e) {
+            console.error('Failed to load usage:', e);
+        }
+        return {};
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.months));
+            return true;
+        } catch (e) {
+            console.error('Failed to save usage:', e);
+            return false;
+        }
+    }
+
+    monthKey(date = new Date()) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    record(provider, model, usage) {
+        const month = this.monthKey();
+        const key = `${provider}|${model || ''}`;
+        if (!this.months[month]) this.months[month] = {};
+        const totals = this.months[month][key] || (this.months[month][key] = {
+            provider,
+            model: model || '',
+            requests: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            thinkingTokens: 0
+        });
+
+        totals.requests++;
+        totals.inputTokens += usage.inputTokens || 0;
+        totals.outputTokens += usage.outputTokens || 0;
+        totals.thinkingTokens += usage.thinkingTokens || 0;
+        this.save();
+    }
+
+    getMonths() {
+        return Object.keys(this.months).sort().reverse();
+    }
+
+    // Per-model rows of a month, each priced with the current price table
+    getModelTotals(month, pricing) {
+        return Object.values(this.months[month] || {})
+            .map(totals => ({ ...totals, cost: this.estimateCost(totals.model, totals, pricing) }))
+            .sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.requests - a.requests);
+    }
+
+    // Per-model rows folded into one row per provider
+    getProviderTotals(month, pricing) {
+        const byProvider = {};
+        this.getModelTotals(month, pricing).forEach(row => {
+            const totals = byProvider[row.provider] || (byProvider[row.provider] = {
+                provider: row.provider,
+                requests: 0,
+                inputTokens: 0,
+                outputTokens: 0,
+                thinkingTokens: 0,
+                cost: null
+            });
+            totals.requests += row.requests;
+            totals.inputTokens += row.inputTokens;
+            totals.outputTokens += row.outputTokens;
+            totals.thinkingTokens += row.thinkingTokens;
+            if (row.cost !== null) totals.cost = (totals.cost || 0) + row.cost;
+        });
+        return Object.values(byProvider).sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.requests - a.requests);
+    }
+
+    getMonthCost(month, pricing) {
+        return this.getModelTotals(month, pricing).reduce((sum, row) => sum + (row.cost || 0), 0);
+    }
+
+    // Price table rows are { model, input, output } in USD per 1M tokens; the longest model
+    // prefix wins so that 'gpt-4o-mini' is not priced as 'gpt-4o'. Router model ids such as
+    // 'openai/gpt-4o-mini' also match without their vendor part. Returns null when unpriced.
+    estimateCost(model, usage, pricing) {
+        const name = (model || '').toLowerCase();
+        const bareName = name.slice(name.lastIndexOf('/') + 1);
+        let match = null;
+        (pricing || []).forEach(price => {
+            const prefix = (price.model || '').toLowerCase();
+            const matches = prefix && (name.startsWith(prefix) || bareName.startsWith(prefix));
+            if (matches && (!match || prefix.length > match.model.length)) {
+                match = price;
+            }
+        });
+        if (!match) return null;
+        return ((usage.inputTokens || 0) * (match.input || 0) + (usage.outputTokens || 0) * (match.output || 0)) / 1e6;
+    }
+
+    clear(month) {
+        if (month) {
+            delete this.months[month];
+        } else {
+            this.months = {};
+        }
+        this.save();
+    }
+}
+
+// Export for use in other modules
+window.UsageTracker = UsageTracker;
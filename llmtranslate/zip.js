@@ -0,0 +1,113 @@
+/**
+ * Zip Archive
+ * Writes uncompressed (stored) ZIP files, enough to download several text files at once
+ */
+
+class ZipArchive {
+    static CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+    });
+
+    constructor() {
+        this.files = [];
+    }
+
+    // Names are made unique by numbering repeats: 'a.txt', 'a (2).txt'
+    add(name, content, date = new Date()) {
+        let unique = name;
+        for (let n = 2; this.files.some(f => f.name === unique); n++) {
+            unique = name.replace(/(\.[^./]*)?$/, ext => ` (${n})${ext}`);
+        }
+        this.files.push({ name: unique, data: new TextEncoder().encode(content), date });
+        return unique;
+    }
+
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // MS-DOS time and date fields, in local time with 2-second precision
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    toBytes() {
+        const encoder = new TextEncoder();
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = ZipArchive.crc32(file.data);
+            const { time, date } = ZipArchive.dosDateTime(file.date);
+
+            // Flag bit 11: the file name is UTF-8
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, file.data.length, true);
+            header.setUint32(22, file.data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            local.push(new Uint8Array(header.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...local, ...central, new Uint8Array(end.buffer)];
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            bytes.set(part, position);
+            position += part.length;
+        });
+        return bytes;
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/zip' });
+    }
+}
+
+// Export for use in other modules
+window.ZipArchive = ZipArchive;